@@ -7,8 +7,9 @@ const compression = require('compression');
 const morgan = require('morgan');
 
 const mlmRoutes = require('./routes/mlmRoutes');
-const { requestLogger, errorHandler, corsHandler } = require('./middleware/validation');
+const { requestLogger, errorHandler, corsHandler, CORS_ALLOWED_HEADERS } = require('./middleware/validation');
 const logger = require('./utils/logger');
+const { getCpaQueue } = require('./utils/cpaQueue');
 
 class MLMServiceApp {
     constructor() {
@@ -31,8 +32,8 @@ class MLMServiceApp {
         this.app.use(cors({
             origin: '*',
             credentials: true,
-            methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-API-Key']
+            methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+            allowedHeaders: CORS_ALLOWED_HEADERS
         }));
 
         // Compressão
@@ -128,14 +129,43 @@ class MLMServiceApp {
                 endpoints: {
                     'GET /health': 'Health check do serviço',
                     'POST /cpa/process': 'Processar CPA para distribuição MLM',
+                    'POST /cpa/process/batch': 'Processar lote de CPAs com resultado por item',
+                    'POST /cpa/queue': 'Enfileirar CPA para processamento assíncrono',
+                    'POST /cpa/validate': 'Avaliar CPA contra as regras de validação (detalhamento)',
                     'POST /cpa/simulate': 'Simular distribuição CPA',
+                    'GET /cpa/held': 'Listar CPAs retidos pela triagem antifraude',
+                    'POST /cpa/:id/review': 'Aprovar ou reprovar CPA retido (APPROVE distribui)',
+                    'POST /cpa/:id/reverse': 'Estornar CPA distribuído (chargeback, fraude, abuso de bônus)',
                     'GET /cpa/config': 'Buscar configurações CPA atuais',
-                    'GET /affiliate/:id/hierarchy': 'Buscar hierarquia de um afiliado',
-                    'GET /affiliate/:id/upline': 'Buscar upline de um afiliado',
+                    'GET /affiliate/:id/hierarchy': 'Buscar hierarquia de um afiliado (?asOf=data)',
+                    'GET /affiliate/:id/hierarchy/export': 'Exportar subárvore (?format=json|csv|dot)',
+                    'GET /affiliate/:id/relationship/:otherId': 'Relação genealógica entre dois afiliados',
+                    'GET /affiliate/:id/upline': 'Buscar upline de um afiliado (?asOf=data)',
                     'POST /affiliate': 'Criar afiliado na hierarquia',
                     'PUT /affiliate': 'Atualizar afiliado na hierarquia',
+                    'POST /affiliate/import': 'Importar hierarquia em lote (JSON ou CSV, ?dryRun=true)',
+                    'DELETE /affiliate/:id': 'Desativar afiliado (?mode=compress|keep)',
                     'GET /affiliate/:id/cpas': 'Buscar CPAs de um afiliado',
                     'GET /affiliate/:id/statistics': 'Buscar estatísticas de um afiliado',
+                    'GET /affiliate/:id/balance': 'Saldo do afiliado por moeda (a pagar, pago e recusado)',
+                    'GET /affiliate/:id/team-statistics': 'Buscar estatísticas da equipe (subárvore) de um afiliado',
+                    'GET /fx-rates': 'Listar cotações usadas nos relatórios consolidados',
+                    'POST /admin/fx-rates': 'Gravar cotações por moeda, moeda base e data',
+                    'GET /affiliate/:id/cpa-overrides': 'Listar acordos de CPA de um afiliado',
+                    'POST /affiliate/:id/cpa-overrides': 'Criar acordo de CPA (afiliado ou subárvore)',
+                    'GET /cpa-overrides/:id': 'Buscar acordo de CPA',
+                    'PATCH /cpa-overrides/:id': 'Alterar acordo de CPA',
+                    'DELETE /cpa-overrides/:id': 'Remover acordo de CPA ainda não aplicado',
+                    'GET /affiliate/:id/rank': 'Buscar rank vigente e histórico de ranks de um afiliado',
+                    'POST /admin/ranks/recalculate': 'Recalcular ranks de todos os afiliados',
+                    'POST /admin/distributions/release': 'Liberar e pagar distribuições cuja carência terminou',
+                    'POST /payouts/callback': 'Confirmação de pagamento enviada pelo provedor',
+                    'GET /admin/cpa-queue': 'Situação da fila de CPAs',
+                    'GET /admin/cpa-queue/dead-letter': 'Listar jobs da dead-letter com o último erro',
+                    'POST /admin/cpa-queue/dead-letter/retry': 'Reenfileirar jobs da dead-letter',
+                    'DELETE /admin/cpa-queue/dead-letter': 'Descartar jobs da dead-letter',
+                    'GET /admin/hierarchy/integrity': 'Verificar integridade da hierarquia',
+                    'POST /admin/hierarchy/integrity/repair': 'Reparar integridade da hierarquia',
                     'GET /summary': 'Resumo geral do MLM'
                 },
                 authentication: {
@@ -195,6 +225,8 @@ class MLMServiceApp {
             // Testar conexão com banco antes de iniciar
             const { createTables } = require('./database/migrate');
             await createTables();
+
+            this.startJobs();
             
             this.server = this.app.listen(this.port, this.host, () => {
                 logger.info(`🚀 MLM Service V2 iniciado em http://${this.host}:${this.port}`);
@@ -209,9 +241,38 @@ class MLMServiceApp {
         }
     }
 
+    // Workers da fila de CPAs e jobs agendados (recálculo de ranks e liberação de distribuições)
+    startJobs() {
+        this.jobs = [];
+
+        if (process.env.CPA_QUEUE_ENABLED === 'true') {
+            const CpaQueueWorker = require('./jobs/cpaQueueWorker');
+            this.jobs.push(new CpaQueueWorker());
+        }
+
+        if (process.env.ENABLE_CRON_JOBS === 'true') {
+            const RankRecalculationJob = require('./jobs/rankRecalculationJob');
+            const DistributionReleaseJob = require('./jobs/distributionReleaseJob');
+            this.jobs.push(new RankRecalculationJob(), new DistributionReleaseJob());
+        } else {
+            logger.info('Jobs automáticos desabilitados via configuração');
+        }
+
+        this.jobs.forEach(job => job.start());
+    }
+
     async gracefulShutdown(signal) {
         logger.info(`Iniciando shutdown graceful devido a: ${signal}`);
 
+        // Parar jobs agendados e aguardar os jobs em andamento dos workers da fila
+        await Promise.all((this.jobs || []).map(job => job.stop()));
+
+        try {
+            await getCpaQueue().close();
+        } catch (error) {
+            logger.error('Erro ao fechar conexão da fila de CPAs:', error);
+        }
+
         // Fechar servidor HTTP
         if (this.server) {
             this.server.close(() => {
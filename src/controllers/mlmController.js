@@ -1,11 +1,28 @@
 const MLMService = require('../services/mlmService');
 const logger = require('../utils/logger');
+const { MLMError } = require('../utils/errors');
+const { EXPORT_FORMATS, toNestedJson, toCsv, toDot } = require('../utils/hierarchyExport');
+const { CALCULATION_METHODS } = require('../utils/calculationMethods');
+const { toMinor, fromMinor, sumMinor } = require('../utils/money');
 
 class MLMController {
     constructor() {
         this.mlmService = new MLMService();
     }
 
+    // Responder erro (estruturado para erros de domínio, 500 para os demais)
+    sendError(res, error, message) {
+        if (error instanceof MLMError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+
+        res.status(500).json({
+            success: false,
+            message,
+            error: error.message
+        });
+    }
+
     // Health check
     async healthCheck(req, res) {
         try {
@@ -36,83 +53,212 @@ class MLMController {
                 });
             }
 
-            const result = await this.mlmService.processCpaForDistribution(userId, affiliateId, cpaData);
+            const idempotencyKey = req.get('Idempotency-Key');
+            if (idempotencyKey !== undefined && (idempotencyKey.trim() === '' || idempotencyKey.length > 255)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Idempotency-Key deve ter entre 1 e 255 caracteres'
+                });
+            }
+
+            const result = await this.mlmService.processCpaForDistribution(userId, affiliateId, cpaData, {
+                idempotencyKey: idempotencyKey ? idempotencyKey.trim() : null
+            });
+
+            let message = 'CPA processado com sucesso';
+            if (result.duplicate) {
+                message = 'CPA já processado anteriormente';
+            } else if (result.held) {
+                message = 'CPA retido para revisão antifraude';
+            }
 
             res.status(200).json({
                 success: true,
-                message: 'CPA processado com sucesso',
+                message,
                 data: result
             });
 
         } catch (error) {
             logger.error('Erro ao processar CPA:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Erro ao processar CPA',
-                error: error.message
+            this.sendError(res, error, 'Erro ao processar CPA');
+        }
+    }
+
+    // Processar lote de CPAs com resultado por item
+    async processCpaBatch(req, res) {
+        try {
+            const result = await this.mlmService.processCpaBatch(req.body.items);
+
+            res.status(200).json({
+                success: true,
+                message: 'Lote de CPAs processado',
+                data: result
             });
+
+        } catch (error) {
+            logger.error('Erro ao processar lote de CPAs:', error);
+            this.sendError(res, error, 'Erro ao processar lote de CPAs');
         }
     }
 
-    // Buscar hierarquia de um afiliado
-    async getHierarchy(req, res) {
+    // Enfileirar CPA para processamento assíncrono pelos workers da fila
+    async enqueueCpa(req, res) {
         try {
-            const { affiliateId } = req.params;
-            const { maxLevels } = req.query;
+            const { userId, affiliateId, cpaData } = req.body;
 
-            if (!affiliateId) {
+            const idempotencyKey = req.get('Idempotency-Key');
+            if (idempotencyKey !== undefined && (idempotencyKey.trim() === '' || idempotencyKey.length > 255)) {
                 return res.status(400).json({
                     success: false,
-                    message: 'affiliateId é obrigatório'
+                    message: 'Idempotency-Key deve ter entre 1 e 255 caracteres'
                 });
             }
 
-            const hierarchy = await this.mlmService.getAffiliateHierarchy(
-                parseInt(affiliateId),
-                maxLevels ? parseInt(maxLevels) : null
-            );
+            const result = await this.mlmService.enqueueCpa(userId, affiliateId, cpaData, {
+                idempotencyKey: idempotencyKey ? idempotencyKey.trim() : null
+            });
+
+            res.status(202).json({
+                success: true,
+                message: 'CPA enfileirado para processamento',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao enfileirar CPA:', error);
+            this.sendError(res, error, 'Erro ao enfileirar CPA');
+        }
+    }
+
+    // Buscar hierarquia de um afiliado
+    async getHierarchy(req, res) {
+        try {
+            const { affiliateId } = req.params;
+
+            // Query já validada e convertida pelo schema hierarchyQuery
+            const result = await this.mlmService.getAffiliateHierarchy(affiliateId, req.query);
 
             res.status(200).json({
                 success: true,
                 data: {
-                    affiliateId: parseInt(affiliateId),
-                    hierarchy,
-                    totalLevels: hierarchy.length
+                    affiliateId,
+                    asOf: req.query.asOf || null,
+                    filters: req.query,
+                    ...result
                 }
             });
 
         } catch (error) {
             logger.error('Erro ao buscar hierarquia:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Erro ao buscar hierarquia',
-                error: error.message
-            });
+            this.sendError(res, error, 'Erro ao buscar hierarquia');
         }
     }
 
-    // Buscar upline de um afiliado
-    async getUpline(req, res) {
+    // Exportar subárvore (json aninhado, csv plano ou Graphviz dot) em streaming
+    async exportHierarchy(req, res) {
         try {
             const { affiliateId } = req.params;
-            const { maxLevels } = req.query;
+            const format = (req.query.format || 'json').toLowerCase();
 
-            if (!affiliateId) {
+            if (!EXPORT_FORMATS[format]) {
                 return res.status(400).json({
                     success: false,
-                    message: 'affiliateId é obrigatório'
+                    message: `format deve ser um de: ${Object.keys(EXPORT_FORMATS).join(', ')}`
                 });
             }
 
-            const upline = await this.mlmService.getAffiliateUpline(
-                parseInt(affiliateId),
-                maxLevels ? parseInt(maxLevels) : null
-            );
+            const batches = await this.mlmService.getHierarchyExport(affiliateId);
+
+            let chunks;
+            if (format === 'csv') {
+                chunks = toCsv(batches);
+            } else if (format === 'dot') {
+                chunks = toDot(batches, affiliateId);
+            } else {
+                // A árvore aninhada só pode ser montada com a subárvore inteira
+                const rows = [];
+                for await (const batch of batches) {
+                    rows.push(...batch);
+                }
+                chunks = toNestedJson(rows, affiliateId);
+            }
+
+            res.status(200);
+            res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="hierarchy_${affiliateId}.${EXPORT_FORMATS[format].extension}"`);
+
+            // Agrupar trechos pequenos e respeitar o backpressure da resposta;
+            // cliente desconectado interrompe a leitura (o cursor é fechado pelo gerador)
+            let buffer = '';
+            for await (const chunk of chunks) {
+                buffer += chunk;
+                if (buffer.length >= 64 * 1024) {
+                    if (!res.write(buffer) && !await this.waitForDrain(res)) {
+                        return;
+                    }
+                    buffer = '';
+                }
+            }
+            res.end(buffer);
+
+        } catch (error) {
+            logger.error('Erro ao exportar hierarquia:', error);
+            if (res.headersSent) {
+                return res.end();
+            }
+            this.sendError(res, error, 'Erro ao exportar hierarquia');
+        }
+    }
+
+    // Aguardar o buffer da resposta esvaziar; false se a conexão foi fechada antes
+    waitForDrain(res) {
+        return new Promise(resolve => {
+            const onDrain = () => {
+                res.off('close', onClose);
+                resolve(true);
+            };
+            const onClose = () => {
+                res.off('drain', onDrain);
+                resolve(false);
+            };
+            res.once('drain', onDrain);
+            res.once('close', onClose);
+        });
+    }
+
+    // Relação genealógica entre dois afiliados
+    async getRelationship(req, res) {
+        try {
+            const { affiliateId, otherAffiliateId } = req.params;
+
+            const relationship = await this.mlmService.getRelationship(affiliateId, otherAffiliateId, req.query.cpaAmount);
+
+            res.status(200).json({
+                success: true,
+                data: relationship
+            });
+
+        } catch (error) {
+            logger.error('Erro ao buscar relação entre afiliados:', error);
+            this.sendError(res, error, 'Erro ao buscar relação entre afiliados');
+        }
+    }
+
+    // Buscar upline de um afiliado
+    async getUpline(req, res) {
+        try {
+            const { affiliateId } = req.params;
+
+            // Query já validada e convertida pelo schema uplineQuery
+            const { maxLevels = null, asOf = null } = req.query;
+
+            const upline = await this.mlmService.getAffiliateUpline(affiliateId, maxLevels, asOf);
 
             res.status(200).json({
                 success: true,
                 data: {
-                    affiliateId: parseInt(affiliateId),
+                    affiliateId,
+                    asOf,
                     upline,
                     totalLevels: upline.length
                 }
@@ -120,11 +266,7 @@ class MLMController {
 
         } catch (error) {
             logger.error('Erro ao buscar upline:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Erro ao buscar upline',
-                error: error.message
-            });
+            this.sendError(res, error, 'Erro ao buscar upline');
         }
     }
 
@@ -153,11 +295,386 @@ class MLMController {
 
         } catch (error) {
             logger.error('Erro ao criar/atualizar afiliado:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Erro ao criar/atualizar afiliado',
-                error: error.message
+            this.sendError(res, error, 'Erro ao criar/atualizar afiliado');
+        }
+    }
+
+    // Importar hierarquia em lote (JSON ou CSV)
+    async importHierarchy(req, res) {
+        try {
+            const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+            const result = await this.mlmService.importHierarchy(req.body.affiliates, dryRun);
+
+            res.status(dryRun ? 200 : 201).json({
+                success: result.errors.length === 0,
+                message: dryRun ? 'Simulação de importação concluída' : 'Hierarquia importada com sucesso',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao importar hierarquia:', error);
+            this.sendError(res, error, 'Erro ao importar hierarquia');
+        }
+    }
+
+    // Buscar rank vigente e histórico de ranks de um afiliado
+    async getAffiliateRank(req, res) {
+        try {
+            const { affiliateId } = req.params;
+
+            const result = await this.mlmService.getAffiliateRank(affiliateId);
+
+            res.status(200).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao buscar rank do afiliado:', error);
+            this.sendError(res, error, 'Erro ao buscar rank do afiliado');
+        }
+    }
+
+    // Saldo do afiliado por moeda: valores em carência e liberados
+    async getAffiliateBalance(req, res) {
+        try {
+            const { affiliateId } = req.params;
+
+            const balance = await this.mlmService.getAffiliateBalance(affiliateId);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    affiliateId,
+                    balance
+                }
+            });
+
+        } catch (error) {
+            logger.error('Erro ao buscar saldo do afiliado:', error);
+            this.sendError(res, error, 'Erro ao buscar saldo do afiliado');
+        }
+    }
+
+    // Liberar e pagar distribuições cuja carência terminou (execução manual do job)
+    async releaseDistributions(req, res) {
+        try {
+            const result = await this.mlmService.releaseDueDistributions();
+
+            res.status(200).json({
+                success: true,
+                message: `${result.released} distribuições pagas, ${result.submitted} aguardando confirmação do provedor`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao liberar distribuições:', error);
+            this.sendError(res, error, 'Erro ao liberar distribuições');
+        }
+    }
+
+    // Confirmação de pagamento enviada pelo provedor
+    async handlePayoutCallback(req, res) {
+        try {
+            const { distribution, applied } = await this.mlmService.handlePayoutCallback(req.body);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    applied,
+                    distributionId: distribution.id,
+                    reference: distribution.payout_reference,
+                    status: distribution.status,
+                    payoutStatus: distribution.payout_status
+                }
+            });
+
+        } catch (error) {
+            logger.error('Erro ao processar callback de pagamento:', error);
+            this.sendError(res, error, 'Erro ao processar callback de pagamento');
+        }
+    }
+
+    // Recalcular ranks de todos os afiliados (execução manual do job)
+    async recalculateRanks(req, res) {
+        try {
+            const result = await this.mlmService.recalculateRanks();
+
+            res.status(200).json({
+                success: true,
+                message: `${result.changed} afiliados mudaram de rank`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao recalcular ranks:', error);
+            this.sendError(res, error, 'Erro ao recalcular ranks');
+        }
+    }
+
+    // Situação da fila de CPAs (prontos, em processamento, aguardando nova tentativa e dead-letter)
+    async getCpaQueueStatus(req, res) {
+        try {
+            const status = await this.mlmService.getCpaQueueStatus();
+
+            res.status(200).json({
+                success: true,
+                data: status
+            });
+
+        } catch (error) {
+            logger.error('Erro ao buscar status da fila de CPAs:', error);
+            this.sendError(res, error, 'Erro ao buscar status da fila de CPAs');
+        }
+    }
+
+    // Listar jobs da dead-letter com o último erro de cada um
+    async listDeadLetterCpas(req, res) {
+        try {
+            const result = await this.mlmService.listDeadLetterCpas(req.query);
+
+            res.status(200).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao listar dead-letter da fila de CPAs:', error);
+            this.sendError(res, error, 'Erro ao listar dead-letter da fila de CPAs');
+        }
+    }
+
+    // Reenfileirar jobs da dead-letter
+    async retryDeadLetterCpas(req, res) {
+        try {
+            const result = await this.mlmService.retryDeadLetterCpas(
+                req.body.jobIds || null,
+                req.user ? req.user.username : 'system'
+            );
+
+            res.status(200).json({
+                success: true,
+                message: `${result.retried.length} jobs reenfileirados`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao reenfileirar dead-letter da fila de CPAs:', error);
+            this.sendError(res, error, 'Erro ao reenfileirar dead-letter da fila de CPAs');
+        }
+    }
+
+    // Descartar jobs da dead-letter
+    async purgeDeadLetterCpas(req, res) {
+        try {
+            const result = await this.mlmService.purgeDeadLetterCpas(
+                req.body.jobIds || null,
+                req.user ? req.user.username : 'system'
+            );
+
+            res.status(200).json({
+                success: true,
+                message: `${result.purged.length} jobs descartados`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao descartar dead-letter da fila de CPAs:', error);
+            this.sendError(res, error, 'Erro ao descartar dead-letter da fila de CPAs');
+        }
+    }
+
+    // Listar cotações cadastradas
+    async listFxRates(req, res) {
+        try {
+            const rates = await this.mlmService.listFxRates(req.query);
+
+            res.status(200).json({
+                success: true,
+                data: rates
+            });
+
+        } catch (error) {
+            logger.error('Erro ao listar cotações:', error);
+            this.sendError(res, error, 'Erro ao listar cotações');
+        }
+    }
+
+    // Gravar cotações (substitui a cotação existente na mesma data)
+    async saveFxRates(req, res) {
+        try {
+            const rates = await this.mlmService.saveFxRates(
+                req.body.rates,
+                req.user ? req.user.username : 'system'
+            );
+
+            res.status(200).json({
+                success: true,
+                message: `${rates.length} cotações gravadas`,
+                data: rates
+            });
+
+        } catch (error) {
+            logger.error('Erro ao gravar cotações:', error);
+            this.sendError(res, error, 'Erro ao gravar cotações');
+        }
+    }
+
+    // Listar acordos de CPA de um afiliado
+    async listCpaOverrides(req, res) {
+        try {
+            const { affiliateId } = req.params;
+
+            const result = await this.mlmService.listCpaOverrides(affiliateId);
+
+            res.status(200).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao listar acordos de CPA:', error);
+            this.sendError(res, error, 'Erro ao listar acordos de CPA');
+        }
+    }
+
+    // Criar acordo de CPA para um afiliado
+    async createCpaOverride(req, res) {
+        try {
+            const { affiliateId } = req.params;
+
+            const override = await this.mlmService.createCpaOverride(
+                affiliateId,
+                req.body,
+                req.user ? req.user.username : 'system'
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Acordo de CPA criado com sucesso',
+                data: override
+            });
+
+        } catch (error) {
+            logger.error('Erro ao criar acordo de CPA:', error);
+            this.sendError(res, error, 'Erro ao criar acordo de CPA');
+        }
+    }
+
+    // Buscar acordo de CPA
+    async getCpaOverride(req, res) {
+        try {
+            const override = await this.mlmService.getCpaOverride(req.params.overrideId);
+
+            res.status(200).json({
+                success: true,
+                data: override
+            });
+
+        } catch (error) {
+            logger.error('Erro ao buscar acordo de CPA:', error);
+            this.sendError(res, error, 'Erro ao buscar acordo de CPA');
+        }
+    }
+
+    // Alterar acordo de CPA
+    async updateCpaOverride(req, res) {
+        try {
+            const override = await this.mlmService.updateCpaOverride(
+                req.params.overrideId,
+                req.body,
+                req.user ? req.user.username : 'system'
+            );
+
+            res.status(200).json({
+                success: true,
+                message: 'Acordo de CPA alterado com sucesso',
+                data: override
+            });
+
+        } catch (error) {
+            logger.error('Erro ao alterar acordo de CPA:', error);
+            this.sendError(res, error, 'Erro ao alterar acordo de CPA');
+        }
+    }
+
+    // Remover acordo de CPA
+    async deleteCpaOverride(req, res) {
+        try {
+            const override = await this.mlmService.deleteCpaOverride(
+                req.params.overrideId,
+                req.user ? req.user.username : 'system'
+            );
+
+            res.status(200).json({
+                success: true,
+                message: 'Acordo de CPA removido com sucesso',
+                data: override
+            });
+
+        } catch (error) {
+            logger.error('Erro ao remover acordo de CPA:', error);
+            this.sendError(res, error, 'Erro ao remover acordo de CPA');
+        }
+    }
+
+    // Verificar integridade da hierarquia
+    async checkHierarchyIntegrity(req, res) {
+        try {
+            const report = await this.mlmService.checkHierarchyIntegrity();
+
+            res.status(200).json({
+                success: true,
+                data: report
+            });
+
+        } catch (error) {
+            logger.error('Erro ao verificar integridade da hierarquia:', error);
+            this.sendError(res, error, 'Erro ao verificar integridade da hierarquia');
+        }
+    }
+
+    // Reparar integridade da hierarquia
+    async repairHierarchyIntegrity(req, res) {
+        try {
+            const result = await this.mlmService.repairHierarchyIntegrity(req.body);
+
+            res.status(200).json({
+                success: true,
+                message: result.dryRun ? 'Simulação de reparo concluída' : 'Hierarquia reparada com sucesso',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao reparar integridade da hierarquia:', error);
+            this.sendError(res, error, 'Erro ao reparar integridade da hierarquia');
+        }
+    }
+
+    // Desativar afiliado
+    async deactivateAffiliate(req, res) {
+        try {
+            const { affiliateId } = req.params;
+            const mode = req.query.mode || 'compress';
+
+            if (!['compress', 'keep'].includes(mode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'mode deve ser compress ou keep'
+                });
+            }
+
+            const result = await this.mlmService.deactivateAffiliate(parseInt(affiliateId), mode);
+
+            res.status(200).json({
+                success: true,
+                message: 'Afiliado desativado com sucesso',
+                data: result
             });
+
+        } catch (error) {
+            logger.error('Erro ao desativar afiliado:', error);
+            this.sendError(res, error, 'Erro ao desativar afiliado');
         }
     }
 
@@ -207,7 +724,7 @@ class MLMController {
     async getAffiliateStatistics(req, res) {
         try {
             const { affiliateId } = req.params;
-            const { periodStart, periodEnd } = req.query;
+            const { periodStart, periodEnd, reportingCurrency } = req.query;
 
             if (!affiliateId) {
                 return res.status(400).json({
@@ -219,7 +736,8 @@ class MLMController {
             const statistics = await this.mlmService.getAffiliateStatistics(
                 parseInt(affiliateId),
                 periodStart ? new Date(periodStart) : null,
-                periodEnd ? new Date(periodEnd) : null
+                periodEnd ? new Date(periodEnd) : null,
+                reportingCurrency || null
             );
 
             res.status(200).json({
@@ -242,17 +760,44 @@ class MLMController {
         }
     }
 
+    // Buscar estatísticas da equipe (subárvore) de um afiliado
+    async getTeamStatistics(req, res) {
+        try {
+            const { affiliateId } = req.params;
+            const { periodStart, periodEnd, reportingCurrency } = req.query;
+
+            const statistics = await this.mlmService.getTeamStatistics(affiliateId, periodStart, periodEnd, reportingCurrency);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    affiliateId,
+                    ...statistics
+                }
+            });
+
+        } catch (error) {
+            logger.error('Erro ao buscar estatísticas da equipe:', error);
+            this.sendError(res, error, 'Erro ao buscar estatísticas da equipe');
+        }
+    }
+
     // Buscar configurações CPA atuais
     async getCpaConfig(req, res) {
         try {
             const cpaAmounts = await this.mlmService.getConfig('cpa_level_amounts');
             const validationRules = await this.mlmService.getConfig('cpa_validation_rules');
             const mlmSettings = await this.mlmService.getConfig('mlm_settings');
+            const cpaPercentages = await this.mlmService.getConfig(
+                'cpa_level_percentages',
+                CALCULATION_METHODS.percentage.defaults
+            );
 
             res.status(200).json({
                 success: true,
                 data: {
                     cpaAmounts,
+                    cpaPercentages,
                     validationRules,
                     mlmSettings,
                     timestamp: new Date().toISOString()
@@ -269,10 +814,95 @@ class MLMController {
         }
     }
 
+    // Avaliar CPA contra as regras de validação sem processar (detalhamento por critério)
+    async validateCpa(req, res) {
+        try {
+            const { userId, cpaData } = req.body;
+
+            const result = await this.mlmService.explainCpaValidation(userId, cpaData);
+
+            res.status(200).json({
+                success: true,
+                message: result.passed ? 'CPA atende aos critérios de validação' : 'CPA não atende aos critérios de validação',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao validar CPA:', error);
+            this.sendError(res, error, 'Erro ao validar CPA');
+        }
+    }
+
+    // Estornar CPA já distribuído
+    async reverseCpa(req, res) {
+        try {
+            const { cpaId } = req.params;
+            const { reasonCode, notes } = req.body;
+
+            const result = await this.mlmService.reverseCpa(
+                cpaId,
+                reasonCode,
+                notes || null,
+                req.user ? req.user.username : 'system'
+            );
+
+            res.status(200).json({
+                success: true,
+                message: 'CPA estornado com sucesso',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao estornar CPA:', error);
+            this.sendError(res, error, 'Erro ao estornar CPA');
+        }
+    }
+
+    // Listar CPAs retidos pela triagem antifraude
+    async listHeldCpas(req, res) {
+        try {
+            const result = await this.mlmService.listHeldCpas(req.query);
+
+            res.status(200).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao listar CPAs retidos:', error);
+            this.sendError(res, error, 'Erro ao listar CPAs retidos');
+        }
+    }
+
+    // Aprovar (distribuir) ou reprovar CPA retido pela triagem antifraude
+    async reviewHeldCpa(req, res) {
+        try {
+            const { cpaId } = req.params;
+            const { decision, notes } = req.body;
+
+            const result = await this.mlmService.reviewHeldCpa(
+                cpaId,
+                decision,
+                notes || null,
+                req.user ? req.user.username : 'system'
+            );
+
+            res.status(200).json({
+                success: true,
+                message: decision === 'APPROVE' ? 'CPA aprovado e distribuído' : 'CPA reprovado na revisão',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao revisar CPA retido:', error);
+            this.sendError(res, error, 'Erro ao revisar CPA retido');
+        }
+    }
+
     // Simular distribuição CPA (para testes)
     async simulateCpaDistribution(req, res) {
         try {
-            const { affiliateId, cpaAmount } = req.body;
+            const { affiliateId, cpaAmount, eventDate, currency } = req.body;
 
             if (!affiliateId || !cpaAmount) {
                 return res.status(400).json({
@@ -281,38 +911,42 @@ class MLMController {
                 });
             }
 
-            // Buscar upline
-            const upline = await this.mlmService.getAffiliateUpline(parseInt(affiliateId));
-            
-            // Buscar valores CPA
-            const cpaAmounts = await this.mlmService.getConfig('cpa_level_amounts');
-            const mlmSettings = await this.mlmService.getConfig('mlm_settings');
+            // Configuração, valores por nível e upline (com inativos), com o acordo de CPA vigente aplicado
+            const asOf = eventDate ? new Date(eventDate) : null;
+            const { mlmSettings, levelValues, upline, override, useRankValues } =
+                await this.mlmService.getDistributionContext(parseInt(affiliateId), asOf);
+
+            // Valor do CPA em unidades menores; sem moeda informada vale a da configuração
+            const cpaCurrency = currency || mlmSettings.currency || 'BRL';
+            const cpa = { amount_minor: toMinor(cpaAmount, cpaCurrency), currency: cpaCurrency };
 
             // Calcular distribuições
-            const distributions = this.mlmService.calculateDistributions(upline, cpaAmounts, mlmSettings);
+            const distributions = await this.mlmService.planDistributions(
+                upline, levelValues, mlmSettings, cpa, asOf, useRankValues
+            );
 
-            const totalDistribution = distributions.reduce((sum, d) => sum + d.amount, 0);
+            const totalMinor = sumMinor(distributions.map(d => d.amount_minor));
 
             res.status(200).json({
                 success: true,
                 message: 'Simulação de distribuição CPA',
                 data: {
                     affiliateId: parseInt(affiliateId),
-                    originalAmount: parseFloat(cpaAmount),
+                    originalAmount: fromMinor(cpa.amount_minor, cpaCurrency),
+                    currency: cpaCurrency,
+                    calculationMethod: mlmSettings.calculation_method || 'standard',
+                    cpaOverride: override,
+                    levelValues,
                     upline,
-                    distributions,
-                    totalDistribution,
-                    remainingAmount: parseFloat(cpaAmount) - totalDistribution
+                    distributions: this.mlmService.presentDistributions(distributions),
+                    totalDistribution: fromMinor(totalMinor, cpaCurrency),
+                    remainingAmount: fromMinor(cpa.amount_minor - totalMinor, cpaCurrency)
                 }
             });
 
         } catch (error) {
             logger.error('Erro na simulação:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Erro na simulação',
-                error: error.message
-            });
+            this.sendError(res, error, 'Erro na simulação');
         }
     }
 
@@ -0,0 +1,68 @@
+require('dotenv').config();
+
+const MLMModel = require('../models/mlmModel');
+
+// Uso: node src/database/checkHierarchy.js [--repair] [--dry-run] [--compress-inactive]
+function parseArgs(argv) {
+    return {
+        repair: argv.includes('--repair'),
+        dryRun: argv.includes('--dry-run'),
+        compressInactive: argv.includes('--compress-inactive')
+    };
+}
+
+function printSummary(title, summary) {
+    console.log(title);
+    for (const [type, count] of Object.entries(summary)) {
+        console.log(`   ${count > 0 ? '❌' : '✅'} ${type}: ${count}`);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const mlmModel = new MLMModel();
+    let exitCode = 0;
+
+    try {
+        console.log('🔍 Verificando integridade da hierarquia MLM...');
+
+        const report = await mlmModel.checkHierarchyIntegrity();
+        printSummary(`📋 ${report.totalAffiliates} afiliados, ${report.totalIssues} problemas encontrados`, report.summary);
+
+        for (const issue of report.issues) {
+            console.log(`   - [${issue.type}] afiliado ${issue.affiliateId}: ${issue.description}`);
+        }
+
+        if (args.repair && report.totalIssues > 0) {
+            console.log(args.dryRun ? '🧪 Simulando reparo...' : '🔧 Reparando hierarquia...');
+
+            const result = await mlmModel.repairHierarchyIntegrity({
+                dryRun: args.dryRun,
+                compressInactive: args.compressInactive
+            });
+
+            for (const change of result.changes) {
+                console.log(`   - afiliado ${change.affiliateId}: parent ${change.previous.parentId} → ${change.parentId}, path [${change.path.join(', ')}]`);
+            }
+
+            printSummary(`✅ ${result.repaired} afiliados ${result.dryRun ? 'seriam corrigidos' : 'corrigidos'}. Situação após o reparo:`, result.after);
+        } else if (report.totalIssues > 0) {
+            console.log('⚠️  Execute com --repair para corrigir (use --dry-run para simular)');
+            exitCode = 1;
+        }
+    } catch (error) {
+        console.error('💥 Erro na verificação da hierarquia:', error);
+        exitCode = 1;
+    } finally {
+        await mlmModel.close();
+    }
+
+    process.exit(exitCode);
+}
+
+// Executar se chamado diretamente
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs };
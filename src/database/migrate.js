@@ -12,9 +12,10 @@ async function createTables() {
     try {
         console.log('🚀 Iniciando criação das tabelas MLM...');
 
-        // Criar extensão UUID se não existir
+        // Criar extensões UUID e btree_gist (restrição de vigências sobrepostas) se não existirem
         await client.query(`
             CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+            CREATE EXTENSION IF NOT EXISTS btree_gist;
         `);
 
         // Tabela de hierarquia MLM
@@ -34,6 +35,66 @@ async function createTables() {
             );
         `);
 
+        // Histórico de vínculos da hierarquia (um registro por parent com vigência)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS mlm_hierarchy_history (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                affiliate_id INTEGER NOT NULL,
+                parent_id INTEGER,
+                active BOOLEAN NOT NULL DEFAULT TRUE,
+                valid_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                valid_to TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                
+                CONSTRAINT valid_history_range CHECK (valid_to IS NULL OR valid_to >= valid_from)
+            );
+        `);
+
+        // Histórico de ranks dos afiliados (um registro por rank com vigência)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS affiliate_rank_history (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                affiliate_id INTEGER NOT NULL,
+                rank VARCHAR(30) NOT NULL,
+                previous_rank VARCHAR(30),
+                metrics JSONB,
+                valid_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                valid_to TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                
+                CONSTRAINT valid_rank_range CHECK (valid_to IS NULL OR valid_to >= valid_from)
+            );
+        `);
+
+        // Acordos de CPA negociados por afiliado (AFFILIATE) ou por subárvore (SUBTREE)
+        // Vigências do mesmo afiliado e escopo não podem se sobrepor
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS affiliate_cpa_overrides (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                affiliate_id INTEGER NOT NULL,
+                scope VARCHAR(20) NOT NULL DEFAULT 'AFFILIATE',
+                level_amounts JSONB,
+                level_percentages JSONB,
+                max_levels INTEGER,
+                minimum_amount NUMERIC(15,2),
+                valid_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                valid_to TIMESTAMP,
+                notes TEXT,
+                created_by VARCHAR(100) DEFAULT 'system',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                
+                CONSTRAINT valid_override_scope CHECK (scope IN ('AFFILIATE', 'SUBTREE')),
+                CONSTRAINT valid_override_range CHECK (valid_to IS NULL OR valid_to > valid_from),
+                CONSTRAINT valid_override_max_levels CHECK (max_levels IS NULL OR max_levels BETWEEN 1 AND 5),
+                CONSTRAINT no_overlapping_overrides EXCLUDE USING gist (
+                    affiliate_id WITH =,
+                    scope WITH =,
+                    tsrange(valid_from, valid_to) WITH &&
+                )
+            );
+        `);
+
         // Tabela de CPAs validados
         await client.query(`
             CREATE TABLE IF NOT EXISTS cpa_validados (
@@ -41,7 +102,7 @@ async function createTables() {
                 user_id INTEGER NOT NULL,
                 affiliate_id INTEGER NOT NULL,
                 affiliate_level INTEGER NOT NULL CHECK (affiliate_level BETWEEN 1 AND 5),
-                cpa_amount DECIMAL(10,2) NOT NULL,
+                cpa_amount NUMERIC(15,2) NOT NULL,
                 validation_rule_id VARCHAR(50) NOT NULL,
                 validation_criteria JSONB NOT NULL,
                 validated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -50,7 +111,7 @@ async function createTables() {
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 
-                CONSTRAINT valid_status CHECK (status IN ('PENDING', 'DISTRIBUTED', 'CANCELLED', 'ERROR'))
+                CONSTRAINT valid_status CHECK (status IN ('PENDING', 'DISTRIBUTED', 'CANCELLED', 'ERROR', 'REJECTED', 'HELD'))
             );
         `);
 
@@ -62,8 +123,8 @@ async function createTables() {
                 user_id INTEGER NOT NULL,
                 affiliate_id INTEGER NOT NULL,
                 affiliate_level INTEGER NOT NULL,
-                original_amount DECIMAL(10,2) NOT NULL,
-                distributed_amount DECIMAL(10,2) NOT NULL,
+                original_amount NUMERIC(15,2) NOT NULL,
+                distributed_amount NUMERIC(15,2) NOT NULL,
                 distribution_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 transaction_id VARCHAR(100),
                 status VARCHAR(20) DEFAULT 'COMPLETED',
@@ -81,21 +142,39 @@ async function createTables() {
                 period_start DATE NOT NULL,
                 period_end DATE NOT NULL,
                 total_cpas INTEGER DEFAULT 0,
-                total_amount DECIMAL(12,2) DEFAULT 0.00,
+                total_amount NUMERIC(15,2) DEFAULT 0.00,
                 level_1_cpas INTEGER DEFAULT 0,
-                level_1_amount DECIMAL(10,2) DEFAULT 0.00,
+                level_1_amount NUMERIC(15,2) DEFAULT 0.00,
                 level_2_cpas INTEGER DEFAULT 0,
-                level_2_amount DECIMAL(10,2) DEFAULT 0.00,
+                level_2_amount NUMERIC(15,2) DEFAULT 0.00,
                 level_3_cpas INTEGER DEFAULT 0,
-                level_3_amount DECIMAL(10,2) DEFAULT 0.00,
+                level_3_amount NUMERIC(15,2) DEFAULT 0.00,
                 level_4_cpas INTEGER DEFAULT 0,
-                level_4_amount DECIMAL(10,2) DEFAULT 0.00,
+                level_4_amount NUMERIC(15,2) DEFAULT 0.00,
                 level_5_cpas INTEGER DEFAULT 0,
-                level_5_amount DECIMAL(10,2) DEFAULT 0.00,
+                level_5_amount NUMERIC(15,2) DEFAULT 0.00,
+                currency VARCHAR(3) NOT NULL DEFAULT 'BRL',
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 
-                CONSTRAINT unique_affiliate_period UNIQUE (affiliate_id, period_start, period_end)
+                CONSTRAINT unique_affiliate_period UNIQUE (affiliate_id, period_start, period_end, currency)
+            );
+        `);
+
+        // Cotações para relatórios em moeda base: 1 unidade de currency = rate unidades de base_currency
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS fx_rates (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                currency VARCHAR(3) NOT NULL,
+                base_currency VARCHAR(3) NOT NULL,
+                rate DECIMAL(18,8) NOT NULL,
+                rate_date DATE NOT NULL,
+                source VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                
+                CONSTRAINT positive_fx_rate CHECK (rate > 0),
+                CONSTRAINT unique_fx_rate UNIQUE (currency, base_currency, rate_date)
             );
         `);
 
@@ -118,26 +197,142 @@ async function createTables() {
             );
         `);
 
+        // Colunas adicionadas após a criação inicial das tabelas
+        const alterations = [
+            'ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS event_at TIMESTAMP',
+            'ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255)',
+            'ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS source_event_id VARCHAR(100)',
+            'ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMP',
+            'ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS reversal_reason VARCHAR(30)',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS reversal_of UUID REFERENCES cpa_distributions(id)',
+            'ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS validation_result JSONB',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS qualification JSONB',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS earner_rank VARCHAR(30)',
+            'ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS cpa_override_id UUID REFERENCES affiliate_cpa_overrides(id)',
+            "ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'BRL'",
+            "ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'BRL'",
+            "ALTER TABLE mlm_statistics ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'BRL'",
+            'ALTER TABLE mlm_statistics DROP CONSTRAINT IF EXISTS unique_affiliate_period',
+            `ALTER TABLE mlm_statistics ADD CONSTRAINT unique_affiliate_period
+                UNIQUE (affiliate_id, period_start, period_end, currency)`,
+            'ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS fraud_flags JSONB',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS release_at TIMESTAMP',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS released_at TIMESTAMP',
+            'ALTER TABLE mlm_statistics ADD COLUMN IF NOT EXISTS pending_amount NUMERIC(15,2) NOT NULL DEFAULT 0.00',
+            'ALTER TABLE mlm_statistics ADD COLUMN IF NOT EXISTS released_amount NUMERIC(15,2) NOT NULL DEFAULT 0.00',
+            // Valores monetários: DECIMAL(10,2) estourava em moedas sem centavos (CLP, JPY); 15 dígitos mantêm
+            // qualquer valor gravado dentro dos inteiros seguros em unidades menores (ver src/models/mlmModel.js)
+            ...[
+                ['cpa_validados', 'cpa_amount'],
+                ['cpa_distributions', 'original_amount'],
+                ['cpa_distributions', 'distributed_amount'],
+                ['affiliate_cpa_overrides', 'minimum_amount'],
+                ['mlm_statistics', 'total_amount'],
+                ['mlm_statistics', 'pending_amount'],
+                ['mlm_statistics', 'released_amount'],
+                ...[1, 2, 3, 4, 5].map(level => ['mlm_statistics', `level_${level}_amount`])
+            ].map(([table, column]) => `ALTER TABLE ${table} ALTER COLUMN ${column} TYPE NUMERIC(15,2)`),
+            // Períodos anteriores à carência: todo o valor já estava liberado
+            `UPDATE mlm_statistics SET released_amount = total_amount
+                WHERE pending_amount = 0 AND released_amount = 0 AND total_amount <> 0`,
+            'ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP',
+            'ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(100)',
+            'ALTER TABLE cpa_validados ADD COLUMN IF NOT EXISTS review_notes TEXT',
+            'ALTER TABLE cpa_validados DROP CONSTRAINT IF EXISTS valid_status',
+            `ALTER TABLE cpa_validados ADD CONSTRAINT valid_status
+                CHECK (status IN ('PENDING', 'DISTRIBUTED', 'CANCELLED', 'ERROR', 'REJECTED', 'HELD'))`,
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS payout_status VARCHAR(20)',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS payout_reference VARCHAR(100)',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS payout_provider VARCHAR(30)',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS payout_provider_reference VARCHAR(100)',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS payout_attempts INTEGER NOT NULL DEFAULT 0',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS payout_submitted_at TIMESTAMP',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS payout_confirmed_at TIMESTAMP',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS payout_next_attempt_at TIMESTAMP',
+            'ALTER TABLE cpa_distributions ADD COLUMN IF NOT EXISTS payout_error TEXT',
+            'ALTER TABLE cpa_distributions DROP CONSTRAINT IF EXISTS valid_payout_status',
+            `ALTER TABLE cpa_distributions ADD CONSTRAINT valid_payout_status
+                CHECK (payout_status IN ('SUBMITTING', 'SUBMITTED', 'RETRY', 'CONFIRMED', 'FAILED'))`,
+            // Acordos só distribuem até o nível 5 (colunas level_1..level_5 de mlm_statistics)
+            'UPDATE affiliate_cpa_overrides SET max_levels = 5 WHERE max_levels > 5',
+            'ALTER TABLE affiliate_cpa_overrides DROP CONSTRAINT IF EXISTS valid_override_max_levels',
+            `ALTER TABLE affiliate_cpa_overrides ADD CONSTRAINT valid_override_max_levels
+                CHECK (max_levels IS NULL OR max_levels BETWEEN 1 AND 5)`
+        ];
+
+        for (const alterQuery of alterations) {
+            await client.query(alterQuery);
+        }
+
+        // CPAs gravados antes da idempotência recebem a chave padrão (user:<id>), senão o mesmo usuário seria
+        // distribuído de novo; com mais de um registro do usuário, a chave vai para o que conta (distribuído
+        // antes dos demais, ERROR por último) e os outros ficam com legacy:<id>
+        const backfill = await client.query(`
+            WITH ranked AS (
+                SELECT id, user_id,
+                       ROW_NUMBER() OVER (
+                           PARTITION BY user_id
+                           ORDER BY CASE status WHEN 'DISTRIBUTED' THEN 0 WHEN 'ERROR' THEN 2 ELSE 1 END, validated_at
+                       ) as position
+                FROM cpa_validados
+                WHERE idempotency_key IS NULL
+            )
+            UPDATE cpa_validados cv
+            SET idempotency_key = CASE
+                WHEN r.position = 1 AND NOT EXISTS (
+                    SELECT 1 FROM cpa_validados other WHERE other.idempotency_key = 'user:' || r.user_id
+                ) THEN 'user:' || r.user_id
+                ELSE 'legacy:' || cv.id
+            END
+            FROM ranked r
+            WHERE cv.id = r.id
+            RETURNING cv.idempotency_key
+        `);
+
+        if (backfill.rowCount > 0) {
+            const legacy = backfill.rows.filter(row => row.idempotency_key.startsWith('legacy:')).length;
+            console.log(`🔑 Chave de idempotência preenchida para ${backfill.rowCount} CPAs (${legacy} registros repetidos de usuário como legacy:<id>)`);
+        }
+
         // Criar índices para performance
         const indexes = [
             'CREATE INDEX IF NOT EXISTS idx_mlm_hierarchy_affiliate ON mlm_hierarchy(affiliate_id)',
             'CREATE INDEX IF NOT EXISTS idx_mlm_hierarchy_parent ON mlm_hierarchy(parent_id)',
             'CREATE INDEX IF NOT EXISTS idx_mlm_hierarchy_level ON mlm_hierarchy(level)',
             'CREATE INDEX IF NOT EXISTS idx_mlm_hierarchy_active ON mlm_hierarchy(active)',
+            'CREATE INDEX IF NOT EXISTS idx_mlm_hierarchy_path ON mlm_hierarchy USING GIN (path)',
+            
+            'CREATE INDEX IF NOT EXISTS idx_mlm_hierarchy_history_affiliate ON mlm_hierarchy_history(affiliate_id, valid_from)',
+            'CREATE INDEX IF NOT EXISTS idx_mlm_hierarchy_history_parent ON mlm_hierarchy_history(parent_id, valid_from)',
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_mlm_hierarchy_history_current ON mlm_hierarchy_history(affiliate_id) WHERE valid_to IS NULL',
+            
+            'CREATE INDEX IF NOT EXISTS idx_affiliate_rank_history_affiliate ON affiliate_rank_history(affiliate_id, valid_from)',
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_affiliate_rank_history_current ON affiliate_rank_history(affiliate_id) WHERE valid_to IS NULL',
+            
+            'CREATE INDEX IF NOT EXISTS idx_affiliate_cpa_overrides_affiliate ON affiliate_cpa_overrides(affiliate_id, valid_from)',
             
             'CREATE INDEX IF NOT EXISTS idx_cpa_validados_user ON cpa_validados(user_id)',
             'CREATE INDEX IF NOT EXISTS idx_cpa_validados_affiliate ON cpa_validados(affiliate_id)',
             'CREATE INDEX IF NOT EXISTS idx_cpa_validados_level ON cpa_validados(affiliate_level)',
             'CREATE INDEX IF NOT EXISTS idx_cpa_validados_status ON cpa_validados(status)',
             'CREATE INDEX IF NOT EXISTS idx_cpa_validados_date ON cpa_validados(validated_at)',
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_cpa_validados_idempotency ON cpa_validados(idempotency_key)',
+            'CREATE INDEX IF NOT EXISTS idx_cpa_validados_affiliate_event ON cpa_validados(affiliate_id, event_at)',
+            'CREATE INDEX IF NOT EXISTS idx_cpa_validados_criteria ON cpa_validados USING GIN (validation_criteria jsonb_path_ops)',
             
             'CREATE INDEX IF NOT EXISTS idx_cpa_distributions_affiliate ON cpa_distributions(affiliate_id)',
             'CREATE INDEX IF NOT EXISTS idx_cpa_distributions_user ON cpa_distributions(user_id)',
             'CREATE INDEX IF NOT EXISTS idx_cpa_distributions_date ON cpa_distributions(distribution_date)',
             'CREATE INDEX IF NOT EXISTS idx_cpa_distributions_status ON cpa_distributions(status)',
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_cpa_distributions_transaction ON cpa_distributions(transaction_id)',
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_cpa_distributions_reversal ON cpa_distributions(reversal_of)',
+            'CREATE INDEX IF NOT EXISTS idx_cpa_distributions_cpa ON cpa_distributions(cpa_validado_id)',
+            "CREATE INDEX IF NOT EXISTS idx_cpa_distributions_release ON cpa_distributions(release_at) WHERE status = 'PENDING'",
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_cpa_distributions_payout_reference ON cpa_distributions(payout_reference)',
             
             'CREATE INDEX IF NOT EXISTS idx_mlm_statistics_affiliate ON mlm_statistics(affiliate_id)',
             'CREATE INDEX IF NOT EXISTS idx_mlm_statistics_period ON mlm_statistics(period_start, period_end)',
+
             
             'CREATE INDEX IF NOT EXISTS idx_mlm_logs_type ON mlm_operation_logs(operation_type)',
             'CREATE INDEX IF NOT EXISTS idx_mlm_logs_entity ON mlm_operation_logs(entity_type, entity_id)',
@@ -154,6 +349,9 @@ async function createTables() {
         // Inserir dados de teste se necessário
         await insertTestData(client);
 
+        // Garantir vínculo vigente no histórico para toda a hierarquia existente
+        await backfillHierarchyHistory(client);
+
     } catch (error) {
         console.error('❌ Erro ao criar tabelas MLM:', error);
         throw error;
@@ -204,6 +402,21 @@ async function insertTestData(client) {
     }
 }
 
+async function backfillHierarchyHistory(client) {
+    const result = await client.query(`
+        INSERT INTO mlm_hierarchy_history (affiliate_id, parent_id, active, valid_from)
+        SELECT h.affiliate_id, h.parent_id, h.active, h.created_at
+        FROM mlm_hierarchy h
+        WHERE NOT EXISTS (
+            SELECT 1 FROM mlm_hierarchy_history hh WHERE hh.affiliate_id = h.affiliate_id
+        )
+    `);
+
+    if (result.rowCount > 0) {
+        console.log(`🕓 Histórico de hierarquia inicializado para ${result.rowCount} afiliados`);
+    }
+}
+
 async function main() {
     try {
         await createTables();
@@ -221,5 +434,5 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { createTables, insertTestData };
+module.exports = { createTables, insertTestData, backfillHierarchyHistory };
 
@@ -114,7 +114,12 @@ class CpaProcessingJob {
                     u.bets_count,
                     u.total_bet_amount,
                     u.days_active,
-                    u.created_at
+                    u.created_at,
+                    u.first_deposit_at,
+                    u.country,
+                    u.region,
+                    u.kyc_verified,
+                    u.payment_method
                 FROM users u
                 WHERE u.cpa_processed = false
                 AND u.affiliate_id IS NOT NULL
@@ -144,6 +149,13 @@ class CpaProcessingJob {
                 betsCount: cpa.bets_count,
                 totalBetAmount: cpa.total_bet_amount,
                 daysActive: cpa.days_active,
+                eventDate: cpa.created_at,
+                registrationDate: cpa.created_at,
+                firstDepositDate: cpa.first_deposit_at,
+                country: cpa.country,
+                region: cpa.region,
+                kycVerified: cpa.kyc_verified,
+                paymentMethod: cpa.payment_method,
                 ruleId: 'auto_processing',
                 criteria: {
                     source: 'automatic_job',
@@ -151,13 +163,26 @@ class CpaProcessingJob {
                 }
             };
 
+            // Com a fila habilitada o CPA é entregue aos workers (com novas tentativas e dead-letter)
+            if (process.env.CPA_QUEUE_ENABLED === 'true') {
+                const job = await this.mlmService.enqueueCpa(cpa.user_id, cpa.affiliate_id, cpaData);
+                logger.info(`CPA enfileirado: user=${cpa.user_id}, affiliate=${cpa.affiliate_id}, job=${job.jobId}`);
+
+                await this.markCpaAsProcessed(cpa.user_id);
+                return job;
+            }
+
             const result = await this.mlmService.processCpaForDistribution(
                 cpa.user_id,
                 cpa.affiliate_id,
                 cpaData
             );
 
-            logger.info(`CPA processado com sucesso: user=${cpa.user_id}, affiliate=${cpa.affiliate_id}, distributed=${result.totalDistributed}`);
+            if (result.duplicate) {
+                logger.warn(`CPA já processado anteriormente: user=${cpa.user_id}, affiliate=${cpa.affiliate_id}`);
+            } else {
+                logger.info(`CPA processado com sucesso: user=${cpa.user_id}, affiliate=${cpa.affiliate_id}, distributed=${result.totalDistributed}`);
+            }
 
             // Marcar como processado no banco da operação
             await this.markCpaAsProcessed(cpa.user_id);
@@ -0,0 +1,136 @@
+const MLMService = require('../services/mlmService');
+const logger = require('../utils/logger');
+const { MLMError } = require('../utils/errors');
+const { getCpaQueue } = require('../utils/cpaQueue');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class CpaQueueWorker {
+    constructor() {
+        this.mlmService = new MLMService();
+        this.queue = getCpaQueue();
+        this.concurrency = parseInt(process.env.CPA_QUEUE_CONCURRENCY) || 2;
+        this.pollInterval = parseInt(process.env.CPA_QUEUE_POLL_INTERVAL_MS) || 1000;
+        this.isRunning = false;
+        this.maintenanceTimer = null;
+        this.consumers = [];
+        this.stats = { processed: 0, rejected: 0, retried: 0, deadLettered: 0 };
+    }
+
+    // Iniciar workers de consumo da fila
+    start() {
+        if (process.env.CPA_QUEUE_ENABLED !== 'true') {
+            logger.info('Fila de CPAs desabilitada via configuração');
+            return;
+        }
+
+        // Sem REDIS_URL o serviço não inicia: a fila em memória perderia os CPAs em um reinício
+        this.queue.assertConfigured();
+
+        this.isRunning = true;
+
+        // Novas tentativas vencidas e jobs com prazo expirado voltam para a fila
+        this.maintenanceTimer = setInterval(() => this.runMaintenance(), this.pollInterval);
+
+        this.consumers = Array.from({ length: this.concurrency }, () => this.consume());
+
+        logger.info(`Workers da fila de CPAs iniciados (concorrência ${this.concurrency})`);
+    }
+
+    // Parar workers aguardando os jobs em andamento (antes de fechar a conexão com a fila)
+    async stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.isRunning = false;
+        clearInterval(this.maintenanceTimer);
+        this.maintenanceTimer = null;
+
+        await Promise.all(this.consumers);
+        this.consumers = [];
+        logger.info('Workers da fila de CPAs parados');
+    }
+
+    async runMaintenance() {
+        try {
+            await this.queue.promoteDelayed();
+            await this.queue.requeueStalled();
+        } catch (error) {
+            logger.error('Erro na manutenção da fila de CPAs:', error);
+        }
+    }
+
+    async consume() {
+        while (this.isRunning) {
+            try {
+                const job = await this.queue.claim();
+                if (!job) {
+                    await sleep(this.pollInterval);
+                    continue;
+                }
+
+                await this.processJob(job);
+            } catch (error) {
+                logger.error('Erro no worker da fila de CPAs:', error);
+                await sleep(this.pollInterval);
+            }
+        }
+    }
+
+    // Processar um job; erros de negócio (4xx) não se resolvem com nova tentativa e vão direto para a dead-letter
+    async processJob(job) {
+        try {
+            const result = await this.mlmService.processCpaForDistribution(job.userId, job.affiliateId, job.cpaData, {
+                idempotencyKey: job.idempotencyKey
+            });
+
+            await this.queue.complete(job);
+            this.stats.processed++;
+
+            let outcome = 'distribuído';
+            if (result.duplicate) {
+                outcome = 'duplicado';
+            } else if (result.held) {
+                outcome = 'retido para revisão antifraude';
+            }
+
+            logger.info(`Job ${job.id} da fila de CPAs concluído: ${outcome}`);
+
+        } catch (error) {
+            // CPA reprovado é um resultado final (fica registrado como REJECTED)
+            if (error.code === 'CPA_REJECTED') {
+                await this.queue.complete(job);
+                this.stats.rejected++;
+                logger.warn(`Job ${job.id} da fila de CPAs reprovado pelas regras de validação`);
+                return;
+            }
+
+            const retryable = !(error instanceof MLMError && error.statusCode < 500);
+            const outcome = await this.queue.fail(job, error, retryable);
+
+            if (outcome === 'requeued') {
+                logger.warn(`Job ${job.id} da fila de CPAs falhou após o prazo de processamento; já foi devolvido à fila`);
+            } else if (outcome === 'retry') {
+                this.stats.retried++;
+                logger.warn(`Job ${job.id} da fila de CPAs falhou (tentativa ${job.attempts + 1}), nova tentativa agendada`);
+            } else {
+                this.stats.deadLettered++;
+                logger.error(`Job ${job.id} da fila de CPAs movido para a dead-letter: ${error.message}`);
+            }
+        }
+    }
+
+    // Obter status dos workers
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            enabled: process.env.CPA_QUEUE_ENABLED === 'true',
+            concurrency: this.concurrency,
+            pollInterval: this.pollInterval,
+            stats: this.stats
+        };
+    }
+}
+
+module.exports = CpaQueueWorker;
@@ -0,0 +1,101 @@
+const cron = require('node-cron');
+const MLMService = require('../services/mlmService');
+const logger = require('../utils/logger');
+
+class DistributionReleaseJob {
+    constructor() {
+        this.mlmService = new MLMService();
+        this.isRunning = false;
+        this.cronJob = null;
+        this.lastRun = null;
+    }
+
+    // Iniciar job automático
+    start() {
+        if (process.env.ENABLE_CRON_JOBS !== 'true') {
+            logger.info('Jobs automáticos desabilitados via configuração');
+            return;
+        }
+
+        // Sem PAYOUT_PROVIDER válido o job não inicia (e o serviço também não): não há fallback para o mock
+        this.mlmService.getPayoutProvider();
+
+        const cronExpression = process.env.DISTRIBUTION_RELEASE_CRON || '0 * * * *'; // A cada hora por padrão
+
+        this.cronJob = cron.schedule(cronExpression, async () => {
+            if (this.isRunning) {
+                logger.warn('Job de liberação de distribuições já está executando, pulando...');
+                return;
+            }
+
+            await this.releaseDistributions();
+        }, {
+            scheduled: false,
+            timezone: 'America/Sao_Paulo'
+        });
+
+        this.cronJob.start();
+        logger.info(`Job de liberação de distribuições iniciado com cron: ${cronExpression}`);
+    }
+
+    // Parar job
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            logger.info('Job de liberação de distribuições parado');
+        }
+    }
+
+    // Liberar e pagar distribuições cuja carência terminou (inclui novas tentativas de pagamento vencidas)
+    async releaseDistributions() {
+        this.isRunning = true;
+        const startTime = Date.now();
+
+        try {
+            logger.info('Iniciando liberação de distribuições...');
+
+            const result = await this.mlmService.releaseDueDistributions();
+
+            this.lastRun = {
+                finishedAt: new Date().toISOString(),
+                executionTime: Date.now() - startTime,
+                provider: result.provider,
+                released: result.released,
+                submitted: result.submitted,
+                retrying: result.retrying,
+                failed: result.failed,
+                totalReleased: result.totalReleased
+            };
+
+            logger.info(`Liberação de distribuições concluída em ${this.lastRun.executionTime}ms`);
+
+        } catch (error) {
+            logger.error('Erro no job de liberação de distribuições:', error);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    // Executar liberação manual
+    async runManual() {
+        if (this.isRunning) {
+            throw new Error('Job já está executando');
+        }
+
+        logger.info('Executando liberação manual de distribuições...');
+        await this.releaseDistributions();
+    }
+
+    // Obter status do job
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            cronExpression: process.env.DISTRIBUTION_RELEASE_CRON || '0 * * * *',
+            enabled: process.env.ENABLE_CRON_JOBS === 'true',
+            nextRun: this.cronJob ? this.cronJob.nextDate() : null,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+module.exports = DistributionReleaseJob;
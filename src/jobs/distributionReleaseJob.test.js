@@ -0,0 +1,96 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('node-cron', () => ({
+    schedule: jest.fn(() => ({ start: jest.fn(), stop: jest.fn(), nextDate: jest.fn(() => 'próxima') }))
+}));
+jest.mock('../services/mlmService', () => jest.fn().mockImplementation(() => ({
+    getPayoutProvider: jest.fn(),
+    releaseDueDistributions: jest.fn()
+})));
+
+const cron = require('node-cron');
+const DistributionReleaseJob = require('./distributionReleaseJob');
+
+describe('DistributionReleaseJob', () => {
+    const originalEnv = process.env;
+    let job;
+
+    beforeEach(() => {
+        process.env = { ...originalEnv, ENABLE_CRON_JOBS: 'true' };
+        cron.schedule.mockClear();
+        job = new DistributionReleaseJob();
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+    });
+
+    describe('start', () => {
+        it('não agenda com os jobs desabilitados', () => {
+            process.env.ENABLE_CRON_JOBS = 'false';
+
+            job.start();
+
+            expect(cron.schedule).not.toHaveBeenCalled();
+            expect(job.mlmService.getPayoutProvider).not.toHaveBeenCalled();
+        });
+
+        it('não agenda sem provedor de pagamento válido', () => {
+            job.mlmService.getPayoutProvider.mockImplementation(() => {
+                throw new Error('PAYOUT_PROVIDER não configurado');
+            });
+
+            expect(() => job.start()).toThrow('PAYOUT_PROVIDER não configurado');
+            expect(cron.schedule).not.toHaveBeenCalled();
+        });
+
+        it('agenda com DISTRIBUTION_RELEASE_CRON', () => {
+            process.env.DISTRIBUTION_RELEASE_CRON = '*/5 * * * *';
+
+            job.start();
+
+            expect(cron.schedule).toHaveBeenCalledWith('*/5 * * * *', expect.any(Function), expect.objectContaining({ scheduled: false }));
+            expect(job.cronJob.start).toHaveBeenCalled();
+            expect(job.getStatus()).toEqual(expect.objectContaining({ cronExpression: '*/5 * * * *', nextRun: 'próxima' }));
+        });
+    });
+
+    describe('releaseDistributions', () => {
+        it('registra o resumo da última execução', async () => {
+            job.mlmService.releaseDueDistributions.mockResolvedValue({
+                released: 2, submitted: 1, retrying: 0, failed: 0, provider: 'mock', totalReleased: { BRL: 45.5 }
+            });
+
+            await job.releaseDistributions();
+
+            expect(job.lastRun).toEqual(expect.objectContaining({
+                provider: 'mock', released: 2, submitted: 1, retrying: 0, failed: 0, totalReleased: { BRL: 45.5 }
+            }));
+            expect(job.isRunning).toBe(false);
+        });
+
+        it('falha na liberação não derruba o job', async () => {
+            job.mlmService.releaseDueDistributions.mockRejectedValue(new Error('banco indisponível'));
+
+            await expect(job.releaseDistributions()).resolves.toBeUndefined();
+            expect(job.isRunning).toBe(false);
+            expect(job.lastRun).toBeNull();
+        });
+
+        it('execução manual é recusada enquanto o job roda', async () => {
+            job.isRunning = true;
+
+            await expect(job.runManual()).rejects.toThrow('Job já está executando');
+            expect(job.mlmService.releaseDueDistributions).not.toHaveBeenCalled();
+        });
+
+        it('execução agendada pula enquanto a anterior não termina', async () => {
+            job.start();
+            const [, tick] = cron.schedule.mock.calls[0];
+            job.isRunning = true;
+
+            await tick();
+
+            expect(job.mlmService.releaseDueDistributions).not.toHaveBeenCalled();
+        });
+    });
+});
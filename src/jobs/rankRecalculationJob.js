@@ -0,0 +1,94 @@
+const cron = require('node-cron');
+const MLMService = require('../services/mlmService');
+const logger = require('../utils/logger');
+
+class RankRecalculationJob {
+    constructor() {
+        this.mlmService = new MLMService();
+        this.isRunning = false;
+        this.cronJob = null;
+        this.lastRun = null;
+    }
+
+    // Iniciar job automático
+    start() {
+        if (process.env.ENABLE_CRON_JOBS !== 'true') {
+            logger.info('Jobs automáticos desabilitados via configuração');
+            return;
+        }
+
+        const cronExpression = process.env.RANK_RECALCULATION_CRON || '0 3 * * *'; // Diariamente às 03:00 por padrão
+
+        this.cronJob = cron.schedule(cronExpression, async () => {
+            if (this.isRunning) {
+                logger.warn('Job de recálculo de ranks já está executando, pulando...');
+                return;
+            }
+
+            await this.recalculateRanks();
+        }, {
+            scheduled: false,
+            timezone: 'America/Sao_Paulo'
+        });
+
+        this.cronJob.start();
+        logger.info(`Job de recálculo de ranks iniciado com cron: ${cronExpression}`);
+    }
+
+    // Parar job
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            logger.info('Job de recálculo de ranks parado');
+        }
+    }
+
+    // Recalcular ranks de todos os afiliados ativos
+    async recalculateRanks() {
+        this.isRunning = true;
+        const startTime = Date.now();
+
+        try {
+            logger.info('Iniciando recálculo de ranks...');
+
+            const result = await this.mlmService.recalculateRanks();
+
+            this.lastRun = {
+                finishedAt: new Date().toISOString(),
+                executionTime: Date.now() - startTime,
+                evaluated: result.evaluated,
+                changed: result.changed
+            };
+
+            logger.info(`Recálculo de ranks concluído em ${this.lastRun.executionTime}ms`);
+
+        } catch (error) {
+            logger.error('Erro no job de recálculo de ranks:', error);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    // Executar recálculo manual
+    async runManual() {
+        if (this.isRunning) {
+            throw new Error('Job já está executando');
+        }
+
+        logger.info('Executando recálculo manual de ranks...');
+        await this.recalculateRanks();
+    }
+
+    // Obter status do job
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            cronExpression: process.env.RANK_RECALCULATION_CRON || '0 3 * * *',
+            enabled: process.env.ENABLE_CRON_JOBS === 'true',
+            nextRun: this.cronJob ? this.cronJob.nextDate() : null,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+module.exports = RankRecalculationJob;
@@ -1,5 +1,13 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const { MLMError } = require('../utils/errors');
+const { parseCsv } = require('../utils/csv');
+const { rowsFromCsvRecords } = require('../utils/hierarchyImport');
+const { OVERRIDE_SCOPES } = require('../utils/cpaOverrides');
+const { SUPPORTED_CURRENCIES } = require('../utils/money');
+
+// Código ISO 4217 de uma moeda suportada (ver utils/money)
+const currencySchema = Joi.string().uppercase().valid(...SUPPORTED_CURRENCIES);
 
 // Middleware de validação genérico
 const validate = (schema) => {
@@ -24,20 +32,80 @@ const validate = (schema) => {
     };
 };
 
+// Middleware de validação da query string (converte tipos e aplica defaults)
+const validateQuery = (schema) => {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req.query);
+        
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+            
+            return res.status(400).json({
+                success: false,
+                message: 'Parâmetros de consulta inválidos',
+                errors
+            });
+        }
+        
+        req.query = value;
+        next();
+    };
+};
+
+// Dados do CPA usados pelas regras de validação e pela distribuição
+const cpaDataSchema = Joi.object({
+    amount: Joi.number().positive().required(),
+    depositAmount: Joi.number().positive().optional(),
+    betsCount: Joi.number().integer().min(0).optional(),
+    totalBetAmount: Joi.number().positive().optional(),
+    daysActive: Joi.number().integer().min(0).optional(),
+    eventDate: Joi.date().iso().max('now').optional(),
+    // Moeda do CPA; padrão: mlm_settings.currency
+    currency: currencySchema.optional(),
+    sourceEventId: Joi.string().max(100).optional(),
+    registrationDate: Joi.date().iso().optional(),
+    firstDepositDate: Joi.date().iso().optional(),
+    country: Joi.string().max(2).optional(),
+    region: Joi.string().max(100).optional(),
+    kycVerified: Joi.boolean().optional(),
+    paymentMethod: Joi.string().max(50).optional(),
+    ruleId: Joi.string().optional(),
+    criteria: Joi.object().optional()
+});
+
+// Campos de um acordo de CPA; null remove o campo (volta a valer a configuração global)
+// Níveis limitados a 5, os que têm colunas em mlm_statistics
+const cpaOverrideFields = {
+    scope: Joi.string().valid(...OVERRIDE_SCOPES),
+    levelAmounts: Joi.object().pattern(/^level_[1-5]$/, Joi.number().min(0)).min(1).allow(null),
+    levelPercentages: Joi.object().pattern(/^level_[1-5]$/, Joi.number().min(0).max(100)).min(1).allow(null),
+    maxLevels: Joi.number().integer().min(1).max(5).allow(null),
+    minimumAmount: Joi.number().min(0).allow(null),
+    validFrom: Joi.date().iso(),
+    validTo: Joi.date().iso().allow(null),
+    notes: Joi.string().max(500).allow(null, '')
+};
+
 // Schemas de validação
 const schemas = {
     processCpa: Joi.object({
         userId: Joi.number().integer().positive().required(),
         affiliateId: Joi.number().integer().positive().required(),
-        cpaData: Joi.object({
-            amount: Joi.number().positive().required(),
-            depositAmount: Joi.number().positive().optional(),
-            betsCount: Joi.number().integer().min(0).optional(),
-            totalBetAmount: Joi.number().positive().optional(),
-            daysActive: Joi.number().integer().min(0).optional(),
-            ruleId: Joi.string().optional(),
-            criteria: Joi.object().optional()
-        }).required()
+        cpaData: cpaDataSchema.required()
+    }),
+
+    // Envelope do lote; cada item é validado à parte (ver validateCpaBatch)
+    processCpaBatch: Joi.object({
+        items: Joi.array().items(Joi.object().unknown(true)).min(1).max(500).required()
+    }),
+
+    // Modo explicativo: o valor do CPA não participa das regras
+    validateCpa: Joi.object({
+        userId: Joi.number().integer().positive().required(),
+        cpaData: cpaDataSchema.fork(['amount'], schema => schema.optional()).required()
     }),
 
     upsertAffiliate: Joi.object({
@@ -45,12 +113,189 @@ const schemas = {
         parentId: Joi.number().integer().positive().optional().allow(null)
     }),
 
+    // Os valores de cada linha são validados no relatório da importação, não aqui
+    importHierarchy: Joi.object({
+        affiliates: Joi.array().items(Joi.object({
+            row: Joi.number().integer().positive().optional(),
+            affiliateId: Joi.any(),
+            parentId: Joi.any()
+        })).min(1).max(100000).required(),
+        dryRun: Joi.boolean().optional()
+    }),
+
+    hierarchyQuery: Joi.object({
+        maxLevels: Joi.number().integer().min(1).max(10).optional(),
+        level: Joi.number().integer().min(0).max(9).optional(),
+        active: Joi.boolean().default(true),
+        createdFrom: Joi.date().iso().optional(),
+        createdTo: Joi.date().iso().when('createdFrom', {
+            is: Joi.exist(),
+            then: Joi.date().min(Joi.ref('createdFrom'))
+        }).optional(),
+        asOf: Joi.date().iso().optional(),
+        cursor: Joi.string().max(200).optional(),
+        limit: Joi.number().integer().min(1).max(500).default(100)
+    }),
+
+    uplineQuery: Joi.object({
+        maxLevels: Joi.number().integer().min(1).max(10).optional(),
+        asOf: Joi.date().iso().optional()
+    }),
+
+    periodQuery: Joi.object({
+        periodStart: Joi.date().iso().optional(),
+        periodEnd: Joi.date().iso().min(Joi.ref('periodStart')).optional(),
+        // Moeda do total consolidado; padrão: mlm_settings.reporting_currency
+        reportingCurrency: currencySchema.optional()
+    }).and('periodStart', 'periodEnd'),
+
+    reverseCpa: Joi.object({
+        reasonCode: Joi.string().valid('CHARGEBACK', 'FRAUD', 'BONUS_ABUSE', 'OTHER').required(),
+        notes: Joi.string().max(500).optional()
+    }),
+
+    // Decisão da revisão de um CPA retido pela triagem antifraude
+    reviewCpa: Joi.object({
+        decision: Joi.string().uppercase().valid('APPROVE', 'REJECT').required(),
+        notes: Joi.string().max(500).optional()
+    }),
+
+    // Confirmação do provedor de pagamento; reference é a referência enviada no pagamento
+    payoutCallback: Joi.object({
+        reference: Joi.string().max(100).required(),
+        status: Joi.string().uppercase().valid('COMPLETED', 'FAILED').required(),
+        providerReference: Joi.string().max(100).optional(),
+        reason: Joi.string().max(500).optional()
+    }),
+
+    heldCpasQuery: Joi.object({
+        affiliateId: Joi.number().integer().positive().optional(),
+        limit: Joi.number().integer().min(1).max(500).default(50),
+        offset: Joi.number().integer().min(0).default(0)
+    }),
+
+    repairHierarchy: Joi.object({
+        dryRun: Joi.boolean().default(false),
+        compressInactive: Joi.boolean().default(false)
+    }),
+
     simulateDistribution: Joi.object({
         affiliateId: Joi.number().integer().positive().required(),
-        cpaAmount: Joi.number().positive().required()
+        cpaAmount: Joi.number().positive().required(),
+        // Data do CPA simulado: define upline, ranks e acordos de CPA vigentes
+        eventDate: Joi.date().iso().optional(),
+        currency: currencySchema.optional()
+    }),
+
+    // 1 unidade de currency = rate unidades de baseCurrency na data rateDate
+    saveFxRates: Joi.object({
+        rates: Joi.array().items(Joi.object({
+            currency: currencySchema.required(),
+            baseCurrency: currencySchema.required(),
+            rate: Joi.number().positive().required(),
+            rateDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+                .messages({ 'string.pattern.base': 'rateDate deve estar no formato AAAA-MM-DD' }),
+            source: Joi.string().max(50).optional()
+        }).custom((rate, helpers) => (
+            rate.currency === rate.baseCurrency ? helpers.message('currency deve ser diferente de baseCurrency') : rate
+        ))).min(1).max(1000).required()
+    }),
+
+    fxRatesQuery: Joi.object({
+        baseCurrency: currencySchema.optional(),
+        currency: currencySchema.optional(),
+        from: Joi.date().iso().optional(),
+        to: Joi.date().iso().optional(),
+        limit: Joi.number().integer().min(1).max(1000).default(100)
+    }),
+
+    createCpaOverride: Joi.object({
+        ...cpaOverrideFields,
+        scope: cpaOverrideFields.scope.default('AFFILIATE'),
+        validTo: cpaOverrideFields.validTo.when('validFrom', {
+            is: Joi.exist(),
+            then: Joi.date().greater(Joi.ref('validFrom'))
+        })
+    }).or('levelAmounts', 'levelPercentages', 'maxLevels', 'minimumAmount'),
+
+    // Alteração parcial: apenas os campos enviados mudam
+    updateCpaOverride: Joi.object(cpaOverrideFields).min(1),
+
+    deadLetterQuery: Joi.object({
+        limit: Joi.number().integer().min(1).max(500).default(50),
+        offset: Joi.number().integer().min(0).default(0)
+    }),
+
+    // Jobs da dead-letter a reprocessar ou descartar; sem jobIds a operação vale para todos
+    deadLetterJobs: Joi.object({
+        jobIds: Joi.array().items(Joi.string().guid()).min(1).max(1000).unique().optional()
+    }),
+
+    // Valor de CPA usado para estimar os ganhos (padrão: valor base do job de processamento)
+    relationshipQuery: Joi.object({
+        cpaAmount: Joi.number().positive().default(50.00)
     })
 };
 
+// Middleware de importação de hierarquia: converte CSV para o formato JSON antes de validar
+const validateHierarchyImport = (req, res, next) => {
+    if (typeof req.body === 'string') {
+        const { headers, records } = parseCsv(req.body);
+
+        if (!headers.includes('affiliate_id') && !headers.includes('affiliateId')) {
+            return res.status(400).json({
+                success: false,
+                message: 'CSV deve conter cabeçalho com as colunas affiliate_id e parent_id'
+            });
+        }
+
+        req.body = { affiliates: rowsFromCsvRecords(records) };
+    } else if (Array.isArray(req.body)) {
+        req.body = { affiliates: req.body };
+    }
+
+    return validate(schemas.importHierarchy)(req, res, next);
+};
+
+// Item do lote: mesmo formato de processCpa, com a chave de idempotência no corpo em vez do header
+const cpaBatchItemSchema = schemas.processCpa.keys({
+    idempotencyKey: Joi.string().trim().min(1).max(255).optional()
+});
+
+// Middleware do lote de CPAs: um item inválido não reprova o lote, vira resultado de erro daquele item
+const validateCpaBatch = (req, res, next) => {
+    const { error, value } = schemas.processCpaBatch.validate(req.body);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Dados de entrada inválidos',
+            errors: error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }))
+        });
+    }
+
+    req.body = {
+        items: value.items.map((item, index) => {
+            const result = cpaBatchItemSchema.validate(item, { abortEarly: false });
+
+            return {
+                index,
+                value: result.error ? null : result.value,
+                errors: result.error
+                    ? result.error.details.map(detail => ({
+                        field: detail.path.join('.'),
+                        message: detail.message
+                    }))
+                    : null
+            };
+        })
+    };
+    next();
+};
+
 // Middleware de autenticação simples (API Key)
 const authenticate = (req, res, next) => {
     const apiKey = req.headers['x-api-key'] || req.headers['authorization'];
@@ -120,6 +365,24 @@ const rateLimits = {
         1 * 60 * 1000, // 1 minuto
         10, // 10 processamentos CPA por minuto
         'Limite de processamento CPA excedido'
+    ),
+
+    cpaBatch: createRateLimit(
+        1 * 60 * 1000, // 1 minuto
+        5, // 5 lotes de CPA por minuto (cada lote com até 500 itens)
+        'Limite de processamento de lotes CPA excedido'
+    ),
+
+    cpaEnqueue: createRateLimit(
+        1 * 60 * 1000, // 1 minuto
+        300, // 300 CPAs enfileirados por minuto
+        'Limite de enfileiramento CPA excedido'
+    ),
+
+    payoutCallback: createRateLimit(
+        1 * 60 * 1000, // 1 minuto
+        600, // 600 confirmações de pagamento por minuto
+        'Limite de callbacks de pagamento excedido'
     )
 };
 
@@ -170,6 +433,11 @@ const errorHandler = (err, req, res, next) => {
         });
     }
 
+    // Erro de domínio (hierarquia, CPA, etc.)
+    if (err instanceof MLMError) {
+        return res.status(err.statusCode).json(err.toJSON());
+    }
+
     // Erro de banco de dados
     if (err.code === '23505') { // Unique constraint violation
         return res.status(409).json({
@@ -193,11 +461,14 @@ const errorHandler = (err, req, res, next) => {
     });
 };
 
+// Headers aceitos em requisições cross-origin (cors() em app.js e corsHandler)
+const CORS_ALLOWED_HEADERS = ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-API-Key', 'Idempotency-Key'];
+
 // Middleware de CORS customizado
 const corsHandler = (req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', CORS_ALLOWED_HEADERS.join(', '));
     res.header('Access-Control-Allow-Credentials', 'true');
     
     if (req.method === 'OPTIONS') {
@@ -220,18 +491,62 @@ const validateParams = {
         }
         
         req.params.affiliateId = parseInt(affiliateId);
+        next();
+    },
+
+    cpaId: (req, res, next) => {
+        const { error } = Joi.string().guid().required().validate(req.params.cpaId);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: 'cpaId deve ser um UUID válido'
+            });
+        }
+
+        next();
+    },
+
+    otherAffiliateId: (req, res, next) => {
+        const { otherAffiliateId } = req.params;
+        
+        if (!otherAffiliateId || isNaN(parseInt(otherAffiliateId)) || parseInt(otherAffiliateId) <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'otherAffiliateId deve ser um número inteiro positivo'
+            });
+        }
+        
+        req.params.otherAffiliateId = parseInt(otherAffiliateId);
+        next();
+    },
+
+    overrideId: (req, res, next) => {
+        const { error } = Joi.string().guid().required().validate(req.params.overrideId);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: 'overrideId deve ser um UUID válido'
+            });
+        }
+
         next();
     }
 };
 
 module.exports = {
     validate,
+    validateQuery,
+    validateHierarchyImport,
+    validateCpaBatch,
     schemas,
     authenticate,
     rateLimits,
     requestLogger,
     errorHandler,
     corsHandler,
+    CORS_ALLOWED_HEADERS,
     validateParams
 };
 
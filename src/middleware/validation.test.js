@@ -0,0 +1,105 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { validateQuery, validateCpaBatch, schemas, corsHandler } = require('./validation');
+
+// Executar o middleware com a query informada
+function runQuery(schema, query) {
+    const req = { query };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    validateQuery(schema)(req, res, next);
+
+    return { req, res, next };
+}
+
+describe('validation', () => {
+    describe('uplineQuery', () => {
+        it('converte maxLevels e asOf', () => {
+            const { req, next } = runQuery(schemas.uplineQuery, { maxLevels: '3', asOf: '2024-06-01T00:00:00Z' });
+
+            expect(next).toHaveBeenCalled();
+            expect(req.query).toEqual({ maxLevels: 3, asOf: new Date('2024-06-01T00:00:00Z') });
+        });
+
+        it('aceita query vazia', () => {
+            const { req, next } = runQuery(schemas.uplineQuery, {});
+
+            expect(next).toHaveBeenCalled();
+            expect(req.query).toEqual({});
+        });
+
+        it.each([
+            ['maxLevels não numérico', { maxLevels: 'abc' }],
+            ['maxLevels zero', { maxLevels: '0' }],
+            ['maxLevels acima de 10', { maxLevels: '50' }],
+            ['asOf inválido', { asOf: 'ontem' }]
+        ])('recusa %s com 400', (_, query) => {
+            const { res, next } = runQuery(schemas.uplineQuery, query);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('validateCpaBatch', () => {
+        function runBatch(body) {
+            const req = { body };
+            const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+            const next = jest.fn();
+
+            validateCpaBatch(req, res, next);
+
+            return { req, res, next };
+        }
+
+        it('item inválido vira erro do item sem reprovar o lote', () => {
+            const { req, next } = runBatch({
+                items: [
+                    { userId: 1, affiliateId: 10, cpaData: { amount: 50 }, idempotencyKey: ' lote-1 ' },
+                    { userId: 2, affiliateId: 10, cpaData: { amount: -5 } },
+                    { userId: 'x', affiliateId: 10 }
+                ]
+            });
+
+            expect(next).toHaveBeenCalled();
+            expect(req.body.items[0]).toEqual({
+                index: 0,
+                value: { userId: 1, affiliateId: 10, cpaData: { amount: 50 }, idempotencyKey: 'lote-1' },
+                errors: null
+            });
+            expect(req.body.items[1]).toEqual({
+                index: 1,
+                value: null,
+                errors: [expect.objectContaining({ field: 'cpaData.amount' })]
+            });
+            expect(req.body.items[2].errors.map(error => error.field)).toEqual(['userId', 'cpaData']);
+        });
+
+        it.each([
+            ['lote vazio', { items: [] }],
+            ['sem items', {}],
+            ['acima de 500 itens', { items: Array.from({ length: 501 }, () => ({})) }]
+        ])('recusa %s com 400', (_, body) => {
+            const { res, next } = runBatch(body);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('corsHandler', () => {
+        it('aceita o header Idempotency-Key no preflight', () => {
+            const headers = {};
+            const res = {
+                header: jest.fn((name, value) => { headers[name] = value; }),
+                sendStatus: jest.fn()
+            };
+
+            corsHandler({ method: 'OPTIONS' }, res, jest.fn());
+
+            expect(res.sendStatus).toHaveBeenCalledWith(200);
+            expect(headers['Access-Control-Allow-Headers'].split(', ')).toContain('Idempotency-Key');
+        });
+    });
+});
@@ -1,5 +1,36 @@
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
+const { MLMError } = require('../utils/errors');
+const { checkHierarchy, planHierarchyRepair } = require('../utils/hierarchyIntegrity');
+const { toMinor, fromMinor } = require('../utils/money');
+
+/**
+ * Fronteira dos valores monetários
+ * As colunas de valor são NUMERIC(15,2) na moeda da linha; o serviço só trabalha com unidades menores inteiras.
+ * A conversão acontece apenas aqui: os métodos de escrita recebem *_minor e gravam com fromMinor, e os de
+ * leitura usados em cálculos devolvem as linhas com <coluna>_minor (withMinorAmounts). Com até 15 dígitos,
+ * todo valor gravado cabe em um double sem perda, então a ida e a volta são exatas.
+ */
+const AMOUNT_COLUMNS = [
+    'cpa_amount', 'original_amount', 'distributed_amount',
+    'total_amount', 'pending_amount', 'released_amount', 'failed_amount',
+    'level_1_amount', 'level_2_amount', 'level_3_amount', 'level_4_amount', 'level_5_amount'
+];
+
+function withMinorAmounts(row) {
+    if (!row) {
+        return row;
+    }
+
+    const amounts = {};
+    for (const column of AMOUNT_COLUMNS) {
+        if (row[column] !== undefined) {
+            amounts[`${column}_minor`] = toMinor(row[column], row.currency);
+        }
+    }
+
+    return { ...row, ...amounts };
+}
 
 class MLMModel {
     constructor() {
@@ -11,93 +42,329 @@ class MLMModel {
         });
     }
 
-    // Buscar hierarquia de um afiliado
-    async getAffiliateHierarchy(affiliateId, maxLevels = 5) {
+    // Executar operações em uma única transação
+    async withTransaction(callback) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await callback(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Buscar downline paginada de um afiliado
+    // relative_level: 0 = o próprio afiliado, 1 = filhos diretos, ...
+    // Com asOf, a estrutura vem do histórico de vínculos (sem level/path, que são do estado atual)
+    async getAffiliateDownline(affiliateId, options = {}) {
+        const {
+            maxLevels = 5,
+            level = null,
+            active = true,
+            createdFrom = null,
+            createdTo = null,
+            cursor = null,
+            limit = 100,
+            asOf = null
+        } = options;
+
+        const client = await this.pool.connect();
+        try {
+            const params = [affiliateId, maxLevels];
+            let downlineQuery;
+
+            if (asOf) {
+                params.push(asOf);
+                downlineQuery = `
+                    WITH RECURSIVE tree AS (
+                        SELECT affiliate_id, parent_id, active, 0 as relative_level
+                        FROM mlm_hierarchy_history 
+                        WHERE affiliate_id = $1 AND active = true
+                        AND valid_from <= $3 AND (valid_to IS NULL OR valid_to > $3)
+                        
+                        UNION ALL
+                        
+                        SELECT hh.affiliate_id, hh.parent_id, hh.active, t.relative_level + 1
+                        FROM mlm_hierarchy_history hh
+                        INNER JOIN tree t ON hh.parent_id = t.affiliate_id
+                        WHERE t.relative_level + 1 < $2
+                        AND hh.valid_from <= $3 AND (hh.valid_to IS NULL OR hh.valid_to > $3)
+                    ),
+                    downline AS (
+                        SELECT 
+                            t.affiliate_id,
+                            t.parent_id,
+                            NULL::INTEGER as level,
+                            NULL::INTEGER[] as path,
+                            t.active,
+                            h.created_at,
+                            t.relative_level,
+                            t.relative_level + 1 as depth
+                        FROM tree t
+                        LEFT JOIN mlm_hierarchy h ON h.affiliate_id = t.affiliate_id
+                    )
+                `;
+            } else {
+                // Subárvore pelo path: inclui descendentes de nós inativos mantidos no lugar
+                downlineQuery = `
+                    WITH downline AS (
+                        SELECT 
+                            h.affiliate_id,
+                            h.parent_id,
+                            h.level,
+                            h.path,
+                            h.active,
+                            h.created_at,
+                            h.level - root.level as relative_level,
+                            h.level - root.level + 1 as depth
+                        FROM mlm_hierarchy root
+                        INNER JOIN mlm_hierarchy h ON root.affiliate_id = ANY(h.path)
+                        WHERE root.affiliate_id = $1 AND root.active = true
+                        AND h.level - root.level < $2
+                    )
+                `;
+            }
+
+            // Filtros opcionais
+            let filters = ' WHERE true';
+            if (level !== null) {
+                params.push(level);
+                filters += ` AND relative_level = $${params.length}`;
+            }
+            if (active !== null) {
+                params.push(active);
+                filters += ` AND active = $${params.length}`;
+            }
+            if (createdFrom) {
+                params.push(createdFrom);
+                filters += ` AND created_at >= $${params.length}`;
+            }
+            if (createdTo) {
+                params.push(createdTo);
+                filters += ` AND created_at <= $${params.length}`;
+            }
+
+            // Resumo por nível considera os filtros, mas não a página
+            const countsResult = await client.query(`
+                ${downlineQuery}
+                SELECT relative_level, COUNT(*)::INTEGER as total
+                FROM downline
+                ${filters}
+                GROUP BY relative_level
+                ORDER BY relative_level
+            `, params);
+
+            const pageParams = [...params];
+            let pageFilters = filters;
+            if (cursor) {
+                pageParams.push(cursor.relativeLevel, cursor.affiliateId);
+                pageFilters += ` AND (relative_level, affiliate_id) > ($${pageParams.length - 1}, $${pageParams.length})`;
+            }
+            pageParams.push(limit + 1);
+
+            const rowsResult = await client.query(`
+                ${downlineQuery}
+                SELECT * FROM downline
+                ${pageFilters}
+                ORDER BY relative_level, affiliate_id
+                LIMIT $${pageParams.length}
+            `, pageParams);
+
+            const hasMore = rowsResult.rows.length > limit;
+
+            return {
+                rows: hasMore ? rowsResult.rows.slice(0, limit) : rowsResult.rows,
+                levelCounts: countsResult.rows,
+                hasMore
+            };
+        } catch (error) {
+            logger.error('Erro ao buscar downline do afiliado:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Subárvore completa (inclusive inativos) com totais de CPA de mlm_statistics por moeda (totals),
+     * lida por cursor em lotes de batchSize para a exportação em streaming
+     * Interromper a leitura (return do gerador) fecha o cursor e devolve a conexão
+     */
+    async *streamSubtreeWithStatistics(affiliateId, batchSize = 1000) {
+        const client = await this.pool.connect();
+        let inTransaction = false;
+        try {
+            await client.query('BEGIN');
+            inTransaction = true;
+
+            await client.query(`
+                DECLARE subtree_export NO SCROLL CURSOR FOR
+                SELECT 
+                    h.affiliate_id,
+                    h.parent_id,
+                    h.level,
+                    h.path,
+                    h.active,
+                    h.level - root.level + 1 as depth,
+                    COALESCE(s.totals, '[]'::jsonb) as totals
+                FROM mlm_hierarchy root
+                INNER JOIN mlm_hierarchy h ON root.affiliate_id = ANY(h.path)
+                LEFT JOIN LATERAL (
+                    SELECT jsonb_agg(jsonb_build_object(
+                        'currency', t.currency,
+                        'total_cpas', t.total_cpas,
+                        'total_amount', t.total_amount::text
+                    ) ORDER BY t.currency) as totals
+                    FROM (
+                        SELECT currency, SUM(total_cpas) as total_cpas, SUM(total_amount) as total_amount
+                        FROM mlm_statistics
+                        WHERE affiliate_id = h.affiliate_id
+                        GROUP BY currency
+                    ) t
+                ) s ON true
+                WHERE root.affiliate_id = $1 AND root.active = true
+                ORDER BY h.level, h.affiliate_id
+            `, [affiliateId]);
+
+            for (;;) {
+                const result = await client.query(`FETCH ${batchSize} FROM subtree_export`);
+                if (result.rows.length > 0) {
+                    yield result.rows;
+                }
+                if (result.rows.length < batchSize) {
+                    break;
+                }
+            }
+
+            await client.query('COMMIT');
+            inTransaction = false;
+        } catch (error) {
+            logger.error('Erro ao buscar subárvore do afiliado:', error);
+            throw error;
+        } finally {
+            if (inTransaction) {
+                await client.query('ROLLBACK').catch(() => {});
+            }
+            client.release();
+        }
+    }
+
+    // Buscar upline de um afiliado (níveis acima)
+    async getAffiliateUpline(affiliateId, maxLevels = 5, asOf = null) {
+        if (asOf) {
+            return await this.getAffiliateUplineAsOf(affiliateId, maxLevels, asOf);
+        }
+
         const client = await this.pool.connect();
         try {
             const query = `
-                WITH RECURSIVE affiliate_tree AS (
+                WITH RECURSIVE upline_tree AS (
                     -- Nó inicial
                     SELECT 
                         affiliate_id, 
                         parent_id, 
                         level,
                         path,
-                        1 as depth
+                        active,
+                        1 as upline_level
                     FROM mlm_hierarchy 
                     WHERE affiliate_id = $1 AND active = true
                     
                     UNION ALL
                     
-                    -- Recursão para filhos
+                    -- Recursão para pais (inativos são retornados com active = false
+                    -- para que a política de distribuição decida como tratá-los)
                     SELECT 
                         h.affiliate_id, 
                         h.parent_id, 
                         h.level,
                         h.path,
-                        at.depth + 1
+                        h.active,
+                        ut.upline_level + 1
                     FROM mlm_hierarchy h
-                    INNER JOIN affiliate_tree at ON h.parent_id = at.affiliate_id
-                    WHERE at.depth < $2 AND h.active = true
+                    INNER JOIN upline_tree ut ON h.affiliate_id = ut.parent_id
+                    WHERE ut.upline_level < $2
                 )
-                SELECT * FROM affiliate_tree 
-                ORDER BY depth, level, affiliate_id;
+                SELECT * FROM upline_tree 
+                WHERE upline_level > 1
+                ORDER BY upline_level;
             `;
             
             const result = await client.query(query, [affiliateId, maxLevels]);
             return result.rows;
         } catch (error) {
-            logger.error('Erro ao buscar hierarquia do afiliado:', error);
+            logger.error('Erro ao buscar upline do afiliado:', error);
             throw error;
         } finally {
             client.release();
         }
     }
 
-    // Buscar upline de um afiliado (níveis acima)
-    async getAffiliateUpline(affiliateId, maxLevels = 5) {
+    // Buscar upline de um afiliado em uma data passada (via histórico de vínculos)
+    async getAffiliateUplineAsOf(affiliateId, maxLevels, asOf) {
         const client = await this.pool.connect();
         try {
             const query = `
                 WITH RECURSIVE upline_tree AS (
-                    -- Nó inicial
+                    -- Nó inicial vigente na data
                     SELECT 
                         affiliate_id, 
                         parent_id, 
-                        level,
-                        path,
+                        active,
+                        valid_from,
                         1 as upline_level
-                    FROM mlm_hierarchy 
+                    FROM mlm_hierarchy_history 
                     WHERE affiliate_id = $1 AND active = true
+                    AND valid_from <= $3 AND (valid_to IS NULL OR valid_to > $3)
                     
                     UNION ALL
                     
-                    -- Recursão para pais
+                    -- Recursão para pais vigentes na data
                     SELECT 
-                        h.affiliate_id, 
-                        h.parent_id, 
-                        h.level,
-                        h.path,
+                        hh.affiliate_id, 
+                        hh.parent_id, 
+                        hh.active,
+                        hh.valid_from,
                         ut.upline_level + 1
-                    FROM mlm_hierarchy h
-                    INNER JOIN upline_tree ut ON h.affiliate_id = ut.parent_id
-                    WHERE ut.upline_level < $2 AND h.active = true
+                    FROM mlm_hierarchy_history hh
+                    INNER JOIN upline_tree ut ON hh.affiliate_id = ut.parent_id
+                    WHERE ut.upline_level < $2
+                    AND hh.valid_from <= $3 AND (hh.valid_to IS NULL OR hh.valid_to > $3)
                 )
                 SELECT * FROM upline_tree 
                 WHERE upline_level > 1
                 ORDER BY upline_level;
             `;
-            
-            const result = await client.query(query, [affiliateId, maxLevels]);
+
+            const result = await client.query(query, [affiliateId, maxLevels, asOf]);
             return result.rows;
         } catch (error) {
-            logger.error('Erro ao buscar upline do afiliado:', error);
+            logger.error('Erro ao buscar upline histórica do afiliado:', error);
             throw error;
         } finally {
             client.release();
         }
     }
 
+    // Registrar novo vínculo vigente no histórico, encerrando o anterior
+    async recordHierarchyChange(client, affiliateId, parentId, active = true) {
+        await client.query(`
+            UPDATE mlm_hierarchy_history 
+            SET valid_to = CURRENT_TIMESTAMP
+            WHERE affiliate_id = $1 AND valid_to IS NULL
+        `, [affiliateId]);
+
+        await client.query(`
+            INSERT INTO mlm_hierarchy_history (affiliate_id, parent_id, active, valid_from)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+        `, [affiliateId, parentId, active]);
+    }
+
     // Criar ou atualizar afiliado na hierarquia
     async upsertAffiliate(affiliateId, parentId = null) {
         const client = await this.pool.connect();
@@ -111,27 +378,19 @@ class MLMModel {
             if (existingResult.rows.length > 0) {
                 // Atualizar se necessário
                 const existing = existingResult.rows[0];
-                if (existing.parent_id !== parentId) {
-                    await this.updateAffiliateParent(client, affiliateId, parentId);
+                if (existing.parent_id === parentId) {
+                    await client.query('COMMIT');
+                    return existing;
                 }
+
+                const { movedNodes } = await this.updateAffiliateParent(client, affiliateId, parentId);
+                const updated = await client.query(existingQuery, [affiliateId]);
                 await client.query('COMMIT');
-                return existing;
+                return { ...updated.rows[0], moved_nodes: movedNodes };
             }
 
             // Calcular nível e path
-            let level = 1;
-            let path = [affiliateId];
-
-            if (parentId) {
-                const parentQuery = 'SELECT level, path FROM mlm_hierarchy WHERE affiliate_id = $1 AND active = true';
-                const parentResult = await client.query(parentQuery, [parentId]);
-                
-                if (parentResult.rows.length > 0) {
-                    const parent = parentResult.rows[0];
-                    level = parent.level + 1;
-                    path = [...parent.path, affiliateId];
-                }
-            }
+            const { level, path } = await this.resolveParentPlacement(client, affiliateId, parentId);
 
             // Inserir novo afiliado
             const insertQuery = `
@@ -141,6 +400,7 @@ class MLMModel {
             `;
             
             const result = await client.query(insertQuery, [affiliateId, parentId, level, path]);
+            await this.recordHierarchyChange(client, affiliateId, parentId);
             
             await client.query('COMMIT');
             return result.rows[0];
@@ -153,22 +413,88 @@ class MLMModel {
         }
     }
 
-    // Atualizar parent de um afiliado
+    // Validar parent e calcular nível/path do afiliado sob ele
+    async resolveParentPlacement(client, affiliateId, parentId) {
+        if (!parentId) {
+            return { level: 1, path: [affiliateId] };
+        }
+
+        if (parentId === affiliateId) {
+            throw new MLMError(
+                'Afiliado não pode ser parent de si mesmo',
+                'SELF_PARENT',
+                422,
+                { affiliateId, parentId }
+            );
+        }
+
+        // Travar a linha do parent para que ele não seja movido durante a operação
+        const parentQuery = 'SELECT level, path, active FROM mlm_hierarchy WHERE affiliate_id = $1 FOR UPDATE';
+        const parentResult = await client.query(parentQuery, [parentId]);
+
+        if (parentResult.rows.length === 0) {
+            throw new MLMError(
+                'Parent não encontrado na hierarquia',
+                'PARENT_NOT_FOUND',
+                422,
+                { affiliateId, parentId }
+            );
+        }
+
+        const parent = parentResult.rows[0];
+
+        if (!parent.active) {
+            throw new MLMError(
+                'Parent está inativo na hierarquia',
+                'PARENT_INACTIVE',
+                422,
+                { affiliateId, parentId }
+            );
+        }
+
+        // Se o afiliado já aparece no path do parent, o parent é um descendente dele
+        if (parent.path.includes(affiliateId)) {
+            throw new MLMError(
+                'Parent informado é descendente do afiliado e criaria um ciclo na hierarquia',
+                'HIERARCHY_CYCLE',
+                409,
+                { affiliateId, parentId, parentPath: parent.path }
+            );
+        }
+
+        return {
+            level: parent.level + 1,
+            path: [...parent.path, affiliateId]
+        };
+    }
+
+    // Atualizar parent de um afiliado, movendo toda a subárvore
     async updateAffiliateParent(client, affiliateId, newParentId) {
         try {
-            // Calcular novo nível e path
-            let newLevel = 1;
-            let newPath = [affiliateId];
-
-            if (newParentId) {
-                const parentQuery = 'SELECT level, path FROM mlm_hierarchy WHERE affiliate_id = $1 AND active = true';
-                const parentResult = await client.query(parentQuery, [newParentId]);
-                
-                if (parentResult.rows.length > 0) {
-                    const parent = parentResult.rows[0];
-                    newLevel = parent.level + 1;
-                    newPath = [...parent.path, affiliateId];
-                }
+            const currentResult = await client.query(
+                'SELECT path FROM mlm_hierarchy WHERE affiliate_id = $1 FOR UPDATE',
+                [affiliateId]
+            );
+            const oldPath = currentResult.rows[0].path;
+
+            // Calcular novo nível e path (rejeita ciclos e parents inválidos)
+            const { level: newLevel, path: newPath } = await this.resolveParentPlacement(client, affiliateId, newParentId);
+
+            // Validar a profundidade da subárvore antes de qualquer escrita
+            const heightResult = await client.query(`
+                SELECT COALESCE(MAX(array_length(path, 1)), 0) - $2 as height
+                FROM mlm_hierarchy 
+                WHERE path @> ARRAY[$3]::INTEGER[] AND path[1:$2] = $1::INTEGER[]
+            `, [oldPath, oldPath.length, affiliateId]);
+
+            const deepestLevel = newLevel + Math.max(heightResult.rows[0].height, 0);
+            if (deepestLevel > MLMModel.MAX_HIERARCHY_DEPTH) {
+                throw new MLMError(
+                    `Mover o afiliado levaria a subárvore ao nível ${deepestLevel}, acima do máximo de ${MLMModel.MAX_HIERARCHY_DEPTH}`,
+                    'MAX_DEPTH_EXCEEDED',
+                    422,
+                    { affiliateId, parentId: newParentId, deepestLevel, maxLevel: MLMModel.MAX_HIERARCHY_DEPTH }
+                );
             }
 
             // Atualizar afiliado
@@ -177,9 +503,12 @@ class MLMModel {
                 SET parent_id = $1, level = $2, path = $3, updated_at = CURRENT_TIMESTAMP
                 WHERE affiliate_id = $4
             `, [newParentId, newLevel, newPath, affiliateId]);
+            await this.recordHierarchyChange(client, affiliateId, newParentId);
 
             // Atualizar todos os descendentes
-            await this.updateDescendants(client, affiliateId);
+            const movedDescendants = await this.updateDescendants(client, affiliateId, oldPath, newPath, newLevel);
+
+            return { movedNodes: movedDescendants + 1 };
         } catch (error) {
             logger.error('Erro ao atualizar parent do afiliado:', error);
             throw error;
@@ -187,46 +516,286 @@ class MLMModel {
     }
 
     // Atualizar descendentes após mudança de hierarquia
-    async updateDescendants(client, affiliateId) {
+    // Troca o prefixo antigo do path pelo novo em um único UPDATE e retorna quantos nós foram movidos
+    async updateDescendants(client, affiliateId, oldPath, newPath, newLevel) {
+        try {
+            const result = await client.query(`
+                UPDATE mlm_hierarchy 
+                SET path = $2::INTEGER[] || path[$3 + 1:],
+                    level = $5 + array_length(path, 1) - $3,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE path @> ARRAY[$4]::INTEGER[] 
+                AND path[1:$3] = $1::INTEGER[]
+                AND affiliate_id != $4
+            `, [oldPath, newPath, oldPath.length, affiliateId, newLevel]);
+
+            return result.rowCount;
+        } catch (error) {
+            logger.error('Erro ao atualizar descendentes:', error);
+            throw error;
+        }
+    }
+
+    // Buscar nós da hierarquia por id (com lock quando dentro de transação de escrita)
+    async getHierarchyNodes(affiliateIds, client = null, forUpdate = false) {
+        const conn = client || await this.pool.connect();
+        try {
+            const result = await conn.query(`
+                SELECT affiliate_id, parent_id, level, path, active
+                FROM mlm_hierarchy 
+                WHERE affiliate_id = ANY($1)
+                ${forUpdate ? 'FOR UPDATE' : ''}
+            `, [affiliateIds]);
+
+            return new Map(result.rows.map(row => [row.affiliate_id, row]));
+        } catch (error) {
+            logger.error('Erro ao buscar nós da hierarquia:', error);
+            throw error;
+        } finally {
+            if (!client) conn.release();
+        }
+    }
+
+    // Inserir afiliados já ordenados (parents antes dos filhos) em lotes
+    async insertHierarchyBatch(client, affiliates, batchSize = 1000) {
+        let inserted = 0;
+
+        for (let i = 0; i < affiliates.length; i += batchSize) {
+            const batch = affiliates.slice(i, i + batchSize);
+            const affiliateIds = batch.map(a => a.affiliateId);
+            const parentIds = batch.map(a => a.parentId);
+
+            // path viaja como texto porque arrays aninhados não podem ser desaninhados por linha
+            const result = await client.query(`
+                INSERT INTO mlm_hierarchy (affiliate_id, parent_id, level, path)
+                SELECT t.affiliate_id, t.parent_id, t.level, string_to_array(t.path, ',')::INTEGER[]
+                FROM unnest($1::INTEGER[], $2::INTEGER[], $3::INTEGER[], $4::TEXT[]) 
+                    AS t(affiliate_id, parent_id, level, path)
+            `, [affiliateIds, parentIds, batch.map(a => a.level), batch.map(a => a.path.join(','))]);
+
+            await client.query(`
+                INSERT INTO mlm_hierarchy_history (affiliate_id, parent_id, active, valid_from)
+                SELECT t.affiliate_id, t.parent_id, true, CURRENT_TIMESTAMP
+                FROM unnest($1::INTEGER[], $2::INTEGER[]) AS t(affiliate_id, parent_id)
+            `, [affiliateIds, parentIds]);
+
+            inserted += result.rowCount;
+        }
+
+        return inserted;
+    }
+
+    // Carregar toda a hierarquia (para verificação de integridade)
+    async getAllHierarchyNodes(client = null) {
+        const conn = client || await this.pool.connect();
         try {
-            const descendants = await client.query(`
-                SELECT affiliate_id, parent_id, path
+            const result = await conn.query(`
+                SELECT affiliate_id, parent_id, level, path, active
                 FROM mlm_hierarchy 
-                WHERE $1 = ANY(path) AND affiliate_id != $1 AND active = true
-                ORDER BY array_length(path, 1)
+                ORDER BY affiliate_id
+            `);
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao carregar hierarquia:', error);
+            throw error;
+        } finally {
+            if (!client) conn.release();
+        }
+    }
+
+    // Verificar integridade de path/level/parent_id
+    async checkHierarchyIntegrity() {
+        const rows = await this.getAllHierarchyNodes();
+        return checkHierarchy(rows);
+    }
+
+    // Reparar integridade em uma transação (dryRun apenas retorna as alterações planejadas)
+    async repairHierarchyIntegrity(options = {}) {
+        const { dryRun = false, compressInactive = false } = options;
+
+        const repair = async (client) => {
+            // Bloquear escritas concorrentes na hierarquia durante o reparo
+            if (!dryRun) {
+                await client.query('LOCK TABLE mlm_hierarchy IN SHARE ROW EXCLUSIVE MODE');
+            }
+
+            const rows = await this.getAllHierarchyNodes(client);
+            const before = checkHierarchy(rows);
+            const changes = planHierarchyRepair(rows, { compressInactive });
+
+            const tooDeep = changes.filter(change => change.level > MLMModel.MAX_HIERARCHY_DEPTH);
+            if (tooDeep.length > 0) {
+                throw new MLMError(
+                    `Reparo levaria afiliados além do nível ${MLMModel.MAX_HIERARCHY_DEPTH}`,
+                    'MAX_DEPTH_EXCEEDED',
+                    422,
+                    { affiliates: tooDeep.map(change => ({ affiliateId: change.affiliateId, level: change.level })) }
+                );
+            }
+
+            // Estado após o reparo, calculado sobre as linhas em memória
+            const changesById = new Map(changes.map(change => [change.affiliateId, change]));
+            const after = checkHierarchy(rows.map(row => {
+                const change = changesById.get(row.affiliate_id);
+                return change
+                    ? { ...row, parent_id: change.parentId, level: change.level, path: change.path }
+                    : row;
+            }));
+
+            if (!dryRun) {
+                await this.applyHierarchyRepairs(client, changes);
+            }
+
+            return {
+                dryRun,
+                compressInactive,
+                before: before.summary,
+                after: after.summary,
+                repaired: changes.length,
+                changes
+            };
+        };
+
+        if (dryRun) {
+            const client = await this.pool.connect();
+            try {
+                return await repair(client);
+            } finally {
+                client.release();
+            }
+        }
+
+        return await this.withTransaction(repair);
+    }
+
+    // Gravar correções de parent/level/path em lote
+    async applyHierarchyRepairs(client, changes, batchSize = 1000) {
+        for (let i = 0; i < changes.length; i += batchSize) {
+            const batch = changes.slice(i, i + batchSize);
+
+            await client.query(`
+                UPDATE mlm_hierarchy h
+                SET parent_id = t.parent_id,
+                    level = t.level,
+                    path = string_to_array(t.path, ',')::INTEGER[],
+                    updated_at = CURRENT_TIMESTAMP
+                FROM unnest($1::INTEGER[], $2::INTEGER[], $3::INTEGER[], $4::TEXT[]) 
+                    AS t(affiliate_id, parent_id, level, path)
+                WHERE h.affiliate_id = t.affiliate_id
+            `, [
+                batch.map(change => change.affiliateId),
+                batch.map(change => change.parentId),
+                batch.map(change => change.level),
+                batch.map(change => change.path.join(','))
+            ]);
+        }
+
+        // Trocas de parent também entram no histórico de vínculos
+        for (const change of changes) {
+            if (change.parentId !== change.previous.parentId) {
+                await this.recordHierarchyChange(client, change.affiliateId, change.parentId, change.active);
+            }
+        }
+    }
+
+    // Desativar afiliado, opcionalmente comprimindo a downline
+    async deactivateAffiliate(affiliateId, compress = true) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const affiliateResult = await client.query(
+                'SELECT * FROM mlm_hierarchy WHERE affiliate_id = $1 FOR UPDATE',
+                [affiliateId]
+            );
+
+            if (affiliateResult.rows.length === 0) {
+                throw new MLMError('Afiliado não encontrado na hierarquia', 'AFFILIATE_NOT_FOUND', 404, { affiliateId });
+            }
+
+            const affiliate = affiliateResult.rows[0];
+            if (!affiliate.active) {
+                throw new MLMError('Afiliado já está inativo', 'AFFILIATE_ALREADY_INACTIVE', 409, { affiliateId });
+            }
+
+            const updated = await client.query(`
+                UPDATE mlm_hierarchy 
+                SET active = false, updated_at = CURRENT_TIMESTAMP
+                WHERE affiliate_id = $1
+                RETURNING *
             `, [affiliateId]);
+            await this.recordHierarchyChange(client, affiliateId, affiliate.parent_id, false);
+
+            const childrenResult = await client.query(
+                'SELECT affiliate_id FROM mlm_hierarchy WHERE parent_id = $1 AND active = true ORDER BY affiliate_id',
+                [affiliateId]
+            );
+            const children = childrenResult.rows.map(row => row.affiliate_id);
+
+            let newParentId = null;
+            let movedNodesTotal = 0;
+            if (compress) {
+                // Próximo ancestral ativo, do mais próximo para o mais distante
+                const uplineResult = await client.query(`
+                    SELECT affiliate_id 
+                    FROM mlm_hierarchy 
+                    WHERE affiliate_id = ANY($1) AND affiliate_id != $2 AND active = true
+                    ORDER BY array_position($1, affiliate_id) DESC
+                    LIMIT 1
+                `, [affiliate.path, affiliateId]);
+
+                newParentId = uplineResult.rows.length > 0 ? uplineResult.rows[0].affiliate_id : null;
 
-            for (const descendant of descendants.rows) {
-                // Recalcular path e level
-                const parentQuery = 'SELECT level, path FROM mlm_hierarchy WHERE affiliate_id = $1 AND active = true';
-                const parentResult = await client.query(parentQuery, [descendant.parent_id]);
-                
-                if (parentResult.rows.length > 0) {
-                    const parent = parentResult.rows[0];
-                    const newLevel = parent.level + 1;
-                    const newPath = [...parent.path, descendant.affiliate_id];
-
-                    await client.query(`
-                        UPDATE mlm_hierarchy 
-                        SET level = $1, path = $2, updated_at = CURRENT_TIMESTAMP
-                        WHERE affiliate_id = $3
-                    `, [newLevel, newPath, descendant.affiliate_id]);
+                for (const childId of children) {
+                    const { movedNodes } = await this.updateAffiliateParent(client, childId, newParentId);
+                    movedNodesTotal += movedNodes;
                 }
             }
+
+            await client.query('COMMIT');
+
+            // newParentId: parent que os filhos receberam no compress (null se viraram raiz); no keep nada muda
+            return {
+                affiliate: updated.rows[0],
+                mode: compress ? 'compress' : 'keep',
+                children,
+                newParentId,
+                movedNodes: movedNodesTotal
+            };
         } catch (error) {
-            logger.error('Erro ao atualizar descendentes:', error);
+            await client.query('ROLLBACK');
+            logger.error('Erro ao desativar afiliado:', error);
             throw error;
+        } finally {
+            client.release();
         }
     }
 
-    // Salvar CPA validado
-    async saveCpaValidado(cpaData) {
-        const client = await this.pool.connect();
+    // Salvar CPA validado (cpaData.amount_minor em unidades menores de cpaData.currency)
+    // Uma linha em ERROR/REJECTED com a mesma chave é reaproveitada (nova tentativa); as demais são preservadas
+    async saveCpaValidado(cpaData, client = null) {
+        const conn = client || await this.pool.connect();
         try {
             const query = `
                 INSERT INTO cpa_validados 
-                (user_id, affiliate_id, affiliate_level, cpa_amount, validation_rule_id, validation_criteria)
-                VALUES ($1, $2, $3, $4, $5, $6)
+                (user_id, affiliate_id, affiliate_level, cpa_amount, validation_rule_id, validation_criteria, event_at,
+                 idempotency_key, source_event_id, status, validation_result, cpa_override_id, currency, fraud_flags)
+                VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP), $8, $9, $10, $11, $12, $13, $14)
+                ON CONFLICT (idempotency_key) DO UPDATE SET
+                    cpa_amount = EXCLUDED.cpa_amount,
+                    currency = EXCLUDED.currency,
+                    validation_rule_id = EXCLUDED.validation_rule_id,
+                    validation_criteria = EXCLUDED.validation_criteria,
+                    event_at = EXCLUDED.event_at,
+                    source_event_id = EXCLUDED.source_event_id,
+                    status = EXCLUDED.status,
+                    validation_result = EXCLUDED.validation_result,
+                    cpa_override_id = EXCLUDED.cpa_override_id,
+                    fraud_flags = EXCLUDED.fraud_flags,
+                    validated_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE cpa_validados.status = 'ERROR'
+                   OR (cpa_validados.status = 'REJECTED' AND cpa_validados.reviewed_at IS NULL)
                 RETURNING *
             `;
             
@@ -234,29 +803,61 @@ class MLMModel {
                 cpaData.user_id,
                 cpaData.affiliate_id,
                 cpaData.affiliate_level,
-                cpaData.cpa_amount,
+                fromMinor(cpaData.amount_minor, cpaData.currency || 'BRL'),
                 cpaData.validation_rule_id,
-                JSON.stringify(cpaData.validation_criteria)
+                JSON.stringify(cpaData.validation_criteria),
+                cpaData.event_at || null,
+                cpaData.idempotency_key || null,
+                cpaData.source_event_id || null,
+                cpaData.status || 'PENDING',
+                cpaData.validation_result ? JSON.stringify(cpaData.validation_result) : null,
+                cpaData.cpa_override_id || null,
+                cpaData.currency || 'BRL',
+                cpaData.fraud_flags ? JSON.stringify(cpaData.fraud_flags) : null
             ];
 
-            const result = await client.query(query, values);
-            return result.rows[0];
+            // Sem linha retornada: outra requisição já gravou o CPA com a mesma chave
+            const result = await conn.query(query, values);
+            return withMinorAmounts(result.rows[0]) || null;
         } catch (error) {
             logger.error('Erro ao salvar CPA validado:', error);
             throw error;
         } finally {
-            client.release();
+            if (!client) conn.release();
         }
     }
 
-    // Salvar distribuição CPA
-    async saveCpaDistribution(distributionData) {
-        const client = await this.pool.connect();
+    // Atualizar status do CPA validado (DISTRIBUTED registra distributed_at)
+    async updateCpaStatus(cpaValidadoId, status, client = null) {
+        const conn = client || await this.pool.connect();
+        try {
+            const result = await conn.query(`
+                UPDATE cpa_validados
+                SET status = $2,
+                    distributed_at = CASE WHEN $2 = 'DISTRIBUTED' THEN CURRENT_TIMESTAMP ELSE distributed_at END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [cpaValidadoId, status]);
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Erro ao atualizar status do CPA:', error);
+            throw error;
+        } finally {
+            if (!client) conn.release();
+        }
+    }
+
+    // Salvar distribuição CPA (original_amount_minor e amount_minor em unidades menores da moeda)
+    async saveCpaDistribution(distributionData, client = null) {
+        const conn = client || await this.pool.connect();
         try {
             const query = `
                 INSERT INTO cpa_distributions 
-                (cpa_validado_id, user_id, affiliate_id, affiliate_level, original_amount, distributed_amount, transaction_id)
-                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                (cpa_validado_id, user_id, affiliate_id, affiliate_level, original_amount, distributed_amount, transaction_id,
+                 status, qualification, earner_rank, currency, release_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
                 RETURNING *
             `;
             
@@ -265,21 +866,644 @@ class MLMModel {
                 distributionData.user_id,
                 distributionData.affiliate_id,
                 distributionData.affiliate_level,
-                distributionData.original_amount,
-                distributionData.distributed_amount,
-                distributionData.transaction_id
+                fromMinor(distributionData.original_amount_minor, distributionData.currency || 'BRL'),
+                fromMinor(distributionData.amount_minor, distributionData.currency || 'BRL'),
+                distributionData.transaction_id,
+                distributionData.status || 'COMPLETED',
+                distributionData.qualification ? JSON.stringify(distributionData.qualification) : null,
+                distributionData.earner_rank || null,
+                distributionData.currency || 'BRL',
+                distributionData.release_at || null
             ];
 
-            const result = await client.query(query, values);
-            return result.rows[0];
+            const result = await conn.query(query, values);
+            return withMinorAmounts(result.rows[0]);
         } catch (error) {
             logger.error('Erro ao salvar distribuição CPA:', error);
             throw error;
+        } finally {
+            if (!client) conn.release();
+        }
+    }
+
+    // Métricas de qualificação da upline: diretos ativos e CPAs próprios na janela de dias
+    async getQualificationMetrics(affiliateIds, lookbackDays, client = null) {
+        const conn = client || await this.pool.connect();
+        try {
+            const result = await conn.query(`
+                SELECT 
+                    h.affiliate_id,
+                    (
+                        SELECT COUNT(*) FROM mlm_hierarchy c
+                        WHERE c.parent_id = h.affiliate_id AND c.active = true
+                    )::int AS active_directs,
+                    (
+                        SELECT COUNT(*) FROM cpa_validados cv
+                        WHERE cv.affiliate_id = h.affiliate_id
+                        AND cv.status = 'DISTRIBUTED'
+                        AND cv.validated_at >= CURRENT_TIMESTAMP - make_interval(days => $2)
+                    )::int AS personal_cpas
+                FROM mlm_hierarchy h
+                WHERE h.affiliate_id = ANY($1)
+            `, [affiliateIds, lookbackDays]);
+
+            return new Map(result.rows.map(row => [row.affiliate_id, row]));
+        } catch (error) {
+            logger.error('Erro ao buscar métricas de qualificação:', error);
+            throw error;
+        } finally {
+            if (!client) conn.release();
+        }
+    }
+
+    // Métricas de rank de todos os afiliados ativos na janela de dias
+    // team_*: subárvore sem o próprio afiliado, agregada pelos ancestrais do path de cada nó
+    async getRankMetrics(lookbackDays) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                WITH recent_cpas AS (
+                    SELECT affiliate_id, COUNT(*) AS cpas
+                    FROM cpa_validados
+                    WHERE status = 'DISTRIBUTED'
+                    AND validated_at >= CURRENT_TIMESTAMP - make_interval(days => $1)
+                    GROUP BY affiliate_id
+                ),
+                team AS (
+                    SELECT 
+                        ancestor AS affiliate_id,
+                        SUM(COALESCE(rc.cpas, 0)) AS team_cpas,
+                        COUNT(*) FILTER (WHERE d.active) AS team_size
+                    FROM mlm_hierarchy d
+                    CROSS JOIN LATERAL unnest(d.path[1:array_length(d.path, 1) - 1]) AS ancestor
+                    LEFT JOIN recent_cpas rc ON rc.affiliate_id = d.affiliate_id
+                    GROUP BY ancestor
+                ),
+                directs AS (
+                    SELECT parent_id AS affiliate_id, COUNT(*) AS active_directs
+                    FROM mlm_hierarchy
+                    WHERE active = true AND parent_id IS NOT NULL
+                    GROUP BY parent_id
+                )
+                SELECT 
+                    h.affiliate_id,
+                    COALESCE(rc.cpas, 0)::int AS personal_cpas,
+                    COALESCE(t.team_cpas, 0)::int AS team_cpas,
+                    COALESCE(t.team_size, 0)::int AS team_size,
+                    COALESCE(dr.active_directs, 0)::int AS active_directs
+                FROM mlm_hierarchy h
+                LEFT JOIN recent_cpas rc ON rc.affiliate_id = h.affiliate_id
+                LEFT JOIN team t ON t.affiliate_id = h.affiliate_id
+                LEFT JOIN directs dr ON dr.affiliate_id = h.affiliate_id
+                WHERE h.active = true
+            `, [lookbackDays]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao calcular métricas de rank:', error);
+            throw error;
         } finally {
             client.release();
         }
     }
 
+    // Ranks vigentes (ou vigentes na data asOf) de um conjunto de afiliados
+    async getCurrentRanks(affiliateIds, asOf = null) {
+        const client = await this.pool.connect();
+        try {
+            const result = asOf
+                ? await client.query(`
+                    SELECT affiliate_id, rank FROM affiliate_rank_history
+                    WHERE affiliate_id = ANY($1)
+                    AND valid_from <= $2 AND (valid_to IS NULL OR valid_to > $2)
+                `, [affiliateIds, asOf])
+                : await client.query(`
+                    SELECT affiliate_id, rank FROM affiliate_rank_history
+                    WHERE affiliate_id = ANY($1) AND valid_to IS NULL
+                `, [affiliateIds]);
+
+            return new Map(result.rows.map(row => [row.affiliate_id, row.rank]));
+        } catch (error) {
+            logger.error('Erro ao buscar ranks vigentes:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Gravar mudanças de rank: encerra o registro vigente e abre o novo em lote
+    async applyRankChanges(changes) {
+        if (changes.length === 0) {
+            return 0;
+        }
+
+        return this.withTransaction(async (client) => {
+            const affiliateIds = changes.map(c => c.affiliateId);
+
+            await client.query(`
+                UPDATE affiliate_rank_history
+                SET valid_to = CURRENT_TIMESTAMP
+                WHERE affiliate_id = ANY($1) AND valid_to IS NULL
+            `, [affiliateIds]);
+
+            const result = await client.query(`
+                INSERT INTO affiliate_rank_history (affiliate_id, rank, previous_rank, metrics, valid_from)
+                SELECT affiliate_id, rank, previous_rank, metrics::jsonb, CURRENT_TIMESTAMP
+                FROM unnest($1::int[], $2::varchar[], $3::varchar[], $4::text[])
+                    AS c(affiliate_id, rank, previous_rank, metrics)
+            `, [
+                affiliateIds,
+                changes.map(c => c.rank),
+                changes.map(c => c.previousRank),
+                changes.map(c => JSON.stringify(c.metrics))
+            ]);
+
+            return result.rowCount;
+        });
+    }
+
+    // Histórico de ranks de um afiliado (mais recente primeiro)
+    async getAffiliateRankHistory(affiliateId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT rank, previous_rank, metrics, valid_from, valid_to
+                FROM affiliate_rank_history
+                WHERE affiliate_id = $1
+                ORDER BY valid_from DESC
+            `, [affiliateId]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar histórico de ranks:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Acordos de CPA vigentes (na data asOf ou agora) de um conjunto de afiliados
+    async getEffectiveCpaOverrides(affiliateIds, asOf = null) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT * FROM affiliate_cpa_overrides
+                WHERE affiliate_id = ANY($1)
+                AND valid_from <= COALESCE($2, CURRENT_TIMESTAMP)
+                AND (valid_to IS NULL OR valid_to > COALESCE($2, CURRENT_TIMESTAMP))
+            `, [affiliateIds, asOf]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar acordos de CPA vigentes:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Acordos de CPA de um afiliado, vigentes ou não (mais recente primeiro)
+    async listCpaOverrides(affiliateId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT * FROM affiliate_cpa_overrides
+                WHERE affiliate_id = $1
+                ORDER BY valid_from DESC, scope
+            `, [affiliateId]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao listar acordos de CPA:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getCpaOverride(overrideId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query('SELECT * FROM affiliate_cpa_overrides WHERE id = $1', [overrideId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao buscar acordo de CPA:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Criar acordo de CPA (vigência sobreposta no mesmo afiliado e escopo é recusada pelo banco)
+    async createCpaOverride(override) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                INSERT INTO affiliate_cpa_overrides
+                (affiliate_id, scope, level_amounts, level_percentages, max_levels, minimum_amount,
+                 valid_from, valid_to, notes, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP), $8, $9, $10)
+                RETURNING *
+            `, [
+                override.affiliate_id,
+                override.scope,
+                override.level_amounts ? JSON.stringify(override.level_amounts) : null,
+                override.level_percentages ? JSON.stringify(override.level_percentages) : null,
+                override.max_levels ?? null,
+                override.minimum_amount ?? null,
+                override.valid_from || null,
+                override.valid_to || null,
+                override.notes || null,
+                override.created_by || 'system'
+            ]);
+
+            return result.rows[0];
+        } catch (error) {
+            throw this.translateCpaOverrideError(error, override);
+        } finally {
+            client.release();
+        }
+    }
+
+    // Atualizar campos de um acordo de CPA (apenas as colunas informadas)
+    async updateCpaOverride(overrideId, fields) {
+        const columns = MLMModel.CPA_OVERRIDE_COLUMNS.filter(column => fields[column] !== undefined);
+        const jsonColumns = ['level_amounts', 'level_percentages'];
+
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                UPDATE affiliate_cpa_overrides
+                SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')},
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [
+                overrideId,
+                ...columns.map(column => (jsonColumns.includes(column) && fields[column] !== null
+                    ? JSON.stringify(fields[column])
+                    : fields[column]))
+            ]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            throw this.translateCpaOverrideError(error, { id: overrideId, ...fields });
+        } finally {
+            client.release();
+        }
+    }
+
+    // Remover acordo de CPA que ainda não foi aplicado a nenhum CPA
+    async deleteCpaOverride(overrideId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'DELETE FROM affiliate_cpa_overrides WHERE id = $1 RETURNING *',
+                [overrideId]
+            );
+
+            return result.rows[0] || null;
+        } catch (error) {
+            throw this.translateCpaOverrideError(error, { id: overrideId });
+        } finally {
+            client.release();
+        }
+    }
+
+    // Erros de restrição da tabela de acordos viram erros de domínio
+    translateCpaOverrideError(error, override) {
+        if (error.code === '23P01') {
+            return new MLMError(
+                'Já existe acordo de CPA com vigência sobreposta para este afiliado e escopo',
+                'CPA_OVERRIDE_OVERLAP',
+                409,
+                { affiliateId: override.affiliate_id, scope: override.scope, validFrom: override.valid_from, validTo: override.valid_to }
+            );
+        }
+
+        if (error.code === '23503') {
+            return new MLMError(
+                'Acordo de CPA já aplicado a CPAs não pode ser removido; encerre a vigência com validTo',
+                'CPA_OVERRIDE_IN_USE',
+                409,
+                { overrideId: override.id }
+            );
+        }
+
+        if (error.code === '23514') {
+            return new MLMError('Acordo de CPA inválido', 'INVALID_CPA_OVERRIDE', 400, {
+                constraint: error.constraint
+            });
+        }
+
+        logger.error('Erro ao gravar acordo de CPA:', error);
+        return error;
+    }
+
+    // Buscar CPA validado pela chave de idempotência
+    async getCpaValidadoByIdempotencyKey(idempotencyKey) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT * FROM cpa_validados WHERE idempotency_key = $1',
+                [idempotencyKey]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao buscar CPA por chave de idempotência:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Buscar distribuições geradas por um CPA validado
+    async getCpaDistributions(cpaValidadoId, client = null) {
+        const conn = client || await this.pool.connect();
+        try {
+            const result = await conn.query(
+                'SELECT * FROM cpa_distributions WHERE cpa_validado_id = $1 ORDER BY affiliate_level, created_at',
+                [cpaValidadoId]
+            );
+            return result.rows.map(withMinorAmounts);
+        } catch (error) {
+            logger.error('Erro ao buscar distribuições do CPA:', error);
+            throw error;
+        } finally {
+            if (!client) conn.release();
+        }
+    }
+
+    // Buscar CPA validado travando a linha até o fim da transação
+    async getCpaValidadoForUpdate(client, cpaValidadoId) {
+        const result = await client.query(
+            'SELECT * FROM cpa_validados WHERE id = $1 FOR UPDATE',
+            [cpaValidadoId]
+        );
+        return withMinorAmounts(result.rows[0]) || null;
+    }
+
+    // Lançamentos de estorno: cópia negativa de cada distribuição, marcada como CANCELLED
+    async insertReversalDistributions(client, distributionIds) {
+        const result = await client.query(`
+            INSERT INTO cpa_distributions 
+            (cpa_validado_id, user_id, affiliate_id, affiliate_level, original_amount, distributed_amount,
+             currency, transaction_id, status, reversal_of)
+            SELECT cpa_validado_id, user_id, affiliate_id, affiliate_level, -original_amount, -distributed_amount,
+                   currency, 'REV_' || id, 'CANCELLED', id
+            FROM cpa_distributions
+            WHERE id = ANY($1::uuid[])
+            ORDER BY affiliate_level
+            RETURNING *
+        `, [distributionIds]);
+
+        return result.rows.map(withMinorAmounts);
+    }
+
+    // Distribuições ainda não pagas (em carência ou com pagamento recusado) de um CPA estornado
+    // deixam de ser pagáveis (sem lançamento negativo)
+    async cancelPendingDistributions(client, distributionIds) {
+        const result = await client.query(`
+            UPDATE cpa_distributions
+            SET status = 'CANCELLED',
+                payout_next_attempt_at = NULL
+            WHERE id = ANY($1::uuid[]) AND status IN ('PENDING', 'FAILED')
+            RETURNING *
+        `, [distributionIds]);
+
+        return result.rows.map(withMinorAmounts);
+    }
+
+    /**
+     * Reservar distribuições pagáveis para envio ao provedor de pagamento (payout_status → SUBMITTING)
+     * Pagáveis: PENDING com a carência vencida e sem pagamento em andamento, com nova tentativa vencida
+     * ou com envio interrompido há mais de staleMinutes (reenviado com a mesma referência)
+     * CPAs estornados já têm as distribuições pendentes canceladas; o filtro por DISTRIBUTED é uma garantia a mais
+     * O CPA também é travado: um estorno em andamento faz o pagamento pular as suas distribuições
+     * @param {number} limit - tamanho do lote (linhas travadas com SKIP LOCKED)
+     */
+    async claimPayableDistributions(client, limit, provider, staleMinutes) {
+        const result = await client.query(`
+            UPDATE cpa_distributions d
+            SET payout_status = 'SUBMITTING',
+                payout_reference = COALESCE(d.payout_reference, d.transaction_id),
+                payout_provider = $2,
+                payout_attempts = d.payout_attempts + 1,
+                payout_submitted_at = CURRENT_TIMESTAMP,
+                payout_next_attempt_at = NULL
+            WHERE d.id IN (
+                SELECT cd.id
+                FROM cpa_distributions cd
+                INNER JOIN cpa_validados cv ON cv.id = cd.cpa_validado_id
+                WHERE cd.status = 'PENDING'
+                AND cd.release_at <= CURRENT_TIMESTAMP
+                AND cv.status = 'DISTRIBUTED'
+                AND (
+                    cd.payout_status IS NULL
+                    OR (cd.payout_status = 'RETRY' AND cd.payout_next_attempt_at <= CURRENT_TIMESTAMP)
+                    OR (cd.payout_status = 'SUBMITTING'
+                        AND cd.payout_submitted_at < CURRENT_TIMESTAMP - make_interval(mins => $3))
+                )
+                ORDER BY cd.release_at
+                LIMIT $1
+                FOR UPDATE OF cd, cv SKIP LOCKED
+            )
+            RETURNING d.*
+        `, [limit, provider, staleMinutes]);
+
+        return result.rows.map(withMinorAmounts);
+    }
+
+    /**
+     * Registrar o resultado do pagamento de uma distribuição ainda PENDING
+     * state.status: COMPLETED/FAILED encerram a distribuição; omitido, ela continua PENDING
+     * @returns {Object|null} distribuição atualizada; null se ela já não estava PENDING (estornada ou já encerrada)
+     */
+    async updatePayoutState(distributionId, state, client = null) {
+        const conn = client || await this.pool.connect();
+        try {
+            const result = await conn.query(`
+                UPDATE cpa_distributions
+                SET status = COALESCE($2, status),
+                    payout_status = $3,
+                    payout_provider_reference = COALESCE($4, payout_provider_reference),
+                    payout_error = $5,
+                    payout_next_attempt_at = $6,
+                    payout_confirmed_at = CASE WHEN $3 = 'CONFIRMED' THEN CURRENT_TIMESTAMP ELSE payout_confirmed_at END,
+                    released_at = CASE WHEN $2 = 'COMPLETED' THEN CURRENT_TIMESTAMP ELSE released_at END
+                WHERE id = $1 AND status = 'PENDING'
+                RETURNING *
+            `, [
+                distributionId,
+                state.status || null,
+                state.payoutStatus,
+                state.providerReference || null,
+                state.error || null,
+                state.nextAttemptAt || null
+            ]);
+
+            return withMinorAmounts(result.rows[0]) || null;
+        } catch (error) {
+            logger.error('Erro ao atualizar pagamento da distribuição:', error);
+            throw error;
+        } finally {
+            if (!client) conn.release();
+        }
+    }
+
+    // Distribuição pela referência de pagamento enviada ao provedor (travada para o callback)
+    async getDistributionByPayoutReference(client, payoutReference) {
+        const result = await client.query(`
+            SELECT * FROM cpa_distributions
+            WHERE payout_reference = $1
+            FOR UPDATE
+        `, [payoutReference]);
+
+        return withMinorAmounts(result.rows[0]) || null;
+    }
+
+    // Saldo do afiliado por moeda: a pagar (PENDING), pago (COMPLETED, já descontados os estornos)
+    // e com pagamento recusado (FAILED)
+    async getAffiliateBalance(affiliateId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT 
+                    currency,
+                    COALESCE(SUM(distributed_amount) FILTER (WHERE status = 'PENDING'), 0)::text as pending_amount,
+                    COALESCE(SUM(distributed_amount) FILTER (
+                        WHERE status = 'COMPLETED' OR reversal_of IS NOT NULL
+                    ), 0)::text as released_amount,
+                    COALESCE(SUM(distributed_amount) FILTER (WHERE status = 'FAILED'), 0)::text as failed_amount,
+                    COUNT(*) FILTER (WHERE status = 'PENDING')::INTEGER as pending_distributions,
+                    COUNT(*) FILTER (WHERE status = 'FAILED')::INTEGER as failed_distributions,
+                    MIN(release_at) FILTER (WHERE status = 'PENDING') as next_release_at
+                FROM cpa_distributions
+                WHERE affiliate_id = $1
+                GROUP BY currency
+                ORDER BY currency
+            `, [affiliateId]);
+
+            return result.rows.map(withMinorAmounts);
+        } catch (error) {
+            logger.error('Erro ao buscar saldo do afiliado:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Marcar CPA como estornado
+    async markCpaReversed(client, cpaValidadoId, reasonCode) {
+        const result = await client.query(`
+            UPDATE cpa_validados
+            SET status = 'CANCELLED',
+                reversed_at = CURRENT_TIMESTAMP,
+                reversal_reason = $2,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [cpaValidadoId, reasonCode]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Histórico usado pela triagem antifraude (ver utils/fraudRules)
+     * Ignora o próprio CPA (mesma chave de idempotência) e tentativas com falha técnica (ERROR)
+     * @param {Array} fingerprints - { field, value } de cpaData.criteria a procurar em outros jogadores
+     */
+    async getFraudSignals({ userId, affiliateId, eventAt, idempotencyKey, fingerprints }) {
+        const client = await this.pool.connect();
+        try {
+            const otherAffiliates = await client.query(`
+                SELECT DISTINCT affiliate_id
+                FROM cpa_validados
+                WHERE user_id = $1 AND affiliate_id <> $2
+                AND status <> 'ERROR'
+                AND idempotency_key IS DISTINCT FROM $3
+                ORDER BY affiliate_id
+            `, [userId, affiliateId, idempotencyKey]);
+
+            const hourly = await client.query(`
+                SELECT COUNT(*)::INTEGER as cpas
+                FROM cpa_validados
+                WHERE affiliate_id = $1
+                AND event_at > $2::timestamp - INTERVAL '1 hour'
+                AND event_at <= $2::timestamp
+                AND status NOT IN ('ERROR', 'REJECTED')
+                AND idempotency_key IS DISTINCT FROM $3
+            `, [affiliateId, eventAt, idempotencyKey]);
+
+            const fingerprintUsers = [];
+            for (const { field, value } of fingerprints) {
+                const result = await client.query(`
+                    SELECT COUNT(DISTINCT user_id)::INTEGER as users
+                    FROM cpa_validados
+                    WHERE validation_criteria @> $1::jsonb
+                    AND user_id <> $2
+                    AND status <> 'ERROR'
+                `, [JSON.stringify({ [field]: value }), userId]);
+
+                fingerprintUsers.push({ field, value, users: result.rows[0].users });
+            }
+
+            return {
+                otherAffiliateIds: otherAffiliates.rows.map(row => row.affiliate_id),
+                hourlyCpas: hourly.rows[0].cpas,
+                fingerprintUsers
+            };
+        } catch (error) {
+            logger.error('Erro ao buscar histórico para triagem antifraude:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // CPAs retidos pela triagem antifraude aguardando revisão (mais antigos primeiro)
+    async listHeldCpas({ affiliateId = null, limit = 50, offset = 0 } = {}) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT *, COUNT(*) OVER()::INTEGER as total_count
+                FROM cpa_validados
+                WHERE status = 'HELD'
+                AND ($1::INTEGER IS NULL OR affiliate_id = $1)
+                ORDER BY validated_at
+                LIMIT $2 OFFSET $3
+            `, [affiliateId, limit, offset]);
+
+            return {
+                total: result.rows.length > 0 ? result.rows[0].total_count : 0,
+                cpas: result.rows.map(({ total_count, ...row }) => row)
+            };
+        } catch (error) {
+            logger.error('Erro ao listar CPAs retidos:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Registrar a decisão da revisão de um CPA retido (DISTRIBUTED registra distributed_at)
+    async markCpaReviewed(client, cpaValidadoId, { status, reviewedBy, notes, cpaOverrideId = null }) {
+        const result = await client.query(`
+            UPDATE cpa_validados
+            SET status = $2,
+                reviewed_at = CURRENT_TIMESTAMP,
+                reviewed_by = $3,
+                review_notes = $4,
+                cpa_override_id = COALESCE($5, cpa_override_id),
+                distributed_at = CASE WHEN $2 = 'DISTRIBUTED' THEN CURRENT_TIMESTAMP ELSE distributed_at END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [cpaValidadoId, status, reviewedBy, notes, cpaOverrideId]);
+
+        return result.rows[0];
+    }
+
     // Buscar CPAs de um afiliado
     async getAffiliateCpas(affiliateId, filters = {}) {
         const client = await this.pool.connect();
@@ -290,7 +1514,8 @@ class MLMModel {
                     cd.distributed_amount,
                     cd.distribution_date,
                     cd.transaction_id,
-                    cd.status as distribution_status
+                    cd.status as distribution_status,
+                    cd.release_at
                 FROM cpa_validados cv
                 LEFT JOIN cpa_distributions cd ON cv.id = cd.cpa_validado_id
                 WHERE cv.affiliate_id = $1
@@ -348,6 +1573,7 @@ class MLMModel {
     }
 
     // Buscar estatísticas MLM
+    // Uma linha por moeda em que o afiliado recebeu no período
     async getAffiliateStatistics(affiliateId, periodStart, periodEnd) {
         const client = await this.pool.connect();
         try {
@@ -356,10 +1582,11 @@ class MLMModel {
                 WHERE affiliate_id = $1 
                 AND period_start = $2 
                 AND period_end = $3
+                ORDER BY currency
             `;
             
             const result = await client.query(query, [affiliateId, periodStart, periodEnd]);
-            return result.rows[0] || null;
+            return result.rows.map(withMinorAmounts);
         } catch (error) {
             logger.error('Erro ao buscar estatísticas MLM:', error);
             throw error;
@@ -369,49 +1596,204 @@ class MLMModel {
     }
 
     // Atualizar estatísticas MLM
-    async updateAffiliateStatistics(affiliateId, periodStart, periodEnd, stats) {
-        const client = await this.pool.connect();
+    // Os valores informados são somados aos já acumulados no período e moeda
+    // stats: contagens e *_amount em unidades menores de currency
+    async updateAffiliateStatistics(affiliateId, periodStart, periodEnd, currency, stats, client = null) {
+        const conn = client || await this.pool.connect();
         try {
+            const amount = field => fromMinor(stats[field], currency);
             const query = `
                 INSERT INTO mlm_statistics 
                 (affiliate_id, period_start, period_end, total_cpas, total_amount, 
                  level_1_cpas, level_1_amount, level_2_cpas, level_2_amount,
                  level_3_cpas, level_3_amount, level_4_cpas, level_4_amount,
-                 level_5_cpas, level_5_amount)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-                ON CONFLICT (affiliate_id, period_start, period_end)
+                 level_5_cpas, level_5_amount, currency, pending_amount, released_amount)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+                ON CONFLICT (affiliate_id, period_start, period_end, currency)
                 DO UPDATE SET
-                    total_cpas = EXCLUDED.total_cpas,
-                    total_amount = EXCLUDED.total_amount,
-                    level_1_cpas = EXCLUDED.level_1_cpas,
-                    level_1_amount = EXCLUDED.level_1_amount,
-                    level_2_cpas = EXCLUDED.level_2_cpas,
-                    level_2_amount = EXCLUDED.level_2_amount,
-                    level_3_cpas = EXCLUDED.level_3_cpas,
-                    level_3_amount = EXCLUDED.level_3_amount,
-                    level_4_cpas = EXCLUDED.level_4_cpas,
-                    level_4_amount = EXCLUDED.level_4_amount,
-                    level_5_cpas = EXCLUDED.level_5_cpas,
-                    level_5_amount = EXCLUDED.level_5_amount,
+                    total_cpas = mlm_statistics.total_cpas + EXCLUDED.total_cpas,
+                    total_amount = mlm_statistics.total_amount + EXCLUDED.total_amount,
+                    level_1_cpas = mlm_statistics.level_1_cpas + EXCLUDED.level_1_cpas,
+                    level_1_amount = mlm_statistics.level_1_amount + EXCLUDED.level_1_amount,
+                    level_2_cpas = mlm_statistics.level_2_cpas + EXCLUDED.level_2_cpas,
+                    level_2_amount = mlm_statistics.level_2_amount + EXCLUDED.level_2_amount,
+                    level_3_cpas = mlm_statistics.level_3_cpas + EXCLUDED.level_3_cpas,
+                    level_3_amount = mlm_statistics.level_3_amount + EXCLUDED.level_3_amount,
+                    level_4_cpas = mlm_statistics.level_4_cpas + EXCLUDED.level_4_cpas,
+                    level_4_amount = mlm_statistics.level_4_amount + EXCLUDED.level_4_amount,
+                    level_5_cpas = mlm_statistics.level_5_cpas + EXCLUDED.level_5_cpas,
+                    level_5_amount = mlm_statistics.level_5_amount + EXCLUDED.level_5_amount,
+                    pending_amount = mlm_statistics.pending_amount + EXCLUDED.pending_amount,
+                    released_amount = mlm_statistics.released_amount + EXCLUDED.released_amount,
                     updated_at = CURRENT_TIMESTAMP
                 RETURNING *
             `;
             
             const values = [
                 affiliateId, periodStart, periodEnd,
-                stats.total_cpas, stats.total_amount,
-                stats.level_1_cpas, stats.level_1_amount,
-                stats.level_2_cpas, stats.level_2_amount,
-                stats.level_3_cpas, stats.level_3_amount,
-                stats.level_4_cpas, stats.level_4_amount,
-                stats.level_5_cpas, stats.level_5_amount
+                stats.total_cpas, amount('total_amount'),
+                stats.level_1_cpas, amount('level_1_amount'),
+                stats.level_2_cpas, amount('level_2_amount'),
+                stats.level_3_cpas, amount('level_3_amount'),
+                stats.level_4_cpas, amount('level_4_amount'),
+                stats.level_5_cpas, amount('level_5_amount'),
+                currency,
+                amount('pending_amount'), amount('released_amount')
             ];
 
-            const result = await client.query(query, values);
+            const result = await conn.query(query, values);
             return result.rows[0];
         } catch (error) {
             logger.error('Erro ao atualizar estatísticas MLM:', error);
             throw error;
+        } finally {
+            if (!client) conn.release();
+        }
+    }
+
+    // Buscar estatísticas da equipe (subárvore) por nível relativo no período
+    async getTeamStatistics(affiliateId, periodStart, periodEnd) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                WITH root AS (
+                    SELECT affiliate_id, level 
+                    FROM mlm_hierarchy 
+                    WHERE affiliate_id = $1 AND active = true
+                ),
+                team AS (
+                    SELECT h.affiliate_id, h.active, h.created_at, h.level - root.level as relative_level
+                    FROM mlm_hierarchy h
+                    INNER JOIN root ON root.affiliate_id = ANY(h.path)
+                ),
+                -- Volume por nível e moeda; valores como texto para conversão exata em unidades menores
+                level_cpas AS (
+                    SELECT t.relative_level, cv.currency, COUNT(*) as cpas, SUM(cv.cpa_amount) as volume
+                    FROM cpa_validados cv
+                    INNER JOIN team t ON t.affiliate_id = cv.affiliate_id
+                    WHERE cv.validated_at >= $2::date 
+                    AND cv.validated_at < $3::date + INTERVAL '1 day'
+                    AND cv.status NOT IN ('CANCELLED', 'ERROR', 'REJECTED', 'HELD')
+                    GROUP BY t.relative_level, cv.currency
+                )
+                SELECT 
+                    t.relative_level,
+                    COUNT(*)::INTEGER as members,
+                    COUNT(*) FILTER (WHERE t.active)::INTEGER as active_members,
+                    COUNT(*) FILTER (
+                        WHERE t.created_at >= $2::date AND t.created_at < $3::date + INTERVAL '1 day'
+                    )::INTEGER as new_affiliates,
+                    COALESCE((
+                        SELECT SUM(lc.cpas) FROM level_cpas lc WHERE lc.relative_level = t.relative_level
+                    ), 0)::INTEGER as cpas,
+                    COALESCE((
+                        SELECT jsonb_object_agg(lc.currency, lc.volume::text)
+                        FROM level_cpas lc WHERE lc.relative_level = t.relative_level
+                    ), '{}'::jsonb) as cpa_volume
+                FROM team t
+                GROUP BY t.relative_level
+                ORDER BY t.relative_level;
+            `;
+
+            const result = await client.query(query, [affiliateId, periodStart, periodEnd]);
+            return result.rows.map(row => ({
+                ...row,
+                cpa_volume_minor: Object.fromEntries(
+                    Object.entries(row.cpa_volume).map(([currency, volume]) => [currency, toMinor(volume, currency)])
+                )
+            }));
+        } catch (error) {
+            logger.error('Erro ao buscar estatísticas da equipe:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Gravar cotações; a cotação já existente para a mesma moeda, base e data é substituída
+    async upsertFxRates(rates) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                INSERT INTO fx_rates (currency, base_currency, rate, rate_date, source)
+                SELECT * FROM unnest($1::varchar[], $2::varchar[], $3::numeric[], $4::date[], $5::varchar[])
+                ON CONFLICT (currency, base_currency, rate_date) DO UPDATE SET
+                    rate = EXCLUDED.rate,
+                    source = EXCLUDED.source,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING *
+            `, [
+                rates.map(r => r.currency),
+                rates.map(r => r.base_currency),
+                rates.map(r => r.rate),
+                rates.map(r => r.rate_date),
+                rates.map(r => r.source || null)
+            ]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao gravar cotações:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Cotação de cada moeda vigente na data: a mais recente com rate_date até a data
+    async getFxRates(currencies, baseCurrency, date) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT DISTINCT ON (currency) currency, base_currency, rate, rate_date
+                FROM fx_rates
+                WHERE currency = ANY($1) AND base_currency = $2 AND rate_date <= $3::date
+                ORDER BY currency, rate_date DESC
+            `, [currencies, baseCurrency, date]);
+
+            return new Map(result.rows.map(row => [row.currency, row]));
+        } catch (error) {
+            logger.error('Erro ao buscar cotações:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Listar cotações (mais recentes primeiro)
+    async listFxRates(filters = {}) {
+        const client = await this.pool.connect();
+        try {
+            let query = 'SELECT * FROM fx_rates WHERE 1=1';
+            const params = [];
+
+            if (filters.baseCurrency) {
+                params.push(filters.baseCurrency);
+                query += ` AND base_currency = $${params.length}`;
+            }
+
+            if (filters.currency) {
+                params.push(filters.currency);
+                query += ` AND currency = $${params.length}`;
+            }
+
+            if (filters.from) {
+                params.push(filters.from);
+                query += ` AND rate_date >= $${params.length}::date`;
+            }
+
+            if (filters.to) {
+                params.push(filters.to);
+                query += ` AND rate_date <= $${params.length}::date`;
+            }
+
+            params.push(filters.limit || 100);
+            query += ` ORDER BY rate_date DESC, currency LIMIT $${params.length}`;
+
+            const result = await client.query(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao listar cotações:', error);
+            throw error;
         } finally {
             client.release();
         }
@@ -455,5 +1837,13 @@ class MLMModel {
     }
 }
 
+// Limite imposto pela constraint valid_level de mlm_hierarchy
+MLMModel.MAX_HIERARCHY_DEPTH = 10;
+
+// Colunas de affiliate_cpa_overrides alteráveis via updateCpaOverride
+MLMModel.CPA_OVERRIDE_COLUMNS = [
+    'scope', 'level_amounts', 'level_percentages', 'max_levels', 'minimum_amount', 'valid_from', 'valid_to', 'notes'
+];
+
 module.exports = MLMModel;
 
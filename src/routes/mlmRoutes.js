@@ -1,6 +1,6 @@
 const express = require('express');
 const MLMController = require('../controllers/mlmController');
-const { validate, schemas, authenticate, rateLimits, validateParams } = require('../middleware/validation');
+const { validate, validateQuery, validateHierarchyImport, validateCpaBatch, schemas, authenticate, rateLimits, validateParams } = require('../middleware/validation');
 
 const router = express.Router();
 const mlmController = new MLMController();
@@ -21,12 +21,50 @@ router.post('/cpa/process',
     mlmController.processCpa.bind(mlmController)
 );
 
+router.post('/cpa/process/batch', 
+    rateLimits.cpaBatch,
+    validateCpaBatch,
+    mlmController.processCpaBatch.bind(mlmController)
+);
+
+router.post('/cpa/queue', 
+    rateLimits.cpaEnqueue,
+    validate(schemas.processCpa),
+    mlmController.enqueueCpa.bind(mlmController)
+);
+
+router.post('/cpa/validate', 
+    rateLimits.read,
+    validate(schemas.validateCpa),
+    mlmController.validateCpa.bind(mlmController)
+);
+
 router.post('/cpa/simulate', 
     rateLimits.read,
     validate(schemas.simulateDistribution),
     mlmController.simulateCpaDistribution.bind(mlmController)
 );
 
+router.get('/cpa/held', 
+    rateLimits.read,
+    validateQuery(schemas.heldCpasQuery),
+    mlmController.listHeldCpas.bind(mlmController)
+);
+
+router.post('/cpa/:cpaId/review', 
+    rateLimits.write,
+    validateParams.cpaId,
+    validate(schemas.reviewCpa),
+    mlmController.reviewHeldCpa.bind(mlmController)
+);
+
+router.post('/cpa/:cpaId/reverse', 
+    rateLimits.write,
+    validateParams.cpaId,
+    validate(schemas.reverseCpa),
+    mlmController.reverseCpa.bind(mlmController)
+);
+
 router.get('/cpa/config', 
     rateLimits.read,
     mlmController.getCpaConfig.bind(mlmController)
@@ -36,12 +74,28 @@ router.get('/cpa/config',
 router.get('/affiliate/:affiliateId/hierarchy', 
     rateLimits.read,
     validateParams.affiliateId,
+    validateQuery(schemas.hierarchyQuery),
     mlmController.getHierarchy.bind(mlmController)
 );
 
+router.get('/affiliate/:affiliateId/hierarchy/export', 
+    rateLimits.read,
+    validateParams.affiliateId,
+    mlmController.exportHierarchy.bind(mlmController)
+);
+
+router.get('/affiliate/:affiliateId/relationship/:otherAffiliateId', 
+    rateLimits.read,
+    validateParams.affiliateId,
+    validateParams.otherAffiliateId,
+    validateQuery(schemas.relationshipQuery),
+    mlmController.getRelationship.bind(mlmController)
+);
+
 router.get('/affiliate/:affiliateId/upline', 
     rateLimits.read,
     validateParams.affiliateId,
+    validateQuery(schemas.uplineQuery),
     mlmController.getUpline.bind(mlmController)
 );
 
@@ -58,6 +112,20 @@ router.put('/affiliate',
     mlmController.upsertAffiliate.bind(mlmController)
 );
 
+// Importação em lote (JSON ou text/csv; ?dryRun=true apenas valida)
+router.post('/affiliate/import', 
+    rateLimits.write,
+    express.text({ type: 'text/csv', limit: '10mb' }),
+    validateHierarchyImport,
+    mlmController.importHierarchy.bind(mlmController)
+);
+
+router.delete('/affiliate/:affiliateId', 
+    rateLimits.write,
+    validateParams.affiliateId,
+    mlmController.deactivateAffiliate.bind(mlmController)
+);
+
 // Rotas de CPAs por afiliado
 router.get('/affiliate/:affiliateId/cpas', 
     rateLimits.read,
@@ -69,9 +137,128 @@ router.get('/affiliate/:affiliateId/cpas',
 router.get('/affiliate/:affiliateId/statistics', 
     rateLimits.read,
     validateParams.affiliateId,
+    validateQuery(schemas.periodQuery),
     mlmController.getAffiliateStatistics.bind(mlmController)
 );
 
+router.get('/affiliate/:affiliateId/balance', 
+    rateLimits.read,
+    validateParams.affiliateId,
+    mlmController.getAffiliateBalance.bind(mlmController)
+);
+
+router.post('/admin/distributions/release', 
+    rateLimits.write,
+    mlmController.releaseDistributions.bind(mlmController)
+);
+
+router.post('/payouts/callback', 
+    rateLimits.payoutCallback,
+    validate(schemas.payoutCallback),
+    mlmController.handlePayoutCallback.bind(mlmController)
+);
+
+router.get('/affiliate/:affiliateId/team-statistics', 
+    rateLimits.read,
+    validateParams.affiliateId,
+    validateQuery(schemas.periodQuery),
+    mlmController.getTeamStatistics.bind(mlmController)
+);
+
+// Rotas de cotações (relatórios consolidados em moeda base)
+router.get('/fx-rates', 
+    rateLimits.read,
+    validateQuery(schemas.fxRatesQuery),
+    mlmController.listFxRates.bind(mlmController)
+);
+
+router.post('/admin/fx-rates', 
+    rateLimits.write,
+    validate(schemas.saveFxRates),
+    mlmController.saveFxRates.bind(mlmController)
+);
+
+// Rotas administrativas da fila de CPAs
+router.get('/admin/cpa-queue', 
+    rateLimits.read,
+    mlmController.getCpaQueueStatus.bind(mlmController)
+);
+
+router.get('/admin/cpa-queue/dead-letter', 
+    rateLimits.read,
+    validateQuery(schemas.deadLetterQuery),
+    mlmController.listDeadLetterCpas.bind(mlmController)
+);
+
+router.post('/admin/cpa-queue/dead-letter/retry', 
+    rateLimits.write,
+    validate(schemas.deadLetterJobs),
+    mlmController.retryDeadLetterCpas.bind(mlmController)
+);
+
+router.delete('/admin/cpa-queue/dead-letter', 
+    rateLimits.write,
+    validate(schemas.deadLetterJobs),
+    mlmController.purgeDeadLetterCpas.bind(mlmController)
+);
+
+// Rotas de acordos de CPA por afiliado
+router.get('/affiliate/:affiliateId/cpa-overrides', 
+    rateLimits.read,
+    validateParams.affiliateId,
+    mlmController.listCpaOverrides.bind(mlmController)
+);
+
+router.post('/affiliate/:affiliateId/cpa-overrides', 
+    rateLimits.write,
+    validateParams.affiliateId,
+    validate(schemas.createCpaOverride),
+    mlmController.createCpaOverride.bind(mlmController)
+);
+
+router.get('/cpa-overrides/:overrideId', 
+    rateLimits.read,
+    validateParams.overrideId,
+    mlmController.getCpaOverride.bind(mlmController)
+);
+
+router.patch('/cpa-overrides/:overrideId', 
+    rateLimits.write,
+    validateParams.overrideId,
+    validate(schemas.updateCpaOverride),
+    mlmController.updateCpaOverride.bind(mlmController)
+);
+
+router.delete('/cpa-overrides/:overrideId', 
+    rateLimits.write,
+    validateParams.overrideId,
+    mlmController.deleteCpaOverride.bind(mlmController)
+);
+
+// Rotas de ranks
+router.get('/affiliate/:affiliateId/rank', 
+    rateLimits.read,
+    validateParams.affiliateId,
+    mlmController.getAffiliateRank.bind(mlmController)
+);
+
+router.post('/admin/ranks/recalculate', 
+    rateLimits.write,
+    mlmController.recalculateRanks.bind(mlmController)
+);
+
+// Rotas administrativas de integridade da hierarquia
+router.get('/admin/hierarchy/integrity', 
+    rateLimits.read,
+    mlmController.checkHierarchyIntegrity.bind(mlmController)
+);
+
+router.post('/admin/hierarchy/integrity/repair', 
+    rateLimits.write,
+    validate(schemas.repairHierarchy),
+    mlmController.repairHierarchyIntegrity.bind(mlmController)
+);
+
 // Rotas de resumo geral
 router.get('/summary', 
     rateLimits.read,
@@ -1,11 +1,32 @@
 const MLMModel = require('../models/mlmModel');
 const ConfigClient = require('../utils/configClient');
 const logger = require('../utils/logger');
+const { MLMError } = require('../utils/errors');
+const { planHierarchyImport } = require('../utils/hierarchyImport');
+const { validateRuleSet, evaluateRules } = require('../utils/cpaRules');
+const { getCalculationMethod } = require('../utils/calculationMethods');
+const { toMinor, fromMinor, sumMinor, convert } = require('../utils/money');
+const { DEFAULT_QUALIFICATION, validateQualificationConfig, applyQualification } = require('../utils/qualification');
+const { DEFAULT_RANKS, validateRankConfig, resolveRank, getRankLevelValues } = require('../utils/ranks');
+const { toOverrideColumns, hasOverrideValues, resolveOverride, applyOverride } = require('../utils/cpaOverrides');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { getCpaQueue } = require('../utils/cpaQueue');
+const { DEFAULT_FRAUD_RULES, validateFraudRules, getFingerprints, screenCpa } = require('../utils/fraudRules');
+const { createPayoutProvider, validatePayoutResult } = require('../utils/payoutProviders');
+const { withMlmDefaults } = require('../utils/mlmSettings');
+
+// Níveis com colunas em mlm_statistics (level_1..level_5): nenhuma distribuição passa desse nível
+const MAX_DISTRIBUTION_LEVELS = 5;
+
+// Distribuições reservadas por transação no job de liberação e pagamento
+const RELEASE_BATCH_SIZE = 500;
 
 class MLMService {
     constructor() {
         this.mlmModel = new MLMModel();
         this.configClient = new ConfigClient();
+        this.cpaQueue = getCpaQueue();
+        this.payoutProvider = null;
         
         // Cache para configurações
         this.configCache = new Map();
@@ -21,16 +42,56 @@ class MLMService {
             this.configCache.set('cpa_level_amounts', newValues);
         });
 
+        // Subscrever a mudanças nas regras de qualificação da upline
+        this.configClient.subscribe('upline_qualification_rules', (newRules) => {
+            try {
+                this.configCache.set('upline_qualification_rules', validateQualificationConfig(newRules));
+                logger.info('Regras de qualificação da upline atualizadas:', newRules);
+            } catch (error) {
+                logger.error('Regras de qualificação inválidas, mantendo as anteriores:', error.details);
+            }
+        });
+
+        // Subscrever a mudanças na definição de ranks
+        this.configClient.subscribe('affiliate_ranks', (newRanks) => {
+            try {
+                this.configCache.set('affiliate_ranks', validateRankConfig(newRanks));
+                logger.info('Definição de ranks atualizada:', newRanks);
+            } catch (error) {
+                logger.error('Definição de ranks inválida, mantendo a anterior:', error.details);
+            }
+        });
+
+        // Subscrever a mudanças nas regras antifraude
+        this.configClient.subscribe('fraud_rules', (newRules) => {
+            try {
+                this.configCache.set('fraud_rules', validateFraudRules(newRules));
+                logger.info('Regras antifraude atualizadas:', newRules);
+            } catch (error) {
+                logger.error('Regras antifraude inválidas, mantendo as anteriores:', error.details);
+            }
+        });
+
+        // Subscrever a mudanças nos percentuais por nível (método percentage)
+        this.configClient.subscribe('cpa_level_percentages', (newValues) => {
+            logger.info('Percentuais CPA atualizados:', newValues);
+            this.configCache.set('cpa_level_percentages', newValues);
+        });
+
         // Subscrever a mudanças nas configurações MLM
         this.configClient.subscribe('mlm_settings', (newSettings) => {
             logger.info('Configurações MLM atualizadas:', newSettings);
-            this.configCache.set('mlm_settings', newSettings);
+            this.configCache.set('mlm_settings', withMlmDefaults(newSettings));
         });
 
         // Subscrever a mudanças nas regras de validação CPA
         this.configClient.subscribe('cpa_validation_rules', (newRules) => {
-            logger.info('Regras de validação CPA atualizadas:', newRules);
-            this.configCache.set('cpa_validation_rules', newRules);
+            try {
+                this.configCache.set('cpa_validation_rules', validateRuleSet(newRules));
+                logger.info('Regras de validação CPA atualizadas:', newRules);
+            } catch (error) {
+                logger.error('Regras de validação CPA inválidas, mantendo as anteriores:', error.details);
+            }
         });
     }
 
@@ -40,54 +101,152 @@ class MLMService {
             return this.configCache.get(key);
         }
 
-        const value = await this.configClient.getConfig(key, defaultValue);
+        let value = await this.configClient.getConfig(key, defaultValue);
+
+        // Regras inválidas não entram no cache: a próxima chamada tenta carregar de novo
+        if (key === 'cpa_validation_rules') {
+            value = validateRuleSet(value);
+        } else if (key === 'upline_qualification_rules') {
+            value = validateQualificationConfig(value);
+        } else if (key === 'affiliate_ranks') {
+            value = validateRankConfig(value);
+        } else if (key === 'fraud_rules') {
+            value = validateFraudRules(value);
+        } else if (key === 'mlm_settings') {
+            value = withMlmDefaults(value);
+        }
+
         this.configCache.set(key, value);
         return value;
     }
 
     // Processar CPA para distribuição MLM
-    async processCpaForDistribution(userId, affiliateId, cpaData) {
+    // options.idempotencyKey: valor do header Idempotency-Key; na ausência, deriva do usuário/evento de origem
+    async processCpaForDistribution(userId, affiliateId, cpaData, options = {}) {
         const startTime = Date.now();
         
         try {
             logger.info(`Processando CPA para distribuição: user=${userId}, affiliate=${affiliateId}`);
 
+            // Requisição repetida devolve o resultado original sem pagar a upline de novo
+            const idempotencyKey = this.buildIdempotencyKey(userId, cpaData, options.idempotencyKey);
+            const processed = await this.getProcessedCpa(idempotencyKey, userId, affiliateId);
+            if (processed) {
+                return processed;
+            }
+
             // Buscar configurações dinâmicas
-            const cpaAmounts = await this.getConfig('cpa_level_amounts');
-            const mlmSettings = await this.getConfig('mlm_settings');
             const validationRules = await this.getConfig('cpa_validation_rules');
+            const { currency: settingsCurrency } = await this.getConfig('mlm_settings');
 
             // Validar CPA
-            const isValid = await this.validateCpa(userId, cpaData, validationRules);
-            if (!isValid) {
-                throw new Error('CPA não atende aos critérios de validação');
-            }
+            const validation = await this.validateCpa(userId, cpaData, validationRules);
+            const eventDate = cpaData.eventDate ? new Date(cpaData.eventDate) : null;
 
-            // Buscar upline do afiliado
-            const upline = await this.mlmModel.getAffiliateUpline(affiliateId, mlmSettings.max_hierarchy_levels);
-            
-            // Calcular distribuições
-            const distributions = this.calculateDistributions(upline, cpaAmounts, mlmSettings);
+            // Valor do CPA em unidades menores; sem moeda informada vale a moeda da configuração
+            const currency = cpaData.currency || settingsCurrency;
+            const cpa = { amount_minor: toMinor(cpaData.amount, currency), currency };
 
-            // Salvar CPA validado
-            const cpaValidado = await this.mlmModel.saveCpaValidado({
+            const cpaRecord = {
                 user_id: userId,
                 affiliate_id: affiliateId,
                 affiliate_level: 1, // Nível do afiliado que gerou o CPA
-                cpa_amount: cpaData.amount,
+                amount_minor: cpa.amount_minor,
+                currency,
                 validation_rule_id: cpaData.ruleId || 'default',
-                validation_criteria: cpaData.criteria || {}
-            });
+                validation_criteria: cpaData.criteria || {},
+                event_at: eventDate,
+                idempotency_key: idempotencyKey,
+                source_event_id: cpaData.sourceEventId || null,
+                validation_result: validation
+            };
 
-            // Executar distribuições
-            const distributionResults = [];
-            for (const distribution of distributions) {
-                const result = await this.executeCpaDistribution(cpaValidado.id, distribution);
-                distributionResults.push(result);
+            // CPA reprovado fica registrado com o motivo; um novo envio com a mesma chave é reavaliado
+            if (!validation.passed) {
+                const rejected = await this.mlmModel.saveCpaValidado({ ...cpaRecord, status: 'REJECTED' });
+
+                throw new MLMError('CPA não atende aos critérios de validação', 'CPA_REJECTED', 422, {
+                    cpaValidadoId: rejected ? rejected.id : null,
+                    validation
+                });
+            }
+
+            // Upline e configuração (com acordo de CPA, se houver) vigentes na data do evento do CPA
+            const { mlmSettings, levelValues, upline, override, useRankValues } =
+                await this.getDistributionContext(affiliateId, eventDate);
+
+            // Triagem antifraude: CPA com alerta fica retido (HELD) para revisão, sem distribuição
+            const fraudFlags = await this.screenCpaForFraud(userId, affiliateId, cpaData, upline, eventDate, idempotencyKey);
+            if (fraudFlags.length > 0) {
+                const held = await this.mlmModel.saveCpaValidado({ ...cpaRecord, status: 'HELD', fraud_flags: fraudFlags });
+                if (!held) {
+                    return this.getProcessedCpa(idempotencyKey, userId, affiliateId);
+                }
+
+                await this.mlmModel.logOperation(
+                    'CPA_DISTRIBUTION',
+                    'CPA',
+                    held.id,
+                    { userId, affiliateId, cpaData },
+                    { held: true, fraudFlags },
+                    'WARNING',
+                    'CPA retido pela triagem antifraude',
+                    Date.now() - startTime
+                );
+
+                logger.warn(`CPA ${held.id} retido para revisão: ${fraudFlags.map(flag => flag.check).join(', ')}`);
+
+                return {
+                    cpaValidado: held,
+                    distributions: [],
+                    totalDistributed: 0,
+                    currency,
+                    duplicate: false,
+                    held: true,
+                    fraudFlags
+                };
+            }
+            
+            // Calcular distribuições
+            const distributions = await this.planDistributions(
+                upline, levelValues, mlmSettings, cpa, eventDate, useRankValues
+            );
+
+            // CPA, distribuições e estatísticas são gravados juntos ou nada é gravado
+            let outcome;
+            try {
+                outcome = await this.mlmModel.withTransaction(async (client) => {
+                    const saved = await this.mlmModel.saveCpaValidado(
+                        { ...cpaRecord, cpa_override_id: override ? override.id : null },
+                        client
+                    );
+                    if (!saved) {
+                        return null;
+                    }
+
+                    const distributionResults = await this.distributeCpa(saved.id, distributions, mlmSettings, client);
+
+                    return {
+                        cpaValidado: await this.mlmModel.updateCpaStatus(saved.id, 'DISTRIBUTED', client),
+                        distributionResults
+                    };
+                });
+            } catch (error) {
+                // Nada foi gravado: registrar o CPA em ERROR permite nova tentativa com a mesma chave
+                try {
+                    await this.mlmModel.saveCpaValidado({ ...cpaRecord, status: 'ERROR' });
+                } catch (saveError) {
+                    logger.error('Erro ao registrar CPA com falha:', saveError);
+                }
+                throw error;
+            }
+
+            // Corrida com outra requisição de mesma chave: ela já gravou o CPA
+            if (!outcome) {
+                return this.getProcessedCpa(idempotencyKey, userId, affiliateId);
             }
 
-            // Atualizar estatísticas
-            await this.updateStatistics(distributions);
+            const { cpaValidado, distributionResults } = outcome;
 
             const executionTime = Date.now() - startTime;
             
@@ -108,7 +267,10 @@ class MLMService {
             return {
                 cpaValidado,
                 distributions: distributionResults,
-                totalDistributed: distributionResults.reduce((sum, d) => sum + d.distributed_amount, 0)
+                totalDistributed: this.sumDistributed(distributionResults, currency),
+                currency,
+                duplicate: false,
+                held: false
             };
 
         } catch (error) {
@@ -119,8 +281,8 @@ class MLMService {
                 'CPA',
                 `${userId}_${affiliateId}`,
                 { userId, affiliateId, cpaData },
-                null,
-                'ERROR',
+                error.code === 'CPA_REJECTED' ? error.details : null,
+                error.code === 'CPA_REJECTED' ? 'WARNING' : 'ERROR',
                 error.message,
                 executionTime
             );
@@ -130,243 +292,1794 @@ class MLMService {
         }
     }
 
-    // Validar CPA baseado nas regras dinâmicas
-    async validateCpa(userId, cpaData, validationRules) {
+    // Gravar as distribuições planejadas de um CPA e acumular as estatísticas (na transação do chamador)
+    // As distribuições nascem PENDING e são pagas a partir de release_at (fim da carência mlm_settings.hold_period_days)
+    async distributeCpa(cpaValidadoId, distributions, mlmSettings, client) {
+        const holdDays = Math.max(Number(mlmSettings.hold_period_days) || 0, 0);
+        const releaseAt = new Date(Date.now() + holdDays * 24 * 60 * 60 * 1000);
+
+        const distributionResults = [];
+        const paidDistributions = [];
+        for (const planned of distributions) {
+            const distribution = planned.status === 'CANCELLED'
+                ? planned
+                : { ...planned, status: 'PENDING', release_at: releaseAt };
+
+            const result = await this.executeCpaDistribution(cpaValidadoId, distribution, client, mlmSettings);
+            if (result) {
+                distributionResults.push(result);
+                if (distribution.status !== 'CANCELLED') {
+                    paidDistributions.push(distribution);
+                }
+            }
+        }
+
+        await this.updateStatistics(paidDistributions, client);
+
+        return distributionResults;
+    }
+
+    // Alertas da triagem antifraude (vazio: CPA liberado para distribuição)
+    async screenCpaForFraud(userId, affiliateId, cpaData, upline, eventDate, idempotencyKey) {
+        const rules = await this.getConfig('fraud_rules', DEFAULT_FRAUD_RULES);
+        if (!rules.enabled) {
+            return [];
+        }
+
+        const signals = await this.mlmModel.getFraudSignals({
+            userId,
+            affiliateId,
+            eventAt: eventDate || new Date(),
+            idempotencyKey,
+            fingerprints: getFingerprints(rules, cpaData.criteria)
+        });
+
+        return screenCpa(rules, { userId, affiliateId, upline }, signals);
+    }
+
+    async listHeldCpas(filters) {
+        return this.mlmModel.listHeldCpas(filters);
+    }
+
+    /**
+     * Revisar CPA retido pela triagem antifraude
+     * APPROVE distribui com a upline, a configuração e os acordos vigentes na data do evento do CPA;
+     * REJECT encerra o CPA como REJECTED (definitivo: um reenvio com a mesma chave não o reavalia)
+     */
+    async reviewHeldCpa(cpaValidadoId, decision, notes = null, reviewedBy = 'system') {
+        const startTime = Date.now();
+
         try {
-            if (!validationRules || !validationRules.groups || validationRules.groups.length === 0) {
-                logger.warn('Nenhuma regra de validação configurada, aprovando CPA');
-                return true;
-            }
-
-            const groupResults = [];
-
-            for (const group of validationRules.groups) {
-                const criteriaResults = [];
-
-                for (const criteria of group.criteria) {
-                    if (!criteria.enabled) continue;
-
-                    let result = false;
-
-                    switch (criteria.type) {
-                        case 'deposit':
-                            result = cpaData.depositAmount >= criteria.value;
-                            break;
-                        case 'bets':
-                            result = cpaData.betsCount >= criteria.value;
-                            break;
-                        case 'bet_amount':
-                            result = cpaData.totalBetAmount >= criteria.value;
-                            break;
-                        case 'days_active':
-                            result = cpaData.daysActive >= criteria.value;
-                            break;
-                        default:
-                            logger.warn(`Tipo de critério desconhecido: ${criteria.type}`);
-                            result = false;
-                    }
+            const result = await this.mlmModel.withTransaction(async (client) => {
+                const cpa = await this.mlmModel.getCpaValidadoForUpdate(client, cpaValidadoId);
 
-                    criteriaResults.push(result);
+                if (!cpa) {
+                    throw new MLMError('CPA não encontrado', 'CPA_NOT_FOUND', 404, { cpaValidadoId });
                 }
 
-                // Aplicar operador do grupo (AND/OR)
-                let groupResult;
-                if (group.operator === 'AND') {
-                    groupResult = criteriaResults.every(r => r);
-                } else { // OR
-                    groupResult = criteriaResults.some(r => r);
+                if (cpa.status !== 'HELD') {
+                    throw new MLMError('Apenas CPAs retidos podem ser revisados', 'CPA_NOT_HELD', 409, {
+                        cpaValidadoId,
+                        status: cpa.status
+                    });
                 }
 
-                groupResults.push(groupResult);
-            }
+                if (decision === 'REJECT') {
+                    return {
+                        cpaValidado: await this.mlmModel.markCpaReviewed(client, cpaValidadoId, {
+                            status: 'REJECTED', reviewedBy, notes
+                        }),
+                        distributions: [],
+                        totalDistributed: 0,
+                        currency: cpa.currency
+                    };
+                }
 
-            // Aplicar operador entre grupos
-            let finalResult;
-            if (validationRules.group_operator === 'AND') {
-                finalResult = groupResults.every(r => r);
-            } else { // OR
-                finalResult = groupResults.some(r => r);
-            }
+                const eventDate = cpa.event_at ? new Date(cpa.event_at) : null;
+                const { mlmSettings, levelValues, upline, override, useRankValues } =
+                    await this.getDistributionContext(cpa.affiliate_id, eventDate);
 
-            logger.info(`Validação CPA: ${finalResult ? 'APROVADO' : 'REJEITADO'}`, {
-                userId,
-                groupResults,
-                finalResult
+                const distributions = await this.planDistributions(
+                    upline,
+                    levelValues,
+                    mlmSettings,
+                    { amount_minor: cpa.cpa_amount_minor, currency: cpa.currency },
+                    eventDate,
+                    useRankValues
+                );
+
+                const distributionResults = await this.distributeCpa(cpaValidadoId, distributions, mlmSettings, client);
+
+                return {
+                    cpaValidado: await this.mlmModel.markCpaReviewed(client, cpaValidadoId, {
+                        status: 'DISTRIBUTED', reviewedBy, notes, cpaOverrideId: override ? override.id : null
+                    }),
+                    distributions: distributionResults,
+                    totalDistributed: this.sumDistributed(distributionResults, cpa.currency),
+                    currency: cpa.currency
+                };
             });
 
-            return finalResult;
+            await this.mlmModel.logOperation(
+                'CPA_FRAUD_REVIEW',
+                'CPA',
+                cpaValidadoId,
+                { cpaValidadoId, decision, notes },
+                { status: result.cpaValidado.status, totalDistributed: result.totalDistributed },
+                'SUCCESS',
+                null,
+                Date.now() - startTime,
+                reviewedBy
+            );
+
+            logger.info(`CPA retido ${cpaValidadoId} revisado (${decision}) por ${reviewedBy}`);
 
+            return result;
         } catch (error) {
-            logger.error('Erro na validação CPA:', error);
-            return false;
+            await this.mlmModel.logOperation(
+                'CPA_FRAUD_REVIEW',
+                'CPA',
+                cpaValidadoId,
+                { cpaValidadoId, decision, notes },
+                null,
+                'ERROR',
+                error.message,
+                Date.now() - startTime,
+                reviewedBy
+            );
+
+            logger.error('Erro ao revisar CPA retido:', error);
+            throw error;
         }
     }
 
-    // Calcular distribuições MLM
-    calculateDistributions(upline, cpaAmounts, mlmSettings) {
-        const distributions = [];
+    /**
+     * Processar um lote de CPAs com concorrência limitada (CPA_BATCH_CONCURRENCY, padrão 5)
+     * Cada item é processado de forma independente: a falha de um não interrompe nem desfaz os demais
+     * @param {Array} items - itens validados por validateCpaBatch ({ index, value, errors })
+     * @returns {Object} { total, summary, items } com o status de cada item na ordem do lote:
+     *   distributed, held (retido pela triagem antifraude), duplicate, rejected (critérios de validação) ou error
+     */
+    async processCpaBatch(items) {
+        const startTime = Date.now();
+        const concurrency = parseInt(process.env.CPA_BATCH_CONCURRENCY) || 5;
 
-        for (const affiliate of upline) {
-            const levelKey = `level_${affiliate.upline_level}`;
-            const amount = cpaAmounts[levelKey];
+        logger.info(`Processando lote de ${items.length} CPAs (concorrência ${concurrency})`);
 
-            if (amount && amount > 0 && affiliate.upline_level <= mlmSettings.max_hierarchy_levels) {
-                distributions.push({
-                    affiliate_id: affiliate.affiliate_id,
-                    affiliate_level: affiliate.upline_level,
-                    amount: amount,
-                    currency: mlmSettings.currency || 'BRL'
+        const results = await mapWithConcurrency(items, concurrency, async ({ index, value, errors }) => {
+            if (errors) {
+                return {
+                    index,
+                    status: 'error',
+                    error: { code: 'VALIDATION_ERROR', message: 'Dados de entrada inválidos', details: errors }
+                };
+            }
+
+            const { userId, affiliateId, cpaData, idempotencyKey } = value;
+
+            try {
+                const result = await this.processCpaForDistribution(userId, affiliateId, cpaData, {
+                    idempotencyKey: idempotencyKey || null
                 });
+
+                return {
+                    index,
+                    status: result.duplicate ? 'duplicate' : (result.held ? 'held' : 'distributed'),
+                    cpaValidadoId: result.cpaValidado.id,
+                    totalDistributed: result.totalDistributed,
+                    currency: result.currency
+                };
+            } catch (error) {
+                if (error.code === 'CPA_REJECTED') {
+                    return {
+                        index,
+                        status: 'rejected',
+                        cpaValidadoId: error.details.cpaValidadoId,
+                        error: { code: error.code, message: error.message, details: error.details.validation }
+                    };
+                }
+
+                return {
+                    index,
+                    status: 'error',
+                    error: { code: error.code || 'INTERNAL_ERROR', message: error.message, details: error.details || null }
+                };
             }
+        });
+
+        const summary = { distributed: 0, held: 0, duplicate: 0, rejected: 0, error: 0 };
+        for (const result of results) {
+            summary[result.status] += 1;
         }
 
-        return distributions;
+        const executionTime = Date.now() - startTime;
+
+        await this.mlmModel.logOperation(
+            'CPA_BATCH',
+            'CPA',
+            'batch',
+            { total: items.length, concurrency },
+            { summary },
+            summary.error > 0 ? 'WARNING' : 'SUCCESS',
+            null,
+            executionTime
+        );
+
+        logger.info(`Lote de ${items.length} CPAs processado em ${executionTime}ms`, summary);
+
+        return { total: items.length, summary, items: results };
     }
 
-    // Executar distribuição CPA
-    async executeCpaDistribution(cpaValidadoId, distribution) {
-        try {
-            // Verificar valor mínimo
-            const mlmSettings = await this.getConfig('mlm_settings');
-            if (distribution.amount < mlmSettings.minimum_amount) {
-                logger.warn(`Valor abaixo do mínimo: ${distribution.amount} < ${mlmSettings.minimum_amount}`);
-                return null;
-            }
+    // Enfileirar CPA na fila durável; a chave de idempotência é fixada aqui e acompanha todas as tentativas
+    async enqueueCpa(userId, affiliateId, cpaData, options = {}) {
+        if (process.env.CPA_QUEUE_ENABLED !== 'true') {
+            throw new MLMError('Fila de CPAs desabilitada', 'CPA_QUEUE_DISABLED', 503);
+        }
 
-            // Gerar ID de transação
-            const transactionId = `CPA_${cpaValidadoId}_${distribution.affiliate_id}_${Date.now()}`;
+        const job = await this.cpaQueue.enqueue({
+            userId,
+            affiliateId,
+            cpaData,
+            idempotencyKey: this.buildIdempotencyKey(userId, cpaData, options.idempotencyKey)
+        });
 
-            // Salvar distribuição
-            const distributionRecord = await this.mlmModel.saveCpaDistribution({
-                cpa_validado_id: cpaValidadoId,
-                user_id: null, // Será preenchido pelo contexto
-                affiliate_id: distribution.affiliate_id,
-                affiliate_level: distribution.affiliate_level,
-                original_amount: distribution.amount,
-                distributed_amount: distribution.amount,
-                transaction_id: transactionId
-            });
+        logger.info(`CPA enfileirado: job=${job.id}, user=${userId}, affiliate=${affiliateId}`);
 
-            // Aqui seria feita a integração com o sistema de pagamento
-            // Por enquanto, apenas simulamos o sucesso
-            logger.info(`Distribuição CPA executada: ${transactionId} - R$ ${distribution.amount}`);
+        return {
+            jobId: job.id,
+            idempotencyKey: job.idempotencyKey,
+            enqueuedAt: job.enqueuedAt
+        };
+    }
 
-            return distributionRecord;
+    async getCpaQueueStatus() {
+        return {
+            enabled: process.env.CPA_QUEUE_ENABLED === 'true',
+            maxAttempts: this.cpaQueue.maxAttempts,
+            ...await this.cpaQueue.getStats()
+        };
+    }
 
-        } catch (error) {
-            logger.error('Erro ao executar distribuição CPA:', error);
-            throw error;
-        }
+    async listDeadLetterCpas({ limit, offset }) {
+        const [jobs, stats] = await Promise.all([
+            this.cpaQueue.listDeadLetter(limit, offset),
+            this.cpaQueue.getStats()
+        ]);
+
+        return { total: stats.dead, limit, offset, jobs };
     }
 
-    // Atualizar estatísticas MLM
-    async updateStatistics(distributions) {
-        try {
-            const today = new Date();
-            const periodStart = new Date(today.getFullYear(), today.getMonth(), 1);
-            const periodEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+    // Reprocessar jobs da dead-letter (todos, se jobIds não for informado)
+    async retryDeadLetterCpas(jobIds = null, requestedBy = 'system') {
+        const retried = await this.cpaQueue.retryDeadLetter(jobIds);
 
-            // Agrupar distribuições por afiliado
-            const affiliateStats = new Map();
+        await this.mlmModel.logOperation(
+            'CPA_QUEUE_RETRY',
+            'CPA_QUEUE',
+            'dead-letter',
+            { jobIds },
+            { retried },
+            'SUCCESS',
+            null,
+            null,
+            requestedBy
+        );
 
-            for (const distribution of distributions) {
-                const affiliateId = distribution.affiliate_id;
-                
-                if (!affiliateStats.has(affiliateId)) {
-                    affiliateStats.set(affiliateId, {
-                        total_cpas: 0,
-                        total_amount: 0,
-                        level_1_cpas: 0, level_1_amount: 0,
-                        level_2_cpas: 0, level_2_amount: 0,
-                        level_3_cpas: 0, level_3_amount: 0,
-                        level_4_cpas: 0, level_4_amount: 0,
-                        level_5_cpas: 0, level_5_amount: 0
-                    });
-                }
+        logger.info(`${retried.length} jobs da dead-letter reenfileirados`);
 
-                const stats = affiliateStats.get(affiliateId);
-                stats.total_cpas += 1;
-                stats.total_amount += distribution.amount;
+        return { retried };
+    }
 
-                const levelKey = `level_${distribution.affiliate_level}`;
-                stats[`${levelKey}_cpas`] += 1;
-                stats[`${levelKey}_amount`] += distribution.amount;
-            }
+    // Descartar jobs da dead-letter (todos, se jobIds não for informado)
+    async purgeDeadLetterCpas(jobIds = null, requestedBy = 'system') {
+        const purged = await this.cpaQueue.purgeDeadLetter(jobIds);
 
-            // Atualizar estatísticas no banco
-            for (const [affiliateId, stats] of affiliateStats) {
-                await this.mlmModel.updateAffiliateStatistics(
-                    affiliateId,
-                    periodStart,
-                    periodEnd,
-                    stats
-                );
-            }
+        await this.mlmModel.logOperation(
+            'CPA_QUEUE_PURGE',
+            'CPA_QUEUE',
+            'dead-letter',
+            { jobIds },
+            { purged },
+            'SUCCESS',
+            null,
+            null,
+            requestedBy
+        );
 
-        } catch (error) {
-            logger.error('Erro ao atualizar estatísticas:', error);
-            // Não propagar erro para não quebrar o fluxo principal
-        }
+        logger.info(`${purged.length} jobs descartados da dead-letter`);
+
+        return { purged };
     }
 
-    // Buscar hierarquia de um afiliado
-    async getAffiliateHierarchy(affiliateId, maxLevels = null) {
-        try {
-            const mlmSettings = await this.getConfig('mlm_settings');
-            const levels = maxLevels || mlmSettings.max_hierarchy_levels;
-            
-            return await this.mlmModel.getAffiliateHierarchy(affiliateId, levels);
-        } catch (error) {
-            logger.error('Erro ao buscar hierarquia:', error);
-            throw error;
+    // Chave de idempotência do CPA: header explícito, evento de origem ou o próprio usuário
+    // (cada usuário indicado gera no máximo um CPA)
+    buildIdempotencyKey(userId, cpaData, idempotencyKey = null) {
+        if (idempotencyKey) {
+            return idempotencyKey;
+        }
+
+        if (cpaData.sourceEventId) {
+            return `user:${userId}:event:${cpaData.sourceEventId}`;
         }
+
+        return `user:${userId}`;
     }
 
-    // Buscar upline de um afiliado
-    async getAffiliateUpline(affiliateId, maxLevels = null) {
-        try {
-            const mlmSettings = await this.getConfig('mlm_settings');
-            const levels = maxLevels || mlmSettings.max_hierarchy_levels;
-            
-            return await this.mlmModel.getAffiliateUpline(affiliateId, levels);
-        } catch (error) {
-            logger.error('Erro ao buscar upline:', error);
-            throw error;
+    // Resultado de um CPA já processado com a mesma chave de idempotência
+    async getProcessedCpa(idempotencyKey, userId, affiliateId) {
+        const cpaValidado = await this.mlmModel.getCpaValidadoByIdempotencyKey(idempotencyKey);
+        if (!cpaValidado) {
+            return null;
+        }
+
+        if (cpaValidado.user_id !== userId || cpaValidado.affiliate_id !== affiliateId) {
+            throw new MLMError(
+                'Chave de idempotência já utilizada para outro CPA',
+                'IDEMPOTENCY_KEY_MISMATCH',
+                422,
+                { idempotencyKey, cpaValidadoId: cpaValidado.id }
+            );
+        }
+
+        // Falha ou reprovação pelas regras de validação: o CPA pode ser processado (e avaliado) de novo;
+        // reprovação na revisão antifraude é definitiva
+        if (cpaValidado.status === 'ERROR' || (cpaValidado.status === 'REJECTED' && !cpaValidado.reviewed_at)) {
+            return null;
         }
+
+        const distributions = await this.mlmModel.getCpaDistributions(cpaValidado.id);
+
+        logger.info(`CPA já processado (chave ${idempotencyKey}), retornando resultado original`);
+
+        await this.mlmModel.logOperation(
+            'CPA_DISTRIBUTION',
+            'CPA',
+            cpaValidado.id,
+            { userId, affiliateId, idempotencyKey },
+            { duplicate: true },
+            'WARNING',
+            'Requisição duplicada ignorada'
+        );
+
+        return {
+            cpaValidado,
+            distributions,
+            totalDistributed: this.sumDistributed(distributions, cpaValidado.currency),
+            currency: cpaValidado.currency,
+            duplicate: true,
+            held: cpaValidado.status === 'HELD'
+        };
     }
 
-    // Criar ou atualizar afiliado
-    async upsertAffiliate(affiliateId, parentId = null) {
+    // Soma exata (em unidades menores) dos valores distribuídos gravados, devolvida em decimal
+    sumDistributed(distributions, currency) {
+        return fromMinor(sumMinor(distributions.map(d => d.distributed_amount_minor)), currency);
+    }
+
+    // Distribuições calculadas com os valores também em decimal (respostas da API)
+    presentDistributions(distributions) {
+        return distributions.map(distribution => ({
+            ...distribution,
+            amount: fromMinor(distribution.amount_minor, distribution.currency),
+            ...(distribution.original_amount_minor !== undefined && {
+                original_amount: fromMinor(distribution.original_amount_minor, distribution.currency)
+            })
+        }));
+    }
+
+    // Validar CPA baseado nas regras dinâmicas
+    // Retorna o detalhamento por grupo e critério (valor exigido x valor do CPA)
+    async validateCpa(userId, cpaData, validationRules) {
         try {
-            return await this.mlmModel.upsertAffiliate(affiliateId, parentId);
+            if (!validationRules || !validationRules.groups || validationRules.groups.length === 0) {
+                logger.warn('Nenhuma regra de validação configurada, aprovando CPA');
+                return { passed: true, rulesConfigured: false, groupOperator: null, groups: [] };
+            }
+
+            // Regras já validadas e normalizadas por validateRuleSet no carregamento
+            const evaluation = evaluateRules(validationRules, cpaData);
+
+            logger.info(`Validação CPA: ${evaluation.passed ? 'APROVADO' : 'REJEITADO'}`, {
+                userId,
+                groupResults: evaluation.groups.map(g => g.passed),
+                finalResult: evaluation.passed
+            });
+
+            return { rulesConfigured: true, ...evaluation };
+
         } catch (error) {
-            logger.error('Erro ao criar/atualizar afiliado:', error);
-            throw error;
+            logger.error('Erro na validação CPA:', error);
+            return { passed: false, rulesConfigured: true, groupOperator: null, groups: [], error: error.message };
         }
     }
 
-    // Buscar CPAs de um afiliado
-    async getAffiliateCpas(affiliateId, filters = {}) {
-        try {
-            return await this.mlmModel.getAffiliateCpas(affiliateId, filters);
-        } catch (error) {
-            logger.error('Erro ao buscar CPAs:', error);
-            throw error;
+    // Avaliar um CPA contra as regras vigentes sem gravar nada (modo explicativo)
+    async explainCpaValidation(userId, cpaData) {
+        const validationRules = await this.getConfig('cpa_validation_rules');
+        const validation = await this.validateCpa(userId, cpaData, validationRules);
+
+        return { userId, ...validation };
+    }
+
+    // Configuração, valores por nível e upline (incluindo inativos) usados na distribuição dos CPAs de um afiliado
+    // O acordo de CPA vigente substitui a configuração global; com asOf, upline e acordo são os daquela data
+    // Precedência dos valores por nível: acordo > rank de quem recebe > configuração global
+    async getDistributionContext(affiliateId, asOf = null) {
+        const globalSettings = await this.getConfig('mlm_settings');
+        const globalLevelValues = await this.getLevelValues(globalSettings);
+
+        // Upline até o limite da hierarquia: um acordo SUBTREE pode vir de qualquer ancestral
+        const fullUpline = await this.mlmModel.getAffiliateUpline(affiliateId, MLMModel.MAX_HIERARCHY_DEPTH, asOf);
+        const overrides = await this.mlmModel.getEffectiveCpaOverrides(
+            [affiliateId, ...fullUpline.map(a => a.affiliate_id)],
+            asOf
+        );
+        const override = resolveOverride(affiliateId, fullUpline, overrides);
+
+        const { rankField } = getCalculationMethod(globalSettings.calculation_method);
+        const { mlmSettings: settings, levelValues, overridesLevelValues } =
+            applyOverride(override, globalSettings, globalLevelValues, rankField);
+        const mlmSettings = {
+            ...settings,
+            max_hierarchy_levels: Math.min(settings.max_hierarchy_levels || MAX_DISTRIBUTION_LEVELS, MAX_DISTRIBUTION_LEVELS)
+        };
+
+        // Na compressão, inativos não consomem nível: a upline vai até o limite da hierarquia
+        const upline = mlmSettings.inactive_upline_policy === 'compress'
+            ? fullUpline
+            : fullUpline.filter(a => a.upline_level <= mlmSettings.max_hierarchy_levels);
+
+        return { mlmSettings, levelValues, upline, override, useRankValues: !overridesLevelValues };
+    }
+
+    // Membros ativos da upline com o nível em que recebem, até max_hierarchy_levels
+    // compress: o próximo ativo assume o nível do inativo
+    // skip: o nível do inativo não é pago (fica com a casa)
+    resolveDistributionLevels(upline, mlmSettings) {
+        const policy = mlmSettings.inactive_upline_policy || 'compress';
+        let compressedLevels = 0;
+        const members = [];
+
+        for (const affiliate of upline) {
+            if (affiliate.active === false) {
+                if (policy === 'compress') {
+                    compressedLevels++;
+                }
+                continue;
+            }
+
+            const level = affiliate.upline_level - compressedLevels;
+            if (level <= mlmSettings.max_hierarchy_levels) {
+                members.push({ affiliate, level });
+            }
         }
+
+        return members;
     }
 
-    // Buscar estatísticas de um afiliado
-    async getAffiliateStatistics(affiliateId, periodStart = null, periodEnd = null) {
-        try {
-            if (!periodStart || !periodEnd) {
-                const today = new Date();
-                periodStart = new Date(today.getFullYear(), today.getMonth(), 1);
-                periodEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+    // Calcular distribuições MLM
+    // levelValues: valores por nível do método configurado (fixos ou percentuais, ver getLevelValues)
+    // cpa: { amount_minor, currency } com o valor do CPA em unidades menores (ver utils/money)
+    // rankValues: affiliate_id → { rank, levelValues } do rank de quem recebe (ver getUplineRankValues)
+    calculateDistributions(upline, levelValues, mlmSettings, cpa, rankValues = null) {
+        const calculationMethod = mlmSettings.calculation_method || 'standard';
+        const method = getCalculationMethod(calculationMethod);
+        const settingsCurrency = mlmSettings.currency || 'BRL';
+
+        // Valores fixos por nível estão na moeda da configuração e não valem para CPAs em outra moeda
+        if (method.fixedAmounts && cpa.currency !== settingsCurrency) {
+            throw new MLMError(
+                `Valores por nível do método ${calculationMethod} estão em ${settingsCurrency}; CPAs em outra moeda exigem o método percentage`,
+                'CURRENCY_MISMATCH',
+                422,
+                { calculationMethod, settingsCurrency, cpaCurrency: cpa.currency }
+            );
+        }
+
+        const paidLevels = [];
+
+        for (const { affiliate, level } of this.resolveDistributionLevels(upline, mlmSettings)) {
+            const earnerRank = rankValues ? rankValues.get(affiliate.affiliate_id) : null;
+            const values = earnerRank && earnerRank.levelValues ? earnerRank.levelValues : levelValues;
+            const levelValue = values[`level_${level}`];
+
+            if (!levelValue || levelValue <= 0) {
+                continue;
             }
 
-            return await this.mlmModel.getAffiliateStatistics(affiliateId, periodStart, periodEnd);
-        } catch (error) {
-            logger.error('Erro ao buscar estatísticas:', error);
+            paidLevels.push({ affiliate, level, levelValue, earnerRank });
+        }
+
+        const amounts = method.amounts(paidLevels.map(p => p.levelValue), cpa.amount_minor, cpa.currency);
+
+        // Métodos com teto não distribuem mais que o valor do CPA: os níveis mais altos recebem primeiro
+        let remaining = cpa.amount_minor;
+        const distributions = [];
+
+        paidLevels.forEach(({ affiliate, level, earnerRank }, index) => {
+            let amountMinor = amounts[index];
+            if (method.capped) {
+                amountMinor = Math.min(amountMinor, remaining);
+                remaining -= amountMinor;
+            }
+
+            if (amountMinor > 0) {
+                distributions.push({
+                    affiliate_id: affiliate.affiliate_id,
+                    affiliate_level: level,
+                    amount_minor: amountMinor,
+                    currency: cpa.currency,
+                    calculation_method: calculationMethod,
+                    earner_rank: earnerRank ? earnerRank.rank : null
+                });
+            }
+        });
+
+        return distributions;
+    }
+
+    // Distribuições calculadas e decididas pelas regras de qualificação da upline
+    // Não qualificados aparecem com amount_minor 0 e status CANCELLED (skip) ou repassados ao próximo qualificado (roll_up)
+    // useRankValues = false quando um acordo de CPA define a tabela por nível (o acordo prevalece sobre ranks)
+    async planDistributions(upline, levelValues, mlmSettings, cpa, asOf = null, useRankValues = true) {
+        const rankValues = useRankValues ? await this.getUplineRankValues(upline, mlmSettings, asOf) : null;
+        const distributions = this.calculateDistributions(upline, levelValues, mlmSettings, cpa, rankValues);
+        const qualification = await this.getConfig('upline_qualification_rules', DEFAULT_QUALIFICATION);
+
+        if (qualification.rules.length === 0 || distributions.length === 0) {
+            return distributions;
+        }
+
+        // O roll_up só repassa a quem pode receber pelo plano (dentro de max_hierarchy_levels)
+        const receivers = this.resolveDistributionLevels(upline, mlmSettings).map(({ affiliate }) => affiliate);
+        const metrics = await this.mlmModel.getQualificationMetrics(
+            receivers.map(a => a.affiliate_id),
+            qualification.lookback_days
+        );
+
+        return applyQualification(distributions, receivers, qualification, metrics);
+    }
+
+    // Tabelas por nível dos ranks da upline; sem rank, ou rank sem tabela própria, vale a tabela global
+    async getUplineRankValues(upline, mlmSettings, asOf = null) {
+        const rankConfig = await this.getConfig('affiliate_ranks', DEFAULT_RANKS);
+
+        if (rankConfig.ranks.length === 0 || upline.length === 0) {
+            return null;
+        }
+
+        const { rankField } = getCalculationMethod(mlmSettings.calculation_method);
+        const ranks = await this.mlmModel.getCurrentRanks(upline.map(a => a.affiliate_id), asOf);
+
+        const rankValues = new Map();
+        for (const [affiliateId, rank] of ranks) {
+            rankValues.set(affiliateId, { rank, levelValues: getRankLevelValues(rankConfig, rank, rankField) });
+        }
+
+        return rankValues;
+    }
+
+    // Recalcular o rank de todos os afiliados ativos; grava apenas quem mudou de rank
+    async recalculateRanks() {
+        const startTime = Date.now();
+
+        try {
+            const rankConfig = await this.getConfig('affiliate_ranks', DEFAULT_RANKS);
+
+            if (rankConfig.ranks.length === 0) {
+                logger.info('Nenhum rank configurado, recálculo ignorado');
+                return { evaluated: 0, changed: 0, ranks: {}, changes: [] };
+            }
+
+            const metrics = await this.mlmModel.getRankMetrics(rankConfig.lookback_days);
+            const currentRanks = await this.mlmModel.getCurrentRanks(metrics.map(m => m.affiliate_id));
+
+            const changes = [];
+            const ranks = {};
+
+            for (const { affiliate_id: affiliateId, ...affiliateMetrics } of metrics) {
+                const rank = resolveRank(affiliateMetrics, rankConfig);
+                if (!rank) continue;
+
+                ranks[rank] = (ranks[rank] || 0) + 1;
+
+                const previousRank = currentRanks.get(affiliateId) || null;
+                if (rank !== previousRank) {
+                    changes.push({ affiliateId, rank, previousRank, metrics: affiliateMetrics });
+                }
+            }
+
+            const changed = await this.mlmModel.applyRankChanges(changes);
+            const result = { evaluated: metrics.length, changed, ranks, changes };
+
+            await this.mlmModel.logOperation(
+                'RANK_RECALCULATION',
+                'RANK',
+                'all',
+                { lookbackDays: rankConfig.lookback_days },
+                { evaluated: result.evaluated, changed, ranks },
+                'SUCCESS',
+                null,
+                Date.now() - startTime
+            );
+
+            logger.info(`Ranks recalculados: ${metrics.length} afiliados avaliados, ${changed} alterados`);
+
+            return result;
+        } catch (error) {
+            await this.mlmModel.logOperation(
+                'RANK_RECALCULATION',
+                'RANK',
+                'all',
+                null,
+                null,
+                'ERROR',
+                error.message,
+                Date.now() - startTime
+            );
+
+            logger.error('Erro ao recalcular ranks:', error);
+            throw error;
+        }
+    }
+
+    // Rank vigente e histórico de um afiliado
+    async getAffiliateRank(affiliateId) {
+        try {
+            const history = await this.mlmModel.getAffiliateRankHistory(affiliateId);
+            const current = history.find(h => h.valid_to === null) || null;
+
+            return {
+                affiliateId,
+                rank: current ? current.rank : null,
+                since: current ? current.valid_from : null,
+                metrics: current ? current.metrics : null,
+                history
+            };
+        } catch (error) {
+            logger.error('Erro ao buscar rank do afiliado:', error);
+            throw error;
+        }
+    }
+
+    // Acordos de CPA de um afiliado (vigentes e encerrados)
+    async listCpaOverrides(affiliateId) {
+        try {
+            const overrides = await this.mlmModel.listCpaOverrides(affiliateId);
+            return { affiliateId, overrides };
+        } catch (error) {
+            logger.error('Erro ao listar acordos de CPA:', error);
+            throw error;
+        }
+    }
+
+    async getCpaOverride(overrideId) {
+        const override = await this.mlmModel.getCpaOverride(overrideId);
+
+        if (!override) {
+            throw new MLMError('Acordo de CPA não encontrado', 'CPA_OVERRIDE_NOT_FOUND', 404, { overrideId });
+        }
+
+        return override;
+    }
+
+    // Criar acordo de CPA para um afiliado da hierarquia
+    async createCpaOverride(affiliateId, data, createdBy = 'system') {
+        try {
+            const nodes = await this.mlmModel.getHierarchyNodes([affiliateId]);
+            if (!nodes.has(affiliateId)) {
+                throw new MLMError('Afiliado não encontrado na hierarquia', 'AFFILIATE_NOT_FOUND', 404, { affiliateId });
+            }
+
+            const override = await this.mlmModel.createCpaOverride({
+                ...toOverrideColumns(data),
+                affiliate_id: affiliateId,
+                created_by: createdBy
+            });
+
+            await this.mlmModel.logOperation(
+                'CPA_OVERRIDE_CREATE',
+                'CPA_OVERRIDE',
+                override.id,
+                { affiliateId, ...data },
+                override,
+                'SUCCESS',
+                null,
+                null,
+                createdBy
+            );
+
+            logger.info(`Acordo de CPA criado: ${override.id} (afiliado ${affiliateId}, ${override.scope})`);
+
+            return override;
+        } catch (error) {
+            logger.error('Erro ao criar acordo de CPA:', error);
+            throw error;
+        }
+    }
+
+    // Alterar acordo de CPA; campos enviados como null voltam a seguir a configuração global
+    async updateCpaOverride(overrideId, data, updatedBy = 'system') {
+        try {
+            const current = await this.getCpaOverride(overrideId);
+            const fields = toOverrideColumns(data);
+
+            if (!hasOverrideValues({ ...current, ...fields })) {
+                throw new MLMError(
+                    'Acordo de CPA precisa definir valores por nível, limite de níveis ou valor mínimo',
+                    'INVALID_CPA_OVERRIDE',
+                    400,
+                    { overrideId }
+                );
+            }
+
+            const updated = await this.mlmModel.updateCpaOverride(overrideId, fields);
+            if (!updated) {
+                throw new MLMError('Acordo de CPA não encontrado', 'CPA_OVERRIDE_NOT_FOUND', 404, { overrideId });
+            }
+
+            await this.mlmModel.logOperation(
+                'CPA_OVERRIDE_UPDATE',
+                'CPA_OVERRIDE',
+                overrideId,
+                data,
+                { before: current, after: updated },
+                'SUCCESS',
+                null,
+                null,
+                updatedBy
+            );
+
+            return updated;
+        } catch (error) {
+            logger.error('Erro ao alterar acordo de CPA:', error);
+            throw error;
+        }
+    }
+
+    // Remover acordo de CPA (acordos já aplicados a CPAs só podem ser encerrados via validTo)
+    async deleteCpaOverride(overrideId, deletedBy = 'system') {
+        try {
+            const deleted = await this.mlmModel.deleteCpaOverride(overrideId);
+            if (!deleted) {
+                throw new MLMError('Acordo de CPA não encontrado', 'CPA_OVERRIDE_NOT_FOUND', 404, { overrideId });
+            }
+
+            await this.mlmModel.logOperation(
+                'CPA_OVERRIDE_DELETE',
+                'CPA_OVERRIDE',
+                overrideId,
+                null,
+                deleted,
+                'SUCCESS',
+                null,
+                null,
+                deletedBy
+            );
+
+            return deleted;
+        } catch (error) {
+            logger.error('Erro ao remover acordo de CPA:', error);
+            throw error;
+        }
+    }
+
+    // Valores por nível usados pelo método de cálculo configurado
+    async getLevelValues(mlmSettings) {
+        const method = getCalculationMethod(mlmSettings.calculation_method);
+        return this.getConfig(method.configKey, method.defaults || null);
+    }
+
+    // Executar distribuição CPA
+    // mlmSettings: configuração efetiva do CPA (com acordo aplicado); na ausência, a global
+    async executeCpaDistribution(cpaValidadoId, distribution, client = null, mlmSettings = null) {
+        try {
+            // Verificar valor mínimo (lançamentos de não qualificados são gravados zerados)
+            mlmSettings = mlmSettings || await this.getConfig('mlm_settings');
+            const minimumMinor = toMinor(mlmSettings.minimum_amount, distribution.currency);
+            if (distribution.status !== 'CANCELLED' && distribution.amount_minor < minimumMinor) {
+                logger.warn(`Valor abaixo do mínimo: ${distribution.amount_minor} < ${minimumMinor} (${distribution.currency}, unidades menores)`);
+                return null;
+            }
+
+            // ID de transação determinístico: único por CPA, afiliado e nível
+            const transactionId = `CPA_${cpaValidadoId}_${distribution.affiliate_id}_L${distribution.affiliate_level}`;
+
+            // Salvar distribuição
+            const distributionRecord = await this.mlmModel.saveCpaDistribution({
+                cpa_validado_id: cpaValidadoId,
+                user_id: null, // Será preenchido pelo contexto
+                affiliate_id: distribution.affiliate_id,
+                affiliate_level: distribution.affiliate_level,
+                original_amount_minor: distribution.original_amount_minor !== undefined
+                    ? distribution.original_amount_minor
+                    : distribution.amount_minor,
+                amount_minor: distribution.amount_minor,
+                currency: distribution.currency,
+                transaction_id: transactionId,
+                status: distribution.status || 'COMPLETED',
+                release_at: distribution.release_at || null,
+                qualification: distribution.qualification || null,
+                earner_rank: distribution.earner_rank || null
+            }, client);
+
+            // O pagamento é enviado ao provedor pelo job de liberação (releaseDueDistributions) após release_at
+            logger.info(`Distribuição CPA executada: ${transactionId} - ${distribution.currency} ${fromMinor(distribution.amount_minor, distribution.currency)}`);
+
+            return distributionRecord;
+
+        } catch (error) {
+            logger.error('Erro ao executar distribuição CPA:', error);
+            throw error;
+        }
+    }
+
+    // Atualizar estatísticas MLM (por afiliado e moeda, somadas em unidades menores)
+    // options.referenceDate: data que define o período (mês); options.direction: 1 soma, -1 estorna;
+    // options.release: pagamento confirmado (valor pendente passa a liberado)
+    async updateStatistics(distributions, client = null, options = {}) {
+        try {
+            const { referenceDate = new Date(), direction = 1, release = false } = options;
+            const periodStart = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), 1);
+            const periodEnd = new Date(referenceDate.getFullYear(), referenceDate.getMonth() + 1, 0);
+
+            // Agrupar distribuições por afiliado e moeda
+            const affiliateStats = new Map();
+
+            for (const distribution of distributions) {
+                const key = `${distribution.affiliate_id}:${distribution.currency}`;
+                
+                if (!affiliateStats.has(key)) {
+                    affiliateStats.set(key, {
+                        affiliate_id: distribution.affiliate_id,
+                        currency: distribution.currency,
+                        total_cpas: 0,
+                        total_amount: 0,
+                        level_1_cpas: 0, level_1_amount: 0,
+                        level_2_cpas: 0, level_2_amount: 0,
+                        level_3_cpas: 0, level_3_amount: 0,
+                        level_4_cpas: 0, level_4_amount: 0,
+                        level_5_cpas: 0, level_5_amount: 0,
+                        pending_amount: 0,
+                        released_amount: 0
+                    });
+                }
+
+                const stats = affiliateStats.get(key);
+
+                // Pagamento confirmado: o valor passa de pendente para liberado, sem alterar os totais
+                if (release) {
+                    stats.pending_amount -= distribution.amount_minor;
+                    stats.released_amount += distribution.amount_minor;
+                    continue;
+                }
+
+                const unpaid = distribution.status === 'PENDING' || distribution.status === 'FAILED';
+                stats[unpaid ? 'pending_amount' : 'released_amount'] +=
+                    direction * distribution.amount_minor;
+                stats.total_cpas += direction;
+                stats.total_amount += direction * distribution.amount_minor;
+
+                const levelKey = `level_${distribution.affiliate_level}`;
+                stats[`${levelKey}_cpas`] += direction;
+                stats[`${levelKey}_amount`] += direction * distribution.amount_minor;
+            }
+
+            // Atualizar estatísticas no banco (valores em unidades menores; o modelo grava em decimal)
+            for (const { affiliate_id: affiliateId, currency, ...stats } of affiliateStats.values()) {
+                await this.mlmModel.updateAffiliateStatistics(
+                    affiliateId,
+                    periodStart,
+                    periodEnd,
+                    currency,
+                    stats,
+                    client
+                );
+            }
+
+        } catch (error) {
+            logger.error('Erro ao atualizar estatísticas:', error);
+            throw error;
+        }
+    }
+
+    // Atualizar estatísticas a partir de distribuições gravadas, no período (mês) em que cada uma foi contabilizada
+    async updateStatisticsByPeriod(rows, client, options = {}) {
+        const byPeriod = new Map();
+        for (const distribution of rows) {
+            const date = new Date(distribution.distribution_date);
+            const key = `${date.getFullYear()}-${date.getMonth()}`;
+            if (!byPeriod.has(key)) {
+                byPeriod.set(key, { referenceDate: date, distributions: [] });
+            }
+            byPeriod.get(key).distributions.push({
+                affiliate_id: distribution.affiliate_id,
+                affiliate_level: distribution.affiliate_level,
+                amount_minor: distribution.distributed_amount_minor,
+                currency: distribution.currency,
+                status: distribution.status
+            });
+        }
+
+        for (const { referenceDate, distributions } of byPeriod.values()) {
+            await this.updateStatistics(distributions, client, { ...options, referenceDate });
+        }
+    }
+
+    // Provedor de pagamento (PAYOUT_PROVIDER), criado na primeira utilização
+    getPayoutProvider() {
+        if (!this.payoutProvider) {
+            this.payoutProvider = createPayoutProvider();
+        }
+        return this.payoutProvider;
+    }
+
+    // Atraso da próxima tentativa de pagamento: PAYOUT_RETRY_BACKOFF_MS * 2^(tentativas - 1), limitado a PAYOUT_MAX_BACKOFF_MS
+    getPayoutBackoff(attempts) {
+        const backoffMs = parseInt(process.env.PAYOUT_RETRY_BACKOFF_MS) || 60 * 1000;
+        const maxBackoffMs = parseInt(process.env.PAYOUT_MAX_BACKOFF_MS) || 60 * 60 * 1000;
+        return Math.min(backoffMs * 2 ** (attempts - 1), maxBackoffMs);
+    }
+
+    /**
+     * Liberar e pagar as distribuições cuja carência terminou (job DistributionReleaseJob ou execução manual)
+     * Cada lote é reservado em uma transação e enviado ao provedor fora dela; a distribuição só passa a
+     * COMPLETED (valor liberado nas estatísticas) quando o provedor confirma, na resposta ou pelo callback
+     */
+    async releaseDueDistributions() {
+        const startTime = Date.now();
+
+        try {
+            const provider = this.getPayoutProvider();
+            const staleMinutes = parseInt(process.env.PAYOUT_SUBMIT_TIMEOUT_MINUTES) || 15;
+            const concurrency = parseInt(process.env.PAYOUT_CONCURRENCY) || 5;
+
+            const releasedByCurrency = new Map();
+            const summary = { released: 0, submitted: 0, retrying: 0, failed: 0 };
+
+            for (;;) {
+                const batch = await this.mlmModel.withTransaction(client =>
+                    this.mlmModel.claimPayableDistributions(client, RELEASE_BATCH_SIZE, provider.name, staleMinutes)
+                );
+
+                const outcomes = await mapWithConcurrency(batch, concurrency, distribution => this.submitPayout(distribution));
+
+                batch.forEach((row, index) => {
+                    const outcome = outcomes[index];
+                    summary[outcome]++;
+                    if (outcome === 'released') {
+                        releasedByCurrency.set(
+                            row.currency,
+                            (releasedByCurrency.get(row.currency) || 0) + row.distributed_amount_minor
+                        );
+                    }
+                });
+
+                if (batch.length < RELEASE_BATCH_SIZE) {
+                    break;
+                }
+            }
+
+            const result = {
+                ...summary,
+                provider: provider.name,
+                totalReleased: Object.fromEntries(
+                    [...releasedByCurrency].map(([currency, minor]) => [currency, fromMinor(minor, currency)])
+                )
+            };
+
+            await this.mlmModel.logOperation(
+                'DISTRIBUTION_RELEASE',
+                'CPA_DISTRIBUTION',
+                'all',
+                null,
+                result,
+                summary.retrying > 0 || summary.failed > 0 ? 'WARNING' : 'SUCCESS',
+                null,
+                Date.now() - startTime
+            );
+
+            logger.info(
+                `Pagamento de distribuições (${provider.name}): ${summary.released} confirmadas, ` +
+                `${summary.submitted} aguardando confirmação, ${summary.retrying} com nova tentativa, ${summary.failed} recusadas`
+            );
+
+            return result;
+        } catch (error) {
+            await this.mlmModel.logOperation(
+                'DISTRIBUTION_RELEASE',
+                'CPA_DISTRIBUTION',
+                'all',
+                null,
+                null,
+                'ERROR',
+                error.message,
+                Date.now() - startTime
+            );
+
+            logger.error('Erro ao liberar distribuições:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Enviar uma distribuição reservada ao provedor e registrar o resultado
+     * Falhas de comunicação são repetidas com backoff até PAYOUT_MAX_ATTEMPTS, sempre com a mesma referência
+     * @returns {string} 'released', 'submitted', 'retrying' ou 'failed'
+     */
+    async submitPayout(distribution) {
+        const provider = this.getPayoutProvider();
+
+        try {
+            const payout = {
+                reference: distribution.payout_reference,
+                distributionId: distribution.id,
+                cpaValidadoId: distribution.cpa_validado_id,
+                affiliateId: distribution.affiliate_id,
+                affiliateLevel: distribution.affiliate_level,
+                amount: fromMinor(distribution.distributed_amount_minor, distribution.currency),
+                currency: distribution.currency
+            };
+            const result = validatePayoutResult(provider.name, await provider.submit(payout));
+
+            if (result.status === 'SUBMITTED') {
+                await this.mlmModel.updatePayoutState(distribution.id, {
+                    payoutStatus: 'SUBMITTED',
+                    providerReference: result.providerReference
+                });
+                return 'submitted';
+            }
+
+            const { applied } = await this.applyPayoutConfirmation(distribution.id, {
+                status: result.status === 'CONFIRMED' ? 'COMPLETED' : 'FAILED',
+                providerReference: result.providerReference,
+                reason: result.reason
+            });
+
+            if (!applied) {
+                logger.warn(`Pagamento ${distribution.payout_reference} processado pelo provedor para distribuição já encerrada ou estornada`);
+            }
+
+            return result.status === 'CONFIRMED' ? 'released' : 'failed';
+        } catch (error) {
+            const maxAttempts = parseInt(process.env.PAYOUT_MAX_ATTEMPTS) || 5;
+            const retryable = !(error.details && error.details.retryable === false);
+
+            if (retryable && distribution.payout_attempts < maxAttempts) {
+                const nextAttemptAt = new Date(Date.now() + this.getPayoutBackoff(distribution.payout_attempts));
+                await this.mlmModel.updatePayoutState(distribution.id, {
+                    payoutStatus: 'RETRY',
+                    error: error.message,
+                    nextAttemptAt
+                });
+
+                logger.warn(
+                    `Pagamento ${distribution.payout_reference} falhou (tentativa ${distribution.payout_attempts}), ` +
+                    `nova tentativa em ${nextAttemptAt.toISOString()}`
+                );
+                return 'retrying';
+            }
+
+            await this.applyPayoutConfirmation(distribution.id, { status: 'FAILED', reason: error.message });
+            logger.error(`Pagamento ${distribution.payout_reference} falhou após ${distribution.payout_attempts} tentativas:`, error);
+            return 'failed';
+        }
+    }
+
+    /**
+     * Encerrar o pagamento de uma distribuição: COMPLETED (valor liberado nas estatísticas) ou FAILED
+     * @returns {Object} { distribution, applied } - applied falso se a distribuição já não estava PENDING
+     */
+    async applyPayoutConfirmation(distributionId, { status, providerReference = null, reason = null }, client = null) {
+        const apply = async (conn) => {
+            const distribution = await this.mlmModel.updatePayoutState(distributionId, {
+                status,
+                payoutStatus: status === 'COMPLETED' ? 'CONFIRMED' : 'FAILED',
+                providerReference,
+                error: status === 'FAILED' ? reason || 'Pagamento recusado pelo provedor' : null
+            }, conn);
+
+            if (distribution && status === 'COMPLETED') {
+                await this.updateStatisticsByPeriod([distribution], conn, { release: true });
+            }
+
+            return { distribution, applied: Boolean(distribution) };
+        };
+
+        return client ? apply(client) : this.mlmModel.withTransaction(apply);
+    }
+
+    /**
+     * Confirmação do provedor de pagamento (POST /payouts/callback)
+     * Repetições do mesmo callback são aceitas sem efeito (applied: false)
+     */
+    async handlePayoutCallback({ reference, status, providerReference = null, reason = null }) {
+        const startTime = Date.now();
+
+        try {
+            const result = await this.mlmModel.withTransaction(async (client) => {
+                const distribution = await this.mlmModel.getDistributionByPayoutReference(client, reference);
+
+                if (!distribution) {
+                    throw new MLMError('Pagamento não encontrado', 'PAYOUT_NOT_FOUND', 404, { reference });
+                }
+
+                if (distribution.status !== 'PENDING') {
+                    return { distribution, applied: false };
+                }
+
+                return this.applyPayoutConfirmation(distribution.id, { status, providerReference, reason }, client);
+            });
+
+            const mismatch = !result.applied && result.distribution.status !== status;
+
+            await this.mlmModel.logOperation(
+                'PAYOUT_CALLBACK',
+                'CPA_DISTRIBUTION',
+                result.distribution.id,
+                { reference, status, providerReference, reason },
+                { status: result.distribution.status, applied: result.applied },
+                mismatch ? 'WARNING' : 'SUCCESS',
+                mismatch ? `Callback ${status} para distribuição ${result.distribution.status}` : null,
+                Date.now() - startTime,
+                'payout-provider'
+            );
+
+            if (mismatch) {
+                logger.warn(
+                    `Callback de pagamento ${reference} (${status}) ignorado: distribuição já está ${result.distribution.status}`
+                );
+            } else if (result.applied) {
+                logger.info(`Pagamento ${reference} confirmado pelo provedor: ${status}`);
+            }
+
+            return result;
+        } catch (error) {
+            await this.mlmModel.logOperation(
+                'PAYOUT_CALLBACK',
+                'CPA_DISTRIBUTION',
+                reference,
+                { reference, status, providerReference, reason },
+                null,
+                'ERROR',
+                error.message,
+                Date.now() - startTime,
+                'payout-provider'
+            );
+
+            logger.error('Erro ao processar callback de pagamento:', error);
+            throw error;
+        }
+    }
+
+    // Saldo do afiliado por moeda: valores a pagar, pagos e com pagamento recusado
+    async getAffiliateBalance(affiliateId) {
+        try {
+            const rows = await this.mlmModel.getAffiliateBalance(affiliateId);
+
+            return rows.map(row => ({
+                currency: row.currency,
+                pendingAmount: fromMinor(row.pending_amount_minor, row.currency),
+                releasedAmount: fromMinor(row.released_amount_minor, row.currency),
+                failedAmount: fromMinor(row.failed_amount_minor, row.currency),
+                pendingDistributions: row.pending_distributions,
+                failedDistributions: row.failed_distributions,
+                nextReleaseAt: row.next_release_at
+            }));
+        } catch (error) {
+            logger.error('Erro ao buscar saldo do afiliado:', error);
+            throw error;
+        }
+    }
+
+    // Estornar CPA já distribuído (chargeback, fraude, abuso de bônus)
+    // Cada distribuição paga recebe um lançamento negativo e as estatísticas do período são reduzidas
+    async reverseCpa(cpaValidadoId, reasonCode, notes = null, reversedBy = 'system') {
+        const startTime = Date.now();
+
+        try {
+            const result = await this.mlmModel.withTransaction(async (client) => {
+                const cpa = await this.mlmModel.getCpaValidadoForUpdate(client, cpaValidadoId);
+
+                if (!cpa) {
+                    throw new MLMError('CPA não encontrado', 'CPA_NOT_FOUND', 404, { cpaValidadoId });
+                }
+
+                if (cpa.status === 'CANCELLED') {
+                    throw new MLMError('CPA já foi estornado', 'CPA_ALREADY_REVERSED', 409, {
+                        cpaValidadoId,
+                        reversedAt: cpa.reversed_at,
+                        reasonCode: cpa.reversal_reason
+                    });
+                }
+
+                if (cpa.status !== 'DISTRIBUTED') {
+                    throw new MLMError('Apenas CPAs distribuídos podem ser estornados', 'CPA_NOT_REVERSIBLE', 409, {
+                        cpaValidadoId,
+                        status: cpa.status
+                    });
+                }
+
+                const distributions = (await this.mlmModel.getCpaDistributions(cpaValidadoId, client))
+                    .filter(d => !d.reversal_of);
+                const paid = distributions.filter(d => d.status === 'COMPLETED');
+                const pending = distributions.filter(d => d.status === 'PENDING' || d.status === 'FAILED');
+
+                // Pagamento já enviado ao provedor não pode ser cancelado: o estorno aguarda a confirmação
+                const inFlight = pending.filter(d => d.payout_status === 'SUBMITTING' || d.payout_status === 'SUBMITTED');
+                if (inFlight.length > 0) {
+                    throw new MLMError('CPA com pagamentos em andamento no provedor', 'CPA_PAYOUT_IN_FLIGHT', 409, {
+                        cpaValidadoId,
+                        payoutReferences: inFlight.map(d => d.payout_reference)
+                    });
+                }
+
+                // Distribuições pagas recebem lançamento negativo; as ainda não pagas são apenas canceladas
+                const reversals = paid.length > 0
+                    ? await this.mlmModel.insertReversalDistributions(client, paid.map(d => d.id))
+                    : [];
+                const cancelled = pending.length > 0
+                    ? await this.mlmModel.cancelPendingDistributions(client, pending.map(d => d.id))
+                    : [];
+
+                await this.updateStatisticsByPeriod([...paid, ...pending], client, { direction: -1 });
+
+                return {
+                    cpaValidado: await this.mlmModel.markCpaReversed(client, cpaValidadoId, reasonCode),
+                    reversals,
+                    cancelled,
+                    totalReversed: -this.sumDistributed(reversals, cpa.currency),
+                    totalCancelled: this.sumDistributed(cancelled, cpa.currency),
+                    currency: cpa.currency
+                };
+            });
+
+            await this.mlmModel.logOperation(
+                'CPA_REVERSAL',
+                'CPA',
+                cpaValidadoId,
+                { cpaValidadoId, reasonCode, notes },
+                {
+                    reversals: result.reversals.length,
+                    totalReversed: result.totalReversed,
+                    cancelled: result.cancelled.length,
+                    totalCancelled: result.totalCancelled
+                },
+                'SUCCESS',
+                null,
+                Date.now() - startTime,
+                reversedBy
+            );
+
+            logger.info(
+                `CPA ${cpaValidadoId} estornado (${reasonCode}): ${result.reversals.length} distribuições estornadas, ` +
+                `${result.cancelled.length} não pagas canceladas`
+            );
+
+            return result;
+        } catch (error) {
+            await this.mlmModel.logOperation(
+                'CPA_REVERSAL',
+                'CPA',
+                cpaValidadoId,
+                { cpaValidadoId, reasonCode, notes },
+                null,
+                'ERROR',
+                error.message,
+                Date.now() - startTime,
+                reversedBy
+            );
+
+            logger.error('Erro ao estornar CPA:', error);
+            throw error;
+        }
+    }
+
+    // Buscar hierarquia (downline) de um afiliado com paginação por cursor
+    async getAffiliateHierarchy(affiliateId, options = {}) {
+        try {
+            const mlmSettings = await this.getConfig('mlm_settings');
+            const levels = options.maxLevels || mlmSettings.max_hierarchy_levels;
+            const limit = options.limit || 100;
+
+            const { rows, levelCounts, hasMore } = await this.mlmModel.getAffiliateDownline(affiliateId, {
+                ...options,
+                maxLevels: levels,
+                limit,
+                cursor: options.cursor ? this.decodeCursor(options.cursor) : null
+            });
+
+            const last = rows[rows.length - 1];
+
+            return {
+                hierarchy: rows,
+                levelCounts: levelCounts.reduce((counts, row) => {
+                    counts[row.relative_level] = row.total;
+                    return counts;
+                }, {}),
+                totalAffiliates: levelCounts.reduce((sum, row) => sum + row.total, 0),
+                pagination: {
+                    limit,
+                    hasMore,
+                    nextCursor: hasMore ? this.encodeCursor(last.relative_level, last.affiliate_id) : null
+                }
+            };
+        } catch (error) {
+            logger.error('Erro ao buscar hierarquia:', error);
+            throw error;
+        }
+    }
+
+    // Relação genealógica entre dois afiliados (ancestral comum, distância e ganhos na upline)
+    async getRelationship(affiliateId, otherAffiliateId, cpaAmount) {
+        try {
+            const nodes = await this.mlmModel.getHierarchyNodes([affiliateId, otherAffiliateId]);
+            const missing = [affiliateId, otherAffiliateId].filter(id => !nodes.has(id));
+
+            if (missing.length > 0) {
+                throw new MLMError('Afiliado não encontrado na hierarquia', 'AFFILIATE_NOT_FOUND', 404, { affiliateIds: missing });
+            }
+
+            const affiliate = nodes.get(affiliateId);
+            const other = nodes.get(otherAffiliateId);
+
+            // Prefixo comum dos paths: o último elemento é o ancestral comum mais próximo
+            let common = 0;
+            while (common < affiliate.path.length && common < other.path.length && affiliate.path[common] === other.path[common]) {
+                common++;
+            }
+
+            const lowestCommonAncestor = common > 0 ? affiliate.path[common - 1] : null;
+            const affiliateIsAncestor = affiliateId !== otherAffiliateId && other.path.includes(affiliateId);
+            const otherIsAncestor = affiliateId !== otherAffiliateId && affiliate.path.includes(otherAffiliateId);
+
+            return {
+                affiliate: { affiliateId, level: affiliate.level, path: affiliate.path, active: affiliate.active },
+                other: { affiliateId: otherAffiliateId, level: other.level, path: other.path, active: other.active },
+                sameNetwork: lowestCommonAncestor !== null,
+                lowestCommonAncestor,
+                distance: lowestCommonAncestor !== null
+                    ? (affiliate.path.length - common) + (other.path.length - common)
+                    : null,
+                affiliateIsAncestorOfOther: affiliateIsAncestor,
+                otherIsAncestorOfAffiliate: otherIsAncestor,
+                affiliateEarnsOnOtherCpas: affiliateIsAncestor ? await this.getUplineEarning(otherAffiliateId, affiliateId, cpaAmount) : null,
+                otherEarnsOnAffiliateCpas: otherIsAncestor ? await this.getUplineEarning(affiliateId, otherAffiliateId, cpaAmount) : null
+            };
+        } catch (error) {
+            logger.error('Erro ao buscar relação entre afiliados:', error);
+            throw error;
+        }
+    }
+
+    // Nível e valor que um ancestral receberia nos CPAs de um afiliado da sua downline
+    // Usa a mesma upline e o mesmo cálculo da distribuição real (política de inativos inclusive)
+    async getUplineEarning(sourceAffiliateId, earnerAffiliateId, cpaAmount) {
+        const { mlmSettings, levelValues, upline, useRankValues } = await this.getDistributionContext(sourceAffiliateId);
+        const currency = mlmSettings.currency || 'BRL';
+        const cpa = { amount_minor: toMinor(cpaAmount, currency), currency };
+
+        const distributions = (await this.planDistributions(upline, levelValues, mlmSettings, cpa, null, useRankValues))
+            .filter(d => d.affiliate_id === earnerAffiliateId);
+        const paid = distributions.filter(d => d.status !== 'CANCELLED');
+
+        if (paid.length === 0) {
+            return {
+                earns: false,
+                level: distributions.length > 0 ? distributions[0].affiliate_level : null,
+                amount: 0,
+                qualification: distributions.length > 0 ? distributions[0].qualification : null
+            };
+        }
+
+        return {
+            earns: true,
+            level: paid[0].affiliate_level,
+            amount: fromMinor(sumMinor(paid.map(d => d.amount_minor)), currency),
+            currency,
+            qualification: paid[0].qualification || null
+        };
+    }
+
+    // Cursor opaco da downline: posição (relative_level, affiliate_id) do último item da página
+    encodeCursor(relativeLevel, affiliateId) {
+        return Buffer.from(JSON.stringify([relativeLevel, affiliateId])).toString('base64url');
+    }
+
+    decodeCursor(cursor) {
+        try {
+            const [relativeLevel, affiliateId] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+            if (Number.isInteger(relativeLevel) && Number.isInteger(affiliateId)) {
+                return { relativeLevel, affiliateId };
+            }
+        } catch (error) {
+            // Tratado abaixo como cursor inválido
+        }
+
+        throw new MLMError('Cursor de paginação inválido', 'INVALID_CURSOR', 400, { cursor });
+    }
+
+    // Buscar subárvore para exportação em lotes de linhas (cursor no banco), com totais de CPA por moeda
+    // O primeiro lote é lido aqui: afiliado inexistente vira 404 antes de a resposta começar
+    async getHierarchyExport(affiliateId) {
+        try {
+            const batches = this.mlmModel.streamSubtreeWithStatistics(affiliateId);
+            const first = await batches.next();
+
+            if (first.done) {
+                throw new MLMError('Afiliado não encontrado ou inativo na hierarquia', 'AFFILIATE_NOT_FOUND', 404, { affiliateId });
+            }
+
+            return (async function* () {
+                try {
+                    yield first.value;
+                    yield* batches;
+                } finally {
+                    // Leitura interrompida (cliente desconectado): fecha o cursor e devolve a conexão
+                    await batches.return();
+                }
+            })();
+        } catch (error) {
+            logger.error('Erro ao exportar hierarquia:', error);
+            throw error;
+        }
+    }
+
+    // Buscar upline de um afiliado
+    async getAffiliateUpline(affiliateId, maxLevels = null, asOf = null) {
+        try {
+            const mlmSettings = await this.getConfig('mlm_settings');
+            const levels = maxLevels || mlmSettings.max_hierarchy_levels;
+            
+            return await this.mlmModel.getAffiliateUpline(affiliateId, levels, asOf);
+        } catch (error) {
+            logger.error('Erro ao buscar upline:', error);
+            throw error;
+        }
+    }
+
+    // Criar ou atualizar afiliado
+    async upsertAffiliate(affiliateId, parentId = null) {
+        try {
+            return await this.mlmModel.upsertAffiliate(affiliateId, parentId);
+        } catch (error) {
+            logger.error('Erro ao criar/atualizar afiliado:', error);
+            throw error;
+        }
+    }
+
+    // Importar hierarquia em lote (atômica; com dryRun apenas valida e gera o relatório)
+    async importHierarchy(rows, dryRun = false) {
+        const startTime = Date.now();
+
+        const ids = new Set();
+        for (const row of rows) {
+            for (const value of [row.affiliateId, row.parentId]) {
+                const id = Number(value);
+                if (Number.isInteger(id) && id > 0) ids.add(id);
+            }
+        }
+
+        const buildReport = (existing) => {
+            const { plan, unchanged, errors } = planHierarchyImport(rows, existing, MLMModel.MAX_HIERARCHY_DEPTH);
+            const levels = {};
+            for (const planned of plan) {
+                levels[`level_${planned.level}`] = (levels[`level_${planned.level}`] || 0) + 1;
+            }
+
+            return {
+                plan,
+                summary: {
+                    total: rows.length,
+                    toInsert: plan.length,
+                    unchanged: unchanged.length,
+                    errors: errors.length,
+                    levels
+                },
+                errors
+            };
+        };
+
+        try {
+            let report;
+
+            if (dryRun) {
+                report = buildReport(await this.mlmModel.getHierarchyNodes([...ids]));
+            } else {
+                report = await this.mlmModel.withTransaction(async (client) => {
+                    // Travar parents existentes para que não sejam movidos durante a importação
+                    const existing = await this.mlmModel.getHierarchyNodes([...ids], client, true);
+                    const result = buildReport(existing);
+
+                    if (result.errors.length > 0) {
+                        throw new MLMError(
+                            'Importação contém linhas inválidas; nenhum afiliado foi importado',
+                            'IMPORT_INVALID',
+                            422,
+                            { summary: result.summary, errors: result.errors }
+                        );
+                    }
+
+                    result.summary.inserted = await this.mlmModel.insertHierarchyBatch(client, result.plan);
+                    return result;
+                });
+            }
+
+            await this.mlmModel.logOperation(
+                'HIERARCHY_IMPORT',
+                'HIERARCHY',
+                dryRun ? 'import_dry_run' : 'import',
+                { total: rows.length, dryRun },
+                report.summary,
+                report.errors.length > 0 ? 'WARNING' : 'SUCCESS',
+                null,
+                Date.now() - startTime
+            );
+
+            return { dryRun, summary: report.summary, errors: report.errors };
+        } catch (error) {
+            await this.mlmModel.logOperation(
+                'HIERARCHY_IMPORT',
+                'HIERARCHY',
+                'import',
+                { total: rows.length, dryRun },
+                error.details ? error.details.summary : null,
+                'ERROR',
+                error.message,
+                Date.now() - startTime
+            );
+
+            logger.error('Erro ao importar hierarquia:', error);
+            throw error;
+        }
+    }
+
+    // Verificar integridade da hierarquia
+    async checkHierarchyIntegrity() {
+        try {
+            return await this.mlmModel.checkHierarchyIntegrity();
+        } catch (error) {
+            logger.error('Erro ao verificar integridade da hierarquia:', error);
+            throw error;
+        }
+    }
+
+    // Reparar integridade da hierarquia
+    async repairHierarchyIntegrity(options = {}) {
+        const startTime = Date.now();
+
+        try {
+            const result = await this.mlmModel.repairHierarchyIntegrity(options);
+
+            if (!result.dryRun) {
+                await this.mlmModel.logOperation(
+                    'HIERARCHY_REPAIR',
+                    'HIERARCHY',
+                    'integrity',
+                    options,
+                    { before: result.before, after: result.after, repaired: result.repaired },
+                    'SUCCESS',
+                    null,
+                    Date.now() - startTime
+                );
+            }
+
+            return result;
+        } catch (error) {
+            logger.error('Erro ao reparar integridade da hierarquia:', error);
+            throw error;
+        }
+    }
+
+    // Desativar afiliado (compress: filhos sobem para o próximo ativo; keep: permanecem no lugar)
+    async deactivateAffiliate(affiliateId, mode = 'compress') {
+        const startTime = Date.now();
+
+        try {
+            const result = await this.mlmModel.deactivateAffiliate(affiliateId, mode === 'compress');
+
+            await this.mlmModel.logOperation(
+                'AFFILIATE_DEACTIVATION',
+                'AFFILIATE',
+                affiliateId,
+                { affiliateId, mode },
+                { children: result.children, newParentId: result.newParentId },
+                'SUCCESS',
+                null,
+                Date.now() - startTime
+            );
+
+            return result;
+        } catch (error) {
+            logger.error('Erro ao desativar afiliado:', error);
+            throw error;
+        }
+    }
+
+    // Buscar CPAs de um afiliado
+    async getAffiliateCpas(affiliateId, filters = {}) {
+        try {
+            return await this.mlmModel.getAffiliateCpas(affiliateId, filters);
+        } catch (error) {
+            logger.error('Erro ao buscar CPAs:', error);
+            throw error;
+        }
+    }
+
+    // Buscar estatísticas de um afiliado (uma linha por moeda, mais o total na moeda de relatório)
+    async getAffiliateStatistics(affiliateId, periodStart = null, periodEnd = null, reportingCurrency = null) {
+        try {
+            if (!periodStart || !periodEnd) {
+                const today = new Date();
+                periodStart = new Date(today.getFullYear(), today.getMonth(), 1);
+                periodEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+            }
+
+            const byCurrency = await this.mlmModel.getAffiliateStatistics(affiliateId, periodStart, periodEnd);
+
+            if (byCurrency.length === 0) {
+                return null;
+            }
+
+            const totalsOf = field => new Map(byCurrency.map(row => [row.currency, row[`${field}_minor`]]));
+
+            const reporting = await this.convertToReportingCurrency(totalsOf('total_amount'), reportingCurrency, periodEnd);
+            const pending = await this.convertToReportingCurrency(totalsOf('pending_amount'), reporting.currency, periodEnd);
+            const released = await this.convertToReportingCurrency(totalsOf('released_amount'), reporting.currency, periodEnd);
+
+            return {
+                periodStart,
+                periodEnd,
+                byCurrency,
+                reporting: {
+                    ...reporting,
+                    pendingAmount: pending.totalAmount,
+                    releasedAmount: released.totalAmount
+                }
+            };
+        } catch (error) {
+            logger.error('Erro ao buscar estatísticas:', error);
+            throw error;
+        }
+    }
+
+    // Buscar estatísticas da equipe (o afiliado e toda a sua downline)
+    // Volumes por moeda, mais o total na moeda de relatório
+    async getTeamStatistics(affiliateId, periodStart = null, periodEnd = null, reportingCurrency = null) {
+        try {
+            if (!periodStart || !periodEnd) {
+                const today = new Date();
+                periodStart = new Date(today.getFullYear(), today.getMonth(), 1);
+                periodEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+            }
+
+            const levels = await this.mlmModel.getTeamStatistics(affiliateId, periodStart, periodEnd);
+
+            if (levels.length === 0) {
+                throw new MLMError('Afiliado não encontrado ou inativo na hierarquia', 'AFFILIATE_NOT_FOUND', 404, { affiliateId });
+            }
+
+            // Volumes somados em unidades menores por moeda
+            const volumeTotals = new Map();
+            const toVolumes = minorByCurrency => Object.fromEntries(
+                [...minorByCurrency].map(([currency, minor]) => [currency, fromMinor(minor, currency)])
+            );
+
+            const byLevel = levels.map(level => {
+                const levelVolume = new Map();
+                for (const [currency, minor] of Object.entries(level.cpa_volume_minor)) {
+                    levelVolume.set(currency, minor);
+                    volumeTotals.set(currency, (volumeTotals.get(currency) || 0) + minor);
+                }
+
+                return {
+                    relativeLevel: level.relative_level,
+                    members: level.members,
+                    activeMembers: level.active_members,
+                    newAffiliates: level.new_affiliates,
+                    cpas: level.cpas,
+                    cpaVolume: toVolumes(levelVolume)
+                };
+            });
+
+            const totals = byLevel.reduce((sum, level) => ({
+                teamSize: sum.teamSize + level.members,
+                activeMembers: sum.activeMembers + level.activeMembers,
+                newAffiliates: sum.newAffiliates + level.newAffiliates,
+                cpas: sum.cpas + level.cpas
+            }), { teamSize: 0, activeMembers: 0, newAffiliates: 0, cpas: 0 });
+
+            return {
+                periodStart,
+                periodEnd,
+                totals: { ...totals, cpaVolume: toVolumes(volumeTotals) },
+                reporting: await this.convertToReportingCurrency(volumeTotals, reportingCurrency, periodEnd),
+                byLevel
+            };
+        } catch (error) {
+            logger.error('Erro ao buscar estatísticas da equipe:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Consolidar totais em várias moedas na moeda de relatório, com a cotação vigente na data
+     * Cada moeda é convertida e arredondada uma única vez (ver utils/money)
+     * @param {Map} totalsByCurrency - moeda → valor em unidades menores
+     * @param {string|null} reportingCurrency - padrão: mlm_settings.reporting_currency ou mlm_settings.currency
+     */
+    async convertToReportingCurrency(totalsByCurrency, reportingCurrency, date) {
+        if (!reportingCurrency) {
+            const mlmSettings = await this.getConfig('mlm_settings');
+            reportingCurrency = mlmSettings.reporting_currency;
+        }
+
+        const foreign = [...totalsByCurrency.keys()].filter(currency => currency !== reportingCurrency);
+        const rates = foreign.length > 0
+            ? await this.mlmModel.getFxRates(foreign, reportingCurrency, date)
+            : new Map();
+
+        const missing = foreign.filter(currency => !rates.has(currency));
+        if (missing.length > 0) {
+            throw new MLMError('Cotação não encontrada para consolidar o relatório', 'FX_RATE_NOT_FOUND', 422, {
+                currencies: missing,
+                baseCurrency: reportingCurrency,
+                date
+            });
+        }
+
+        const totalMinor = sumMinor([...totalsByCurrency].map(([currency, minor]) => (
+            currency === reportingCurrency ? minor : convert(minor, currency, reportingCurrency, rates.get(currency).rate)
+        )));
+
+        return {
+            currency: reportingCurrency,
+            totalAmount: fromMinor(totalMinor, reportingCurrency),
+            rates: Object.fromEntries([...rates].map(([currency, fxRate]) => [
+                currency,
+                { rate: fxRate.rate, rateDate: fxRate.rate_date }
+            ]))
+        };
+    }
+
+    // Listar cotações cadastradas
+    async listFxRates(filters = {}) {
+        try {
+            return await this.mlmModel.listFxRates(filters);
+        } catch (error) {
+            logger.error('Erro ao listar cotações:', error);
+            throw error;
+        }
+    }
+
+    // Gravar cotações usadas nos relatórios consolidados
+    async saveFxRates(rates, createdBy = 'system') {
+        try {
+            const saved = await this.mlmModel.upsertFxRates(rates.map(rate => ({
+                currency: rate.currency,
+                base_currency: rate.baseCurrency,
+                rate: String(rate.rate),
+                rate_date: rate.rateDate,
+                source: rate.source
+            })));
+
+            await this.mlmModel.logOperation(
+                'FX_RATES_UPDATE',
+                'FX_RATE',
+                'batch',
+                { rates },
+                { saved: saved.length },
+                'SUCCESS',
+                null,
+                null,
+                createdBy
+            );
+
+            logger.info(`${saved.length} cotações gravadas`);
+
+            return saved;
+        } catch (error) {
+            logger.error('Erro ao gravar cotações:', error);
             throw error;
         }
     }
@@ -0,0 +1,950 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/configClient', () => jest.fn().mockImplementation(() => ({
+    subscribe: jest.fn(),
+    getConfig: jest.fn()
+})));
+jest.mock('../models/mlmModel', () => jest.fn().mockImplementation(() => ({
+    withTransaction: jest.fn(),
+    getCpaValidadoByIdempotencyKey: jest.fn(),
+    getCpaDistributions: jest.fn(),
+    saveCpaValidado: jest.fn(),
+    saveCpaDistribution: jest.fn(),
+    updateCpaStatus: jest.fn(),
+    updateAffiliateStatistics: jest.fn(),
+    getAffiliateUpline: jest.fn(),
+    getEffectiveCpaOverrides: jest.fn(),
+    getCurrentRanks: jest.fn(),
+    getFraudSignals: jest.fn(),
+    getCpaValidadoForUpdate: jest.fn(),
+    insertReversalDistributions: jest.fn(),
+    cancelPendingDistributions: jest.fn(),
+    markCpaReversed: jest.fn(),
+    markCpaReviewed: jest.fn(),
+    claimPayableDistributions: jest.fn(),
+    updatePayoutState: jest.fn(),
+    getDistributionByPayoutReference: jest.fn(),
+    getQualificationMetrics: jest.fn(),
+    logOperation: jest.fn()
+})));
+
+const MLMService = require('./mlmService');
+const { MLMError } = require('../utils/errors');
+
+const TX_CLIENT = { name: 'transação' };
+
+// Distribuição reservada pelo job (payout_status SUBMITTING)
+function claimed(overrides = {}) {
+    return {
+        id: 'd1',
+        cpa_validado_id: 'c1',
+        affiliate_id: 10,
+        affiliate_level: 1,
+        distributed_amount: '35.00',
+        distributed_amount_minor: 3500,
+        currency: 'BRL',
+        status: 'PENDING',
+        payout_status: 'SUBMITTING',
+        payout_reference: 'TX-1',
+        payout_attempts: 1,
+        ...overrides
+    };
+}
+
+/**
+ * Cenário de distribuição: configuração do Config Service, upline 10 → 20 → 30 e gravação que ecoa os registros
+ * (o modelo devolve os valores também em unidades menores, como withMinorAmounts)
+ */
+function stubDistribution(service, { configs = {}, upline = [10, 20, 30] } = {}) {
+    const model = service.mlmModel;
+    const values = {
+        mlm_settings: { currency: 'BRL', hold_period_days: 14 },
+        cpa_level_amounts: { level_1: 10, level_2: 5, level_3: 2 },
+        fraud_rules: { enabled: false },
+        ...configs
+    };
+
+    service.configClient.getConfig.mockImplementation(async (key, defaultValue) => values[key] ?? defaultValue);
+    model.withTransaction.mockImplementation(callback => callback(TX_CLIENT));
+    model.getCpaValidadoByIdempotencyKey.mockResolvedValue(null);
+    model.getAffiliateUpline.mockResolvedValue(
+        upline.map((id, index) => ({ affiliate_id: id, upline_level: index + 1, active: true }))
+    );
+    model.getEffectiveCpaOverrides.mockResolvedValue([]);
+    model.getCurrentRanks.mockResolvedValue(new Map());
+    model.getFraudSignals.mockResolvedValue({ otherAffiliateIds: [], hourlyCpas: 0, fingerprintUsers: [] });
+    model.saveCpaValidado.mockImplementation(async record => ({
+        id: 'c1',
+        ...record,
+        status: record.status || 'PENDING',
+        cpa_amount_minor: record.amount_minor
+    }));
+    model.saveCpaDistribution.mockImplementation(async record => ({
+        id: `d-${record.affiliate_id}`,
+        ...record,
+        distributed_amount_minor: record.amount_minor
+    }));
+    model.updateCpaStatus.mockImplementation(async (id, status) => ({ id, status, currency: 'BRL' }));
+    model.updateAffiliateStatistics.mockResolvedValue({});
+
+    return model;
+}
+
+// Resultado de updatePayoutState: null quando a distribuição já não estava PENDING
+function updated(state, pending = true) {
+    if (!pending) return null;
+    return claimed({ status: state.status || 'PENDING', payout_status: state.payoutStatus });
+}
+
+describe('MLMService - configuração mlm_settings', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new MLMService();
+    });
+
+    it('usa os padrões quando o Config Service não tem mlm_settings', async () => {
+        service.configClient.getConfig.mockResolvedValue(null);
+
+        expect(await service.getConfig('mlm_settings')).toEqual(expect.objectContaining({
+            currency: 'BRL',
+            calculation_method: 'standard',
+            max_hierarchy_levels: 5
+        }));
+    });
+
+    it('completa com os padrões as chaves que a configuração não define', async () => {
+        service.configClient.getConfig.mockResolvedValue({ currency: 'USD', max_hierarchy_levels: 3 });
+
+        expect(await service.getConfig('mlm_settings')).toEqual(expect.objectContaining({
+            currency: 'USD',
+            calculation_method: 'standard',
+            max_hierarchy_levels: 3,
+            hold_period_days: 14,
+            inactive_upline_policy: 'compress',
+            reporting_currency: 'USD'
+        }));
+    });
+
+    it('mantém carência zero e moeda de relatório configuradas', async () => {
+        service.configClient.getConfig.mockResolvedValue({ currency: 'USD', reporting_currency: 'BRL', hold_period_days: 0 });
+
+        expect(await service.getConfig('mlm_settings')).toEqual(expect.objectContaining({
+            hold_period_days: 0,
+            reporting_currency: 'BRL'
+        }));
+    });
+
+    it('aplica os padrões às atualizações recebidas por subscrição', () => {
+        const [, onUpdate] = service.configClient.subscribe.mock.calls.find(([key]) => key === 'mlm_settings');
+
+        onUpdate({ minimum_amount: 1 });
+
+        expect(service.configCache.get('mlm_settings')).toEqual(expect.objectContaining({ minimum_amount: 1, currency: 'BRL' }));
+    });
+});
+
+describe('MLMService - qualificação da upline', () => {
+    const mlmSettings = {
+        calculation_method: 'standard',
+        currency: 'BRL',
+        max_hierarchy_levels: 3,
+        inactive_upline_policy: 'compress'
+    };
+    const levelValues = { level_1: 10, level_2: 5, level_3: 2 };
+    const cpa = { amount_minor: 5000, currency: 'BRL' };
+    let service;
+
+    // Upline de 5 níveis: 10 → 20 → 30 → 40 → 50
+    const upline = [10, 20, 30, 40, 50].map((id, index) => ({ affiliate_id: id, upline_level: index + 1, active: true }));
+
+    beforeEach(() => {
+        service = new MLMService();
+        service.configCache.set('upline_qualification_rules', {
+            unqualified_policy: 'roll_up',
+            lookback_days: 30,
+            rules: [{ levels: [2], operator: 'AND', min_active_directs: 2 }]
+        });
+    });
+
+    it('repassa o valor ao ancestral qualificado dentro de max_hierarchy_levels', async () => {
+        service.mlmModel.getQualificationMetrics.mockResolvedValue(new Map([[30, { active_directs: 2, personal_cpas: 0 }]]));
+
+        const distributions = await service.planDistributions(upline, levelValues, mlmSettings, cpa, null, false);
+
+        expect(distributions.filter(d => d.amount_minor > 0).map(d => [d.affiliate_id, d.affiliate_level, d.amount_minor]))
+            .toEqual([[10, 1, 1000], [30, 2, 500], [30, 3, 200]]);
+    });
+
+    it('não repassa a ancestral além de max_hierarchy_levels', async () => {
+        service.mlmModel.getQualificationMetrics.mockResolvedValue(new Map([[50, { active_directs: 9, personal_cpas: 0 }]]));
+
+        const distributions = await service.planDistributions(upline, levelValues, mlmSettings, cpa, null, false);
+
+        expect(service.mlmModel.getQualificationMetrics).toHaveBeenCalledWith([10, 20, 30], 30);
+        expect(distributions.map(d => d.affiliate_id)).toEqual([10, 20, 30]);
+        expect(distributions[1]).toEqual(expect.objectContaining({
+            affiliate_id: 20,
+            amount_minor: 0,
+            status: 'CANCELLED',
+            qualification: expect.objectContaining({ decision: 'skipped' })
+        }));
+    });
+
+    it('conta o limite de níveis depois da compressão de inativos', async () => {
+        const withInactive = upline.map(a => (a.affiliate_id === 30 ? { ...a, active: false } : a));
+        service.mlmModel.getQualificationMetrics.mockResolvedValue(new Map([[40, { active_directs: 2, personal_cpas: 0 }]]));
+
+        const distributions = await service.planDistributions(withInactive, levelValues, mlmSettings, cpa, null, false);
+
+        expect(service.mlmModel.getQualificationMetrics).toHaveBeenCalledWith([10, 20, 40], 30);
+        expect(distributions[1].qualification).toEqual(expect.objectContaining({ decision: 'rolled_up', rolledUpTo: 40 }));
+    });
+});
+
+describe('MLMService - pagamento das distribuições', () => {
+    const originalEnv = process.env;
+    let service;
+    let model;
+    let provider;
+
+    beforeEach(() => {
+        process.env = { ...originalEnv, PAYOUT_MAX_ATTEMPTS: '3', PAYOUT_RETRY_BACKOFF_MS: '1000', PAYOUT_MAX_BACKOFF_MS: '3000' };
+
+        service = new MLMService();
+        model = service.mlmModel;
+        model.withTransaction.mockImplementation(callback => callback(TX_CLIENT));
+        model.updatePayoutState.mockImplementation(async (id, state) => updated(state));
+
+        provider = { name: 'http', submit: jest.fn() };
+        service.payoutProvider = provider;
+        jest.spyOn(service, 'updateStatisticsByPeriod').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        jest.restoreAllMocks();
+    });
+
+    describe('getPayoutBackoff', () => {
+        it('dobra o atraso a cada tentativa até o limite', () => {
+            expect([1, 2, 3, 4].map(attempts => service.getPayoutBackoff(attempts))).toEqual([1000, 2000, 3000, 3000]);
+        });
+    });
+
+    describe('submitPayout', () => {
+        it('envia o valor da distribuição com a referência de pagamento', async () => {
+            provider.submit.mockResolvedValue({ status: 'SUBMITTED', providerReference: 'P1', reason: null });
+
+            await service.submitPayout(claimed());
+
+            expect(provider.submit).toHaveBeenCalledWith({
+                reference: 'TX-1',
+                distributionId: 'd1',
+                cpaValidadoId: 'c1',
+                affiliateId: 10,
+                affiliateLevel: 1,
+                amount: 35,
+                currency: 'BRL'
+            });
+        });
+
+        it('CONFIRMED encerra a distribuição como COMPLETED e libera o valor nas estatísticas', async () => {
+            provider.submit.mockResolvedValue({ status: 'CONFIRMED', providerReference: 'P1', reason: null });
+
+            expect(await service.submitPayout(claimed())).toBe('released');
+
+            expect(model.updatePayoutState).toHaveBeenCalledWith('d1', {
+                status: 'COMPLETED',
+                payoutStatus: 'CONFIRMED',
+                providerReference: 'P1',
+                error: null
+            }, TX_CLIENT);
+            expect(service.updateStatisticsByPeriod).toHaveBeenCalledWith(
+                [expect.objectContaining({ id: 'd1', status: 'COMPLETED' })],
+                TX_CLIENT,
+                { release: true }
+            );
+        });
+
+        it('SUBMITTED mantém a distribuição PENDING aguardando o callback', async () => {
+            provider.submit.mockResolvedValue({ status: 'SUBMITTED', providerReference: 'P1', reason: null });
+
+            expect(await service.submitPayout(claimed())).toBe('submitted');
+
+            expect(model.updatePayoutState).toHaveBeenCalledWith('d1', { payoutStatus: 'SUBMITTED', providerReference: 'P1' });
+            expect(service.updateStatisticsByPeriod).not.toHaveBeenCalled();
+        });
+
+        it('FAILED encerra a distribuição sem liberar valor', async () => {
+            provider.submit.mockResolvedValue({ status: 'FAILED', providerReference: null, reason: 'conta encerrada' });
+
+            expect(await service.submitPayout(claimed())).toBe('failed');
+
+            expect(model.updatePayoutState).toHaveBeenCalledWith('d1', {
+                status: 'FAILED',
+                payoutStatus: 'FAILED',
+                providerReference: null,
+                error: 'conta encerrada'
+            }, TX_CLIENT);
+            expect(service.updateStatisticsByPeriod).not.toHaveBeenCalled();
+        });
+
+        it('confirmação de distribuição já encerrada não libera valor de novo', async () => {
+            provider.submit.mockResolvedValue({ status: 'CONFIRMED', providerReference: 'P1', reason: null });
+            model.updatePayoutState.mockResolvedValue(null);
+
+            expect(await service.submitPayout(claimed())).toBe('released');
+            expect(service.updateStatisticsByPeriod).not.toHaveBeenCalled();
+        });
+
+        it('falha de comunicação agenda nova tentativa com backoff', async () => {
+            jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-01T00:00:00Z'));
+            provider.submit.mockRejectedValue(Object.assign(new Error('timeout'), { details: { retryable: true } }));
+
+            expect(await service.submitPayout(claimed({ payout_attempts: 2 }))).toBe('retrying');
+
+            expect(model.updatePayoutState).toHaveBeenCalledWith('d1', {
+                payoutStatus: 'RETRY',
+                error: 'timeout',
+                nextAttemptAt: new Date('2024-01-01T00:00:02Z')
+            });
+        });
+
+        it('resposta fora do contrato é repetida', async () => {
+            provider.submit.mockResolvedValue({ status: 'PAID' });
+
+            expect(await service.submitPayout(claimed())).toBe('retrying');
+            expect(model.updatePayoutState).toHaveBeenCalledWith('d1', expect.objectContaining({
+                payoutStatus: 'RETRY',
+                error: 'Resposta inválida do provedor de pagamento'
+            }));
+        });
+
+        it('esgotadas as tentativas, a distribuição fica FAILED', async () => {
+            provider.submit.mockRejectedValue(new Error('timeout'));
+
+            expect(await service.submitPayout(claimed({ payout_attempts: 3 }))).toBe('failed');
+
+            expect(model.updatePayoutState).toHaveBeenCalledWith('d1', expect.objectContaining({
+                status: 'FAILED',
+                payoutStatus: 'FAILED',
+                error: 'timeout'
+            }), TX_CLIENT);
+        });
+
+        it('erro definitivo não é repetido', async () => {
+            provider.submit.mockRejectedValue(Object.assign(new Error('dados inválidos'), { details: { retryable: false } }));
+
+            expect(await service.submitPayout(claimed())).toBe('failed');
+            expect(model.updatePayoutState).toHaveBeenCalledTimes(1);
+            expect(model.updatePayoutState).toHaveBeenCalledWith('d1', expect.objectContaining({ status: 'FAILED' }), TX_CLIENT);
+        });
+    });
+
+    describe('handlePayoutCallback', () => {
+        it('confirma a distribuição PENDING na mesma transação da busca', async () => {
+            model.getDistributionByPayoutReference.mockResolvedValue(claimed({ payout_status: 'SUBMITTED' }));
+
+            const result = await service.handlePayoutCallback({ reference: 'TX-1', status: 'COMPLETED', providerReference: 'P1' });
+
+            expect(result).toEqual({ distribution: expect.objectContaining({ status: 'COMPLETED' }), applied: true });
+            expect(model.getDistributionByPayoutReference).toHaveBeenCalledWith(TX_CLIENT, 'TX-1');
+            expect(model.updatePayoutState).toHaveBeenCalledWith('d1', expect.objectContaining({
+                status: 'COMPLETED',
+                payoutStatus: 'CONFIRMED'
+            }), TX_CLIENT);
+            expect(service.updateStatisticsByPeriod).toHaveBeenCalledTimes(1);
+            expect(model.logOperation).toHaveBeenCalledWith(
+                'PAYOUT_CALLBACK', 'CPA_DISTRIBUTION', 'd1', expect.any(Object),
+                { status: 'COMPLETED', applied: true }, 'SUCCESS', null, expect.any(Number), 'payout-provider'
+            );
+        });
+
+        it('registra a recusa do provedor', async () => {
+            model.getDistributionByPayoutReference.mockResolvedValue(claimed({ payout_status: 'SUBMITTED' }));
+
+            const result = await service.handlePayoutCallback({ reference: 'TX-1', status: 'FAILED', reason: 'conta encerrada' });
+
+            expect(result.applied).toBe(true);
+            expect(model.updatePayoutState).toHaveBeenCalledWith('d1', expect.objectContaining({
+                status: 'FAILED',
+                error: 'conta encerrada'
+            }), TX_CLIENT);
+            expect(service.updateStatisticsByPeriod).not.toHaveBeenCalled();
+        });
+
+        it('aceita callback repetido sem efeito', async () => {
+            model.getDistributionByPayoutReference.mockResolvedValue(claimed({ status: 'COMPLETED', payout_status: 'CONFIRMED' }));
+
+            const result = await service.handlePayoutCallback({ reference: 'TX-1', status: 'COMPLETED' });
+
+            expect(result.applied).toBe(false);
+            expect(model.updatePayoutState).not.toHaveBeenCalled();
+            expect(model.logOperation).toHaveBeenCalledWith(
+                'PAYOUT_CALLBACK', 'CPA_DISTRIBUTION', 'd1', expect.any(Object),
+                { status: 'COMPLETED', applied: false }, 'SUCCESS', null, expect.any(Number), 'payout-provider'
+            );
+        });
+
+        it('registra aviso para callback que contradiz o estado final', async () => {
+            model.getDistributionByPayoutReference.mockResolvedValue(claimed({ status: 'CANCELLED', payout_status: 'SUBMITTED' }));
+
+            const result = await service.handlePayoutCallback({ reference: 'TX-1', status: 'COMPLETED' });
+
+            expect(result.applied).toBe(false);
+            expect(model.logOperation).toHaveBeenCalledWith(
+                'PAYOUT_CALLBACK', 'CPA_DISTRIBUTION', 'd1', expect.any(Object),
+                { status: 'CANCELLED', applied: false }, 'WARNING', 'Callback COMPLETED para distribuição CANCELLED',
+                expect.any(Number), 'payout-provider'
+            );
+        });
+
+        it('recusa referência desconhecida', async () => {
+            model.getDistributionByPayoutReference.mockResolvedValue(null);
+
+            await expect(service.handlePayoutCallback({ reference: 'TX-9', status: 'COMPLETED' })).rejects.toMatchObject({
+                code: 'PAYOUT_NOT_FOUND',
+                statusCode: 404
+            });
+            expect(model.logOperation).toHaveBeenCalledWith(
+                'PAYOUT_CALLBACK', 'CPA_DISTRIBUTION', 'TX-9', expect.any(Object), null, 'ERROR',
+                'Pagamento não encontrado', expect.any(Number), 'payout-provider'
+            );
+        });
+    });
+
+    describe('releaseDueDistributions', () => {
+        it('envia os lotes reservados e resume os resultados por moeda', async () => {
+            model.claimPayableDistributions.mockResolvedValue([
+                claimed({ id: 'd1' }),
+                claimed({ id: 'd2', distributed_amount: '10.50', distributed_amount_minor: 1050 }),
+                claimed({ id: 'd3', distributed_amount: '1500', distributed_amount_minor: 1500, currency: 'CLP' }),
+                claimed({ id: 'd4' })
+            ]);
+            provider.submit
+                .mockResolvedValueOnce({ status: 'CONFIRMED', providerReference: 'P1', reason: null })
+                .mockResolvedValueOnce({ status: 'CONFIRMED', providerReference: 'P2', reason: null })
+                .mockResolvedValueOnce({ status: 'CONFIRMED', providerReference: 'P3', reason: null })
+                .mockResolvedValueOnce({ status: 'SUBMITTED', providerReference: 'P4', reason: null });
+
+            const result = await service.releaseDueDistributions();
+
+            expect(model.claimPayableDistributions).toHaveBeenCalledWith(TX_CLIENT, 500, 'http', 15);
+            expect(result).toEqual({
+                released: 3,
+                submitted: 1,
+                retrying: 0,
+                failed: 0,
+                provider: 'http',
+                totalReleased: { BRL: 45.5, CLP: 1500 }
+            });
+            expect(model.logOperation).toHaveBeenCalledWith(
+                'DISTRIBUTION_RELEASE', 'CPA_DISTRIBUTION', 'all', null, result, 'SUCCESS', null, expect.any(Number)
+            );
+        });
+
+        it('registra aviso quando há pagamentos com nova tentativa', async () => {
+            model.claimPayableDistributions.mockResolvedValue([claimed()]);
+            provider.submit.mockRejectedValue(new Error('timeout'));
+
+            const result = await service.releaseDueDistributions();
+
+            expect(result.retrying).toBe(1);
+            expect(model.logOperation).toHaveBeenCalledWith(
+                'DISTRIBUTION_RELEASE', 'CPA_DISTRIBUTION', 'all', null, result, 'WARNING', null, expect.any(Number)
+            );
+        });
+    });
+});
+
+describe('MLMService - idempotência do processamento de CPA', () => {
+    const cpaData = { amount: 50, sourceEventId: 'ev-1' };
+    let service;
+    let model;
+
+    beforeEach(() => {
+        service = new MLMService();
+        model = stubDistribution(service);
+    });
+
+    it('deriva a chave do evento de origem e grava o CPA com ela', async () => {
+        const result = await service.processCpaForDistribution(1, 10, cpaData);
+
+        expect(model.getCpaValidadoByIdempotencyKey).toHaveBeenCalledWith('user:1:event:ev-1');
+        expect(model.saveCpaValidado).toHaveBeenCalledWith(
+            expect.objectContaining({ idempotency_key: 'user:1:event:ev-1', amount_minor: 5000 }),
+            TX_CLIENT
+        );
+        expect(result).toEqual(expect.objectContaining({ duplicate: false, totalDistributed: 17, currency: 'BRL' }));
+    });
+
+    it('repetição devolve o resultado original sem distribuir de novo', async () => {
+        model.getCpaValidadoByIdempotencyKey.mockResolvedValue({
+            id: 'c1', user_id: 1, affiliate_id: 10, status: 'DISTRIBUTED', currency: 'BRL'
+        });
+        model.getCpaDistributions.mockResolvedValue([
+            { id: 'd-10', affiliate_id: 10, distributed_amount_minor: 1000 },
+            { id: 'd-20', affiliate_id: 20, distributed_amount_minor: 500 }
+        ]);
+
+        const result = await service.processCpaForDistribution(1, 10, cpaData, { idempotencyKey: 'chave-1' });
+
+        expect(model.getCpaValidadoByIdempotencyKey).toHaveBeenCalledWith('chave-1');
+        expect(result).toEqual(expect.objectContaining({
+            cpaValidado: expect.objectContaining({ id: 'c1' }),
+            distributions: [expect.objectContaining({ id: 'd-10' }), expect.objectContaining({ id: 'd-20' })],
+            totalDistributed: 15,
+            duplicate: true,
+            held: false
+        }));
+        expect(model.withTransaction).not.toHaveBeenCalled();
+        expect(model.saveCpaValidado).not.toHaveBeenCalled();
+    });
+
+    it('recusa a chave já usada por outro usuário ou afiliado', async () => {
+        model.getCpaValidadoByIdempotencyKey.mockResolvedValue({ id: 'c1', user_id: 2, affiliate_id: 10, status: 'DISTRIBUTED' });
+
+        await expect(service.processCpaForDistribution(1, 10, cpaData, { idempotencyKey: 'chave-1' }))
+            .rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_MISMATCH', statusCode: 422 });
+        expect(model.saveCpaValidado).not.toHaveBeenCalled();
+    });
+
+    it('processa de novo um CPA que ficou em ERROR', async () => {
+        model.getCpaValidadoByIdempotencyKey.mockResolvedValue({ id: 'c1', user_id: 1, affiliate_id: 10, status: 'ERROR' });
+
+        const result = await service.processCpaForDistribution(1, 10, cpaData);
+
+        expect(result.duplicate).toBe(false);
+        expect(model.saveCpaDistribution).toHaveBeenCalledTimes(3);
+    });
+
+    it('corrida com outra requisição de mesma chave devolve o CPA gravado por ela', async () => {
+        model.saveCpaValidado.mockResolvedValue(null);
+        model.getCpaValidadoByIdempotencyKey
+            .mockResolvedValueOnce(null)
+            .mockResolvedValueOnce({ id: 'c9', user_id: 1, affiliate_id: 10, status: 'DISTRIBUTED', currency: 'BRL' });
+        model.getCpaDistributions.mockResolvedValue([]);
+
+        const result = await service.processCpaForDistribution(1, 10, cpaData);
+
+        expect(result).toEqual(expect.objectContaining({ duplicate: true, cpaValidado: expect.objectContaining({ id: 'c9' }) }));
+        expect(model.saveCpaDistribution).not.toHaveBeenCalled();
+    });
+});
+
+describe('MLMService - distribuição em uma transação', () => {
+    const cpaData = { amount: 50 };
+    let service;
+    let model;
+
+    beforeEach(() => {
+        service = new MLMService();
+        model = stubDistribution(service);
+    });
+
+    it('grava CPA, distribuições e estatísticas no mesmo client e encerra o CPA como DISTRIBUTED', async () => {
+        const result = await service.processCpaForDistribution(1, 10, cpaData);
+
+        expect(model.saveCpaValidado).toHaveBeenCalledWith(expect.objectContaining({ user_id: 1 }), TX_CLIENT);
+        expect(model.saveCpaDistribution.mock.calls.map(([, client]) => client)).toEqual([TX_CLIENT, TX_CLIENT, TX_CLIENT]);
+        expect(model.updateAffiliateStatistics.mock.calls.every(call => call[5] === TX_CLIENT)).toBe(true);
+        expect(model.updateCpaStatus).toHaveBeenCalledWith('c1', 'DISTRIBUTED', TX_CLIENT);
+        expect(result.cpaValidado.status).toBe('DISTRIBUTED');
+    });
+
+    it('falha no meio da distribuição desfaz tudo e registra o CPA em ERROR fora da transação', async () => {
+        model.saveCpaDistribution
+            .mockImplementationOnce(async record => ({ id: 'd-10', ...record, distributed_amount_minor: record.amount_minor }))
+            .mockRejectedValueOnce(new Error('conexão perdida'));
+
+        await expect(service.processCpaForDistribution(1, 10, cpaData)).rejects.toThrow('conexão perdida');
+
+        // Tudo o que foi gravado antes da falha usou o client da transação (desfeito no ROLLBACK)
+        expect(model.saveCpaValidado).toHaveBeenNthCalledWith(1, expect.objectContaining({ user_id: 1 }), TX_CLIENT);
+        expect(model.saveCpaDistribution.mock.calls.map(([, client]) => client)).toEqual([TX_CLIENT, TX_CLIENT]);
+        expect(model.updateAffiliateStatistics).not.toHaveBeenCalled();
+        expect(model.updateCpaStatus).not.toHaveBeenCalled();
+
+        expect(model.saveCpaValidado).toHaveBeenLastCalledWith(expect.objectContaining({
+            idempotency_key: 'user:1',
+            status: 'ERROR'
+        }));
+        expect(model.logOperation).toHaveBeenCalledWith(
+            'CPA_DISTRIBUTION', 'CPA', '1_10', expect.any(Object), null, 'ERROR', 'conexão perdida', expect.any(Number)
+        );
+    });
+
+    it('erro ao atualizar estatísticas também desfaz a distribuição', async () => {
+        model.updateAffiliateStatistics.mockRejectedValue(new Error('deadlock'));
+
+        await expect(service.processCpaForDistribution(1, 10, cpaData)).rejects.toThrow('deadlock');
+
+        expect(model.updateCpaStatus).not.toHaveBeenCalled();
+        expect(model.saveCpaValidado).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'ERROR' }));
+    });
+
+    it('falha ao registrar o ERROR não esconde o erro original', async () => {
+        model.saveCpaDistribution.mockRejectedValue(new Error('conexão perdida'));
+        model.saveCpaValidado
+            .mockImplementationOnce(async record => ({ id: 'c1', ...record, cpa_amount_minor: record.amount_minor }))
+            .mockRejectedValueOnce(new Error('banco indisponível'));
+
+        await expect(service.processCpaForDistribution(1, 10, cpaData)).rejects.toThrow('conexão perdida');
+    });
+});
+
+describe('MLMService - estorno de CPA', () => {
+    const distributionDate = '2026-03-10T12:00:00Z';
+    let service;
+    let model;
+
+    // Distribuições gravadas do CPA c1: nível 1 pago, nível 2 ainda em carência
+    const paid = {
+        id: 'd-10', affiliate_id: 10, affiliate_level: 1, status: 'COMPLETED', currency: 'BRL',
+        distributed_amount_minor: 1000, distribution_date: distributionDate, payout_status: 'CONFIRMED'
+    };
+    const pending = {
+        id: 'd-20', affiliate_id: 20, affiliate_level: 2, status: 'PENDING', currency: 'BRL',
+        distributed_amount_minor: 500, distribution_date: distributionDate, payout_status: null
+    };
+
+    beforeEach(() => {
+        service = new MLMService();
+        model = service.mlmModel;
+        model.withTransaction.mockImplementation(callback => callback(TX_CLIENT));
+        model.getCpaValidadoForUpdate.mockResolvedValue({ id: 'c1', status: 'DISTRIBUTED', currency: 'BRL' });
+        model.getCpaDistributions.mockResolvedValue([paid, pending]);
+        model.insertReversalDistributions.mockResolvedValue([
+            { id: 'r-10', affiliate_id: 10, status: 'CANCELLED', reversal_of: 'd-10', distributed_amount_minor: -1000 }
+        ]);
+        model.cancelPendingDistributions.mockResolvedValue([{ ...pending, status: 'CANCELLED' }]);
+        model.markCpaReversed.mockResolvedValue({ id: 'c1', status: 'CANCELLED', reversal_reason: 'CHARGEBACK' });
+        model.updateAffiliateStatistics.mockResolvedValue({});
+    });
+
+    it('lança o valor negativo das distribuições pagas e cancela as ainda não pagas', async () => {
+        const result = await service.reverseCpa('c1', 'CHARGEBACK', 'contestação', 'operador');
+
+        expect(model.insertReversalDistributions).toHaveBeenCalledWith(TX_CLIENT, ['d-10']);
+        expect(model.cancelPendingDistributions).toHaveBeenCalledWith(TX_CLIENT, ['d-20']);
+        expect(model.markCpaReversed).toHaveBeenCalledWith(TX_CLIENT, 'c1', 'CHARGEBACK');
+        expect(result).toEqual(expect.objectContaining({
+            totalReversed: 10,
+            totalCancelled: 5,
+            currency: 'BRL',
+            cpaValidado: expect.objectContaining({ status: 'CANCELLED' })
+        }));
+        expect(model.logOperation).toHaveBeenCalledWith(
+            'CPA_REVERSAL', 'CPA', 'c1', { cpaValidadoId: 'c1', reasonCode: 'CHARGEBACK', notes: 'contestação' },
+            { reversals: 1, totalReversed: 10, cancelled: 1, totalCancelled: 5 },
+            'SUCCESS', null, expect.any(Number), 'operador'
+        );
+    });
+
+    it('desconta as estatísticas no período em que as distribuições foram contabilizadas', async () => {
+        await service.reverseCpa('c1', 'CHARGEBACK');
+
+        const periodStart = new Date(2026, 2, 1);
+        const periodEnd = new Date(2026, 3, 0);
+        expect(model.updateAffiliateStatistics).toHaveBeenCalledWith(10, periodStart, periodEnd, 'BRL', expect.objectContaining({
+            total_cpas: -1, total_amount: -1000, level_1_amount: -1000, released_amount: -1000, pending_amount: 0
+        }), TX_CLIENT);
+        expect(model.updateAffiliateStatistics).toHaveBeenCalledWith(20, periodStart, periodEnd, 'BRL', expect.objectContaining({
+            total_cpas: -1, total_amount: -500, level_2_amount: -500, pending_amount: -500, released_amount: 0
+        }), TX_CLIENT);
+    });
+
+    it('recusa o estorno enquanto há pagamento em andamento no provedor', async () => {
+        model.getCpaDistributions.mockResolvedValue([
+            paid,
+            { ...pending, payout_status: 'SUBMITTED', payout_reference: 'TX-20' }
+        ]);
+
+        await expect(service.reverseCpa('c1', 'CHARGEBACK')).rejects.toMatchObject({
+            code: 'CPA_PAYOUT_IN_FLIGHT',
+            statusCode: 409,
+            details: { cpaValidadoId: 'c1', payoutReferences: ['TX-20'] }
+        });
+        expect(model.insertReversalDistributions).not.toHaveBeenCalled();
+        expect(model.cancelPendingDistributions).not.toHaveBeenCalled();
+        expect(model.markCpaReversed).not.toHaveBeenCalled();
+    });
+
+    it('não estorna duas vezes o mesmo CPA', async () => {
+        model.getCpaValidadoForUpdate.mockResolvedValue({ id: 'c1', status: 'CANCELLED', reversal_reason: 'FRAUD' });
+
+        await expect(service.reverseCpa('c1', 'CHARGEBACK')).rejects.toMatchObject({ code: 'CPA_ALREADY_REVERSED', statusCode: 409 });
+    });
+
+    it('só estorna CPAs distribuídos', async () => {
+        model.getCpaValidadoForUpdate.mockResolvedValue({ id: 'c1', status: 'HELD' });
+
+        await expect(service.reverseCpa('c1', 'FRAUD')).rejects.toMatchObject({ code: 'CPA_NOT_REVERSIBLE', statusCode: 409 });
+    });
+});
+
+describe('MLMService - acordos de CPA', () => {
+    let service;
+    let model;
+
+    beforeEach(() => {
+        service = new MLMService();
+        model = stubDistribution(service);
+    });
+
+    it('busca upline e acordos vigentes na data do evento do CPA', async () => {
+        await service.processCpaForDistribution(1, 10, { amount: 50, eventDate: '2026-01-15T10:00:00Z' });
+
+        const asOf = new Date('2026-01-15T10:00:00Z');
+        expect(model.getAffiliateUpline.mock.calls[0][2]).toEqual(asOf);
+        expect(model.getEffectiveCpaOverrides).toHaveBeenCalledWith(expect.arrayContaining([10, 20, 30]), asOf);
+    });
+
+    it('acordo do afiliado prevalece sobre o SUBTREE do ancestral e sobre a configuração global', async () => {
+        model.getEffectiveCpaOverrides.mockResolvedValue([
+            { id: 'o-sub', affiliate_id: 20, scope: 'SUBTREE', level_amounts: { level_1: 30, level_2: 30 } },
+            { id: 'o-own', affiliate_id: 10, scope: 'AFFILIATE', level_amounts: { level_1: 20, level_2: 8 }, max_levels: 2 }
+        ]);
+
+        const result = await service.processCpaForDistribution(1, 10, { amount: 50 });
+
+        expect(model.saveCpaValidado).toHaveBeenCalledWith(expect.objectContaining({ cpa_override_id: 'o-own' }), TX_CLIENT);
+        expect(model.saveCpaDistribution.mock.calls.map(([record]) => [record.affiliate_level, record.amount_minor]))
+            .toEqual([[1, 2000], [2, 800]]);
+        expect(result.totalDistributed).toBe(28);
+    });
+
+    it('sem acordo vigente vale a configuração global', async () => {
+        const result = await service.processCpaForDistribution(1, 10, { amount: 50 });
+
+        expect(model.saveCpaValidado).toHaveBeenCalledWith(expect.objectContaining({ cpa_override_id: null }), TX_CLIENT);
+        expect(result.totalDistributed).toBe(17);
+    });
+});
+
+describe('MLMService - lote de CPAs', () => {
+    const item = (index, userId) => ({ index, value: { userId, affiliateId: 10, cpaData: { amount: 50 } }, errors: null });
+    let service;
+
+    beforeEach(() => {
+        service = new MLMService();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('devolve o resultado de cada item na ordem do lote sem interromper nas falhas', async () => {
+        jest.spyOn(service, 'processCpaForDistribution').mockImplementation(async userId => {
+            switch (userId) {
+                case 1: return { cpaValidado: { id: 'c1' }, duplicate: false, held: false, totalDistributed: 17, currency: 'BRL' };
+                case 2: return { cpaValidado: { id: 'c2' }, duplicate: true, held: false, totalDistributed: 17, currency: 'BRL' };
+                case 3: return { cpaValidado: { id: 'c3' }, duplicate: false, held: true, totalDistributed: 0, currency: 'BRL' };
+                case 4: throw new MLMError('CPA não atende aos critérios de validação', 'CPA_REJECTED', 422, {
+                    cpaValidadoId: 'c4', validation: { passed: false }
+                });
+                default: throw new Error('conexão perdida');
+            }
+        });
+
+        const result = await service.processCpaBatch([
+            item(0, 1),
+            { index: 1, value: null, errors: [{ field: 'cpaData.amount', message: 'inválido' }] },
+            item(2, 2),
+            item(3, 3),
+            item(4, 4),
+            item(5, 5)
+        ]);
+
+        expect(result.total).toBe(6);
+        expect(result.summary).toEqual({ distributed: 1, held: 1, duplicate: 1, rejected: 1, error: 2 });
+        expect(result.items.map(({ index, status }) => [index, status])).toEqual([
+            [0, 'distributed'], [1, 'error'], [2, 'duplicate'], [3, 'held'], [4, 'rejected'], [5, 'error']
+        ]);
+        expect(result.items[1].error).toEqual({
+            code: 'VALIDATION_ERROR',
+            message: 'Dados de entrada inválidos',
+            details: [{ field: 'cpaData.amount', message: 'inválido' }]
+        });
+        expect(result.items[4]).toEqual(expect.objectContaining({
+            cpaValidadoId: 'c4',
+            error: expect.objectContaining({ code: 'CPA_REJECTED', details: { passed: false } })
+        }));
+        expect(result.items[5].error).toEqual({ code: 'INTERNAL_ERROR', message: 'conexão perdida', details: null });
+
+        // Itens inválidos não chegam ao processamento
+        expect(service.processCpaForDistribution).toHaveBeenCalledTimes(5);
+        expect(service.mlmModel.logOperation).toHaveBeenCalledWith(
+            'CPA_BATCH', 'CPA', 'batch', expect.objectContaining({ total: 6 }), { summary: result.summary },
+            'WARNING', null, expect.any(Number)
+        );
+    });
+
+    it('repassa a chave de idempotência de cada item', async () => {
+        jest.spyOn(service, 'processCpaForDistribution').mockResolvedValue({
+            cpaValidado: { id: 'c1' }, duplicate: false, held: false, totalDistributed: 17, currency: 'BRL'
+        });
+
+        const batchItem = item(0, 1);
+        batchItem.value.idempotencyKey = 'lote-7-item-0';
+        const result = await service.processCpaBatch([batchItem]);
+
+        expect(service.processCpaForDistribution).toHaveBeenCalledWith(1, 10, { amount: 50 }, { idempotencyKey: 'lote-7-item-0' });
+        expect(service.mlmModel.logOperation).toHaveBeenCalledWith(
+            'CPA_BATCH', 'CPA', 'batch', expect.any(Object), { summary: result.summary }, 'SUCCESS', null, expect.any(Number)
+        );
+    });
+});
+
+describe('MLMService - triagem antifraude', () => {
+    let service;
+    let model;
+
+    beforeEach(() => {
+        service = new MLMService();
+        model = stubDistribution(service, { configs: { fraud_rules: { velocity: { max_cpas_per_hour: 5 } } } });
+    });
+
+    it('CPA com alerta fica HELD, sem distribuição', async () => {
+        model.getFraudSignals.mockResolvedValue({ otherAffiliateIds: [], hourlyCpas: 5, fingerprintUsers: [] });
+
+        const result = await service.processCpaForDistribution(1, 10, { amount: 50, criteria: { ipAddress: '10.0.0.1' } });
+
+        expect(model.getFraudSignals).toHaveBeenCalledWith(expect.objectContaining({
+            userId: 1,
+            affiliateId: 10,
+            idempotencyKey: 'user:1',
+            fingerprints: [{ field: 'ipAddress', value: '10.0.0.1' }]
+        }));
+        expect(model.saveCpaValidado).toHaveBeenCalledWith(expect.objectContaining({
+            status: 'HELD',
+            fraud_flags: [expect.objectContaining({ check: 'velocity' })]
+        }));
+        expect(model.withTransaction).not.toHaveBeenCalled();
+        expect(model.saveCpaDistribution).not.toHaveBeenCalled();
+        expect(result).toEqual(expect.objectContaining({ held: true, distributions: [], totalDistributed: 0 }));
+    });
+
+    it('autoindicação usa a upline vigente do CPA', async () => {
+        const result = await service.processCpaForDistribution(20, 10, { amount: 50 });
+
+        expect(result.fraudFlags).toEqual([expect.objectContaining({ check: 'self_referral' })]);
+    });
+
+    it('CPA sem alerta segue para a distribuição', async () => {
+        const result = await service.processCpaForDistribution(1, 10, { amount: 50 });
+
+        expect(result.held).toBe(false);
+        expect(model.saveCpaDistribution).toHaveBeenCalledTimes(3);
+    });
+
+    describe('reviewHeldCpa', () => {
+        beforeEach(() => {
+            model.getCpaValidadoForUpdate.mockResolvedValue({
+                id: 'c1', status: 'HELD', affiliate_id: 10, currency: 'BRL', cpa_amount_minor: 5000,
+                event_at: '2026-02-01T10:00:00Z'
+            });
+            model.markCpaReviewed.mockImplementation(async (client, id, { status }) => ({ id, status }));
+        });
+
+        it('APPROVE distribui com a upline da data do evento e registra a revisão', async () => {
+            const result = await service.reviewHeldCpa('c1', 'APPROVE', 'verificado', 'analista');
+
+            expect(model.getAffiliateUpline.mock.calls[0][2]).toEqual(new Date('2026-02-01T10:00:00Z'));
+            expect(model.saveCpaDistribution.mock.calls.map(([record, client]) => [record.amount_minor, client]))
+                .toEqual([[1000, TX_CLIENT], [500, TX_CLIENT], [200, TX_CLIENT]]);
+            expect(model.markCpaReviewed).toHaveBeenCalledWith(TX_CLIENT, 'c1', {
+                status: 'DISTRIBUTED', reviewedBy: 'analista', notes: 'verificado', cpaOverrideId: null
+            });
+            expect(result).toEqual(expect.objectContaining({ totalDistributed: 17, currency: 'BRL' }));
+            expect(model.logOperation).toHaveBeenCalledWith(
+                'CPA_FRAUD_REVIEW', 'CPA', 'c1', { cpaValidadoId: 'c1', decision: 'APPROVE', notes: 'verificado' },
+                { status: 'DISTRIBUTED', totalDistributed: 17 }, 'SUCCESS', null, expect.any(Number), 'analista'
+            );
+        });
+
+        it('REJECT encerra o CPA sem distribuir', async () => {
+            const result = await service.reviewHeldCpa('c1', 'REJECT', 'fraude confirmada', 'analista');
+
+            expect(model.markCpaReviewed).toHaveBeenCalledWith(TX_CLIENT, 'c1', {
+                status: 'REJECTED', reviewedBy: 'analista', notes: 'fraude confirmada'
+            });
+            expect(model.saveCpaDistribution).not.toHaveBeenCalled();
+            expect(result).toEqual(expect.objectContaining({ distributions: [], totalDistributed: 0 }));
+        });
+
+        it('só revisa CPAs retidos', async () => {
+            model.getCpaValidadoForUpdate.mockResolvedValue({ id: 'c1', status: 'DISTRIBUTED' });
+
+            await expect(service.reviewHeldCpa('c1', 'APPROVE')).rejects.toMatchObject({ code: 'CPA_NOT_HELD', statusCode: 409 });
+            expect(model.markCpaReviewed).not.toHaveBeenCalled();
+        });
+
+        it('reprovação na revisão é definitiva para reenvios com a mesma chave', async () => {
+            model.getCpaValidadoByIdempotencyKey.mockResolvedValue({
+                id: 'c1', user_id: 1, affiliate_id: 10, status: 'REJECTED', reviewed_at: '2026-02-02T10:00:00Z', currency: 'BRL'
+            });
+            model.getCpaDistributions.mockResolvedValue([]);
+
+            const result = await service.processCpaForDistribution(1, 10, { amount: 50 });
+
+            expect(result).toEqual(expect.objectContaining({ duplicate: true, totalDistributed: 0 }));
+            expect(model.saveCpaValidado).not.toHaveBeenCalled();
+        });
+    });
+});
+
+describe('MLMService - carência das distribuições', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const NOW = Date.parse('2026-03-10T12:00:00Z');
+    let service;
+    let model;
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(NOW);
+        service = new MLMService();
+        model = stubDistribution(service);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('distribuições nascem PENDING com release_at no fim de hold_period_days', async () => {
+        await service.processCpaForDistribution(1, 10, { amount: 50 });
+
+        expect(model.saveCpaDistribution.mock.calls.map(([record]) => [record.status, record.release_at]))
+            .toEqual(Array(3).fill(['PENDING', new Date(NOW + 14 * DAY_MS)]));
+    });
+
+    it('sem carência o valor é pagável imediatamente', async () => {
+        model = stubDistribution(service, { configs: { mlm_settings: { currency: 'BRL', hold_period_days: 0 } } });
+
+        await service.processCpaForDistribution(1, 10, { amount: 50 });
+
+        expect(model.saveCpaDistribution.mock.calls[0][0].release_at).toEqual(new Date(NOW));
+    });
+
+    it('valor em carência entra nas estatísticas como pendente', async () => {
+        await service.processCpaForDistribution(1, 10, { amount: 50 });
+
+        expect(model.updateAffiliateStatistics).toHaveBeenCalledWith(
+            10, expect.any(Date), expect.any(Date), 'BRL',
+            expect.objectContaining({ total_amount: 1000, pending_amount: 1000, released_amount: 0 }),
+            TX_CLIENT
+        );
+    });
+
+    it('lançamento de não qualificado não entra em carência nem nas estatísticas', async () => {
+        const distributions = [
+            { affiliate_id: 10, affiliate_level: 1, amount_minor: 1000, currency: 'BRL' },
+            { affiliate_id: 20, affiliate_level: 2, amount_minor: 0, currency: 'BRL', status: 'CANCELLED' }
+        ];
+
+        await service.distributeCpa('c1', distributions, { hold_period_days: 14, minimum_amount: 0.01 }, TX_CLIENT);
+
+        expect(model.saveCpaDistribution.mock.calls[1][0]).toEqual(expect.objectContaining({ status: 'CANCELLED', release_at: null }));
+        expect(model.updateAffiliateStatistics).toHaveBeenCalledTimes(1);
+        expect(model.updateAffiliateStatistics.mock.calls[0][0]).toBe(10);
+    });
+});
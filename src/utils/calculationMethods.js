@@ -0,0 +1,59 @@
+/**
+ * Métodos de cálculo do valor pago por nível (mlm_settings.calculation_method)
+ * Cada método lê sua própria configuração por nível e converte os valores dos níveis pagos em valores
+ * em unidades menores da moeda do CPA; rankField é a tabela equivalente na definição de cada rank
+ * (affiliate_ranks). Métodos com fixedAmounts usam valores na moeda de mlm_settings.currency
+ */
+const { MLMError } = require('./errors');
+const { toMinor, allocate } = require('./money');
+
+const fixedAmounts = (levelValues, cpaMinor, currency) => levelValues.map(value => toMinor(value, currency));
+
+const CALCULATION_METHODS = {
+    // Valor fixo por nível, sem limite (comportamento original)
+    standard: {
+        configKey: 'cpa_level_amounts',
+        rankField: 'level_amounts',
+        capped: false,
+        fixedAmounts: true,
+        amounts: fixedAmounts
+    },
+    // Percentual do valor do CPA por nível (ex.: level_1: 40 = 40%), rateado pelo maior resto (ver money.allocate)
+    percentage: {
+        configKey: 'cpa_level_percentages',
+        rankField: 'level_percentages',
+        defaults: { level_1: 50, level_2: 20, level_3: 5, level_4: 5, level_5: 5 },
+        capped: true,
+        fixedAmounts: false,
+        amounts: (levelValues, cpaMinor) => allocate(cpaMinor, levelValues)
+    },
+    // Valor fixo por nível, mas o total pago nunca ultrapassa o valor do CPA
+    fixed_capped: {
+        configKey: 'cpa_level_amounts',
+        rankField: 'level_amounts',
+        capped: true,
+        fixedAmounts: true,
+        amounts: fixedAmounts
+    }
+};
+
+// "fixed" é aceito como sinônimo de "standard"
+CALCULATION_METHODS.fixed = CALCULATION_METHODS.standard;
+
+function getCalculationMethod(name = 'standard') {
+    const method = CALCULATION_METHODS[name || 'standard'];
+
+    if (!method) {
+        throw new MLMError('Método de cálculo desconhecido', 'INVALID_CALCULATION_METHOD', 500, {
+            calculationMethod: name,
+            supported: Object.keys(CALCULATION_METHODS)
+        });
+    }
+
+    return method;
+}
+
+module.exports = {
+    CALCULATION_METHODS,
+    getCalculationMethod
+};
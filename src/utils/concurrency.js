@@ -0,0 +1,29 @@
+/**
+ * Execução de tarefas assíncronas com limite de concorrência
+ */
+
+/**
+ * Aplicar fn a cada item com no máximo `limit` execuções simultâneas
+ * Os resultados mantêm a ordem dos itens; fn deve tratar os próprios erros (uma rejeição interrompe o lote)
+ * @param {Array} items
+ * @param {number} limit - execuções simultâneas (mínimo 1)
+ * @param {Function} fn - (item, index) => Promise
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+    await Promise.all(workers);
+
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const WebSocket = require('ws');
+const { withMlmDefaults } = require('./mlmSettings');
 
 /**
  * SDK Client para o Config Service
@@ -176,13 +177,7 @@ class ConfigClient {
 
     // Métodos específicos para configurações MLM
     async getMlmSettings() {
-        return await this.getConfig('mlm_settings', {
-            max_hierarchy_levels: 5,
-            calculation_method: 'standard',
-            auto_distribution: true,
-            minimum_amount: 0.01,
-            currency: 'BRL'
-        });
+        return withMlmDefaults(await this.getConfig('mlm_settings'));
     }
 
     // Métodos específicos para configurações de APIs externas
@@ -0,0 +1,95 @@
+/**
+ * Acordos de CPA negociados (tabela affiliate_cpa_overrides)
+ * Um acordo substitui a tabela de valores por nível, o limite de níveis e o valor mínimo da configuração
+ * global nos CPAs gerados pelo próprio afiliado (AFFILIATE) ou por toda a sua subárvore (SUBTREE)
+ */
+
+const OVERRIDE_SCOPES = ['AFFILIATE', 'SUBTREE'];
+
+// Campo da API → coluna de affiliate_cpa_overrides
+const OVERRIDE_FIELDS = {
+    scope: 'scope',
+    levelAmounts: 'level_amounts',
+    levelPercentages: 'level_percentages',
+    maxLevels: 'max_levels',
+    minimumAmount: 'minimum_amount',
+    validFrom: 'valid_from',
+    validTo: 'valid_to',
+    notes: 'notes'
+};
+
+// Colunas que alteram a distribuição; um acordo precisa definir ao menos uma
+const OVERRIDE_VALUE_COLUMNS = ['level_amounts', 'level_percentages', 'max_levels', 'minimum_amount'];
+
+// Converter campos informados na API para colunas (campos ausentes ficam de fora)
+function toOverrideColumns(data) {
+    const columns = {};
+    for (const [field, column] of Object.entries(OVERRIDE_FIELDS)) {
+        if (data[field] !== undefined) {
+            columns[column] = data[field];
+        }
+    }
+    return columns;
+}
+
+function hasOverrideValues(override) {
+    return OVERRIDE_VALUE_COLUMNS.some(column => override[column] !== null && override[column] !== undefined);
+}
+
+/**
+ * Acordo aplicável a um CPA: vence o mais próximo de quem gerou o CPA
+ * No próprio afiliado AFFILIATE tem precedência sobre SUBTREE; nos ancestrais só vale SUBTREE
+ * @param {number} affiliateId - afiliado que gerou o CPA
+ * @param {Array} upline - ancestrais do afiliado (mais próximo primeiro)
+ * @param {Array} overrides - acordos vigentes do afiliado e dos ancestrais
+ */
+function resolveOverride(affiliateId, upline, overrides) {
+    const find = (id, scope) => overrides.find(o => o.affiliate_id === id && o.scope === scope);
+
+    const own = find(affiliateId, 'AFFILIATE') || find(affiliateId, 'SUBTREE');
+    if (own) {
+        return own;
+    }
+
+    for (const ancestor of upline) {
+        const inherited = find(ancestor.affiliate_id, 'SUBTREE');
+        if (inherited) {
+            return inherited;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Configuração efetiva com o acordo aplicado; o que o acordo não define segue a configuração global
+ * @param {string} rankField - tabela do acordo usada pelo método de cálculo (ver calculationMethods)
+ * @returns {Object} { mlmSettings, levelValues, overridesLevelValues }
+ */
+function applyOverride(override, mlmSettings, levelValues, rankField) {
+    if (!override) {
+        return { mlmSettings, levelValues, overridesLevelValues: false };
+    }
+
+    const overrideValues = override[rankField] || null;
+
+    return {
+        mlmSettings: {
+            ...mlmSettings,
+            max_hierarchy_levels: override.max_levels ?? mlmSettings.max_hierarchy_levels,
+            minimum_amount: override.minimum_amount !== null && override.minimum_amount !== undefined
+                ? Number(override.minimum_amount)
+                : mlmSettings.minimum_amount
+        },
+        levelValues: overrideValues || levelValues,
+        overridesLevelValues: overrideValues !== null
+    };
+}
+
+module.exports = {
+    OVERRIDE_SCOPES,
+    toOverrideColumns,
+    hasOverrideValues,
+    resolveOverride,
+    applyOverride
+};
@@ -0,0 +1,86 @@
+const { toOverrideColumns, hasOverrideValues, resolveOverride, applyOverride } = require('./cpaOverrides');
+
+// CPA gerado pelo afiliado 10; upline 20 → 30 (mais próximo primeiro)
+const upline = [20, 30].map((id, index) => ({ affiliate_id: id, upline_level: index + 1 }));
+
+function override(id, affiliateId, scope, fields = {}) {
+    return { id, affiliate_id: affiliateId, scope, ...fields };
+}
+
+describe('cpaOverrides', () => {
+    describe('resolveOverride', () => {
+        it('sem acordos vale a configuração global', () => {
+            expect(resolveOverride(10, upline, [])).toBeNull();
+        });
+
+        it('no próprio afiliado AFFILIATE tem precedência sobre SUBTREE', () => {
+            const overrides = [override('sub', 10, 'SUBTREE'), override('own', 10, 'AFFILIATE')];
+
+            expect(resolveOverride(10, upline, overrides).id).toBe('own');
+        });
+
+        it('acordo do próprio afiliado vence o SUBTREE de um ancestral', () => {
+            const overrides = [override('anc', 20, 'SUBTREE'), override('own-sub', 10, 'SUBTREE')];
+
+            expect(resolveOverride(10, upline, overrides).id).toBe('own-sub');
+        });
+
+        it('herda o SUBTREE do ancestral mais próximo', () => {
+            const overrides = [override('far', 30, 'SUBTREE'), override('near', 20, 'SUBTREE')];
+
+            expect(resolveOverride(10, upline, overrides).id).toBe('near');
+        });
+
+        it('AFFILIATE de um ancestral não vale para a subárvore', () => {
+            const overrides = [override('anc-own', 20, 'AFFILIATE'), override('far', 30, 'SUBTREE')];
+
+            expect(resolveOverride(10, upline, overrides).id).toBe('far');
+        });
+    });
+
+    describe('applyOverride', () => {
+        const mlmSettings = { max_hierarchy_levels: 5, minimum_amount: 0.01, currency: 'BRL' };
+        const levelValues = { level_1: 10, level_2: 5 };
+
+        it('substitui tabela, limite de níveis e valor mínimo definidos no acordo', () => {
+            const result = applyOverride(
+                override('own', 10, 'AFFILIATE', {
+                    level_amounts: { level_1: 55 }, max_levels: 2, minimum_amount: '1.50'
+                }),
+                mlmSettings,
+                levelValues,
+                'level_amounts'
+            );
+
+            expect(result).toEqual({
+                mlmSettings: { max_hierarchy_levels: 2, minimum_amount: 1.5, currency: 'BRL' },
+                levelValues: { level_1: 55 },
+                overridesLevelValues: true
+            });
+        });
+
+        it('o que o acordo não define segue a configuração global', () => {
+            const result = applyOverride(
+                override('own', 10, 'AFFILIATE', { level_percentages: { level_1: 40 }, max_levels: null, minimum_amount: null }),
+                mlmSettings,
+                levelValues,
+                'level_amounts'
+            );
+
+            expect(result).toEqual({ mlmSettings, levelValues, overridesLevelValues: false });
+        });
+    });
+
+    describe('toOverrideColumns / hasOverrideValues', () => {
+        it('converte apenas os campos informados', () => {
+            expect(toOverrideColumns({ scope: 'SUBTREE', maxLevels: 3, validTo: null })).toEqual({
+                scope: 'SUBTREE', max_levels: 3, valid_to: null
+            });
+        });
+
+        it('exige ao menos um valor que altere a distribuição', () => {
+            expect(hasOverrideValues({ scope: 'AFFILIATE', notes: 'sem valores' })).toBe(false);
+            expect(hasOverrideValues({ minimum_amount: 0 })).toBe(true);
+        });
+    });
+});
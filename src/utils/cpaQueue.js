@@ -0,0 +1,401 @@
+const { randomUUID } = require('crypto');
+const { createClient, defineScript } = require('redis');
+const MemoryRedis = require('./memoryRedis');
+const logger = require('./logger');
+const { MLMError } = require('./errors');
+
+// Move o próximo id de ready para processing e grava o prazo em leases no mesmo passo:
+// nenhum job fica em processing sem prazo
+const claimJobScript = defineScript({
+    NUMBER_OF_KEYS: 3,
+    SCRIPT: `
+        local jobId = redis.call('LMOVE', KEYS[1], KEYS[2], 'RIGHT', 'LEFT')
+        if jobId then
+            redis.call('HSET', KEYS[3], jobId, ARGV[1])
+        end
+        return jobId
+    `,
+    transformArguments(ready, processing, leases, deadline) {
+        return [ready, processing, leases, String(deadline)];
+    },
+    transformReply(reply) {
+        return reply;
+    }
+});
+
+// Registra a falha de um job que ainda está em processing: grava o job e move o id para delayed
+// (ARGV[3] = horário da nova tentativa) ou para a dead-letter (ARGV[3] vazio)
+// Retorna 0 se o job já saiu de processing (prazo expirado e devolvido à fila por requeueStalled)
+const failJobScript = defineScript({
+    NUMBER_OF_KEYS: 4,
+    SCRIPT: `
+        if redis.call('LREM', KEYS[3], 0, ARGV[1]) == 0 then
+            return 0
+        end
+        redis.call('HDEL', KEYS[4], ARGV[1])
+        redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+        if ARGV[3] == '' then
+            redis.call('LPUSH', KEYS[2], ARGV[1])
+        else
+            redis.call('ZADD', KEYS[2], ARGV[3], ARGV[1])
+        end
+        return 1
+    `,
+    transformArguments(jobs, target, processing, leases, jobId, job, nextAttemptAt) {
+        return [jobs, target, processing, leases, jobId, job, nextAttemptAt === null ? '' : String(nextAttemptAt)];
+    },
+    transformReply(reply) {
+        return reply;
+    }
+});
+
+// Move de delayed para ready os ids com nova tentativa vencida; cada id sai de delayed uma única vez
+const promoteDelayedScript = defineScript({
+    NUMBER_OF_KEYS: 2,
+    SCRIPT: `
+        local jobIds = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+        for _, jobId in ipairs(jobIds) do
+            redis.call('ZREM', KEYS[1], jobId)
+            redis.call('LPUSH', KEYS[2], jobId)
+        end
+        return #jobIds
+    `,
+    transformArguments(delayed, ready, now) {
+        return [delayed, ready, String(now)];
+    },
+    transformReply(reply) {
+        return reply;
+    }
+});
+
+// Devolve a ready os ids de processing com prazo vencido; ids sem prazo (saindo de processing) ficam
+const requeueStalledScript = defineScript({
+    NUMBER_OF_KEYS: 3,
+    SCRIPT: `
+        local jobIds = redis.call('LRANGE', KEYS[1], 0, -1)
+        local requeued = 0
+        for _, jobId in ipairs(jobIds) do
+            local lease = redis.call('HGET', KEYS[2], jobId)
+            if lease and tonumber(lease) < tonumber(ARGV[1]) then
+                redis.call('LREM', KEYS[1], 0, jobId)
+                redis.call('HDEL', KEYS[2], jobId)
+                redis.call('LPUSH', KEYS[3], jobId)
+                requeued = requeued + 1
+            end
+        end
+        return requeued
+    `,
+    transformArguments(processing, leases, ready, now) {
+        return [processing, leases, ready, String(now)];
+    },
+    transformReply(reply) {
+        return reply;
+    }
+});
+
+/**
+ * Fila durável de CPAs no Redis
+ *
+ * Estruturas (prefixo CPA_QUEUE_PREFIX):
+ * - jobs: hash id → JSON do job (dados do CPA, chave de idempotência, tentativas, último erro)
+ * - ready: lista de ids prontos; workers retiram pela direita (FIFO)
+ * - processing: lista de ids em processamento, com o prazo de cada um no hash leases
+ * - delayed: sorted set de ids aguardando nova tentativa (score = horário da tentativa)
+ * - dead: lista de ids que esgotaram as tentativas ou falharam de forma definitiva
+ *
+ * Movimentos entre estruturas (claim, falha, nova tentativa, prazo expirado) são scripts Lua atômicos:
+ * com vários workers um id nunca é devolvido a ready duas vezes
+ *
+ * A chave de idempotência é fixada no enfileiramento: um job entregue mais de uma vez
+ * (prazo de processamento expirado, reinício do worker) resulta em CPA duplicado, nunca em pagamento duplo
+ */
+class CpaQueue {
+    constructor(options = {}) {
+        this.redisUrl = options.redisUrl !== undefined ? options.redisUrl : process.env.REDIS_URL;
+        this.prefix = options.prefix || process.env.CPA_QUEUE_PREFIX || 'mlm:cpa-queue';
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.CPA_QUEUE_MAX_ATTEMPTS) || 5;
+        this.backoffMs = options.backoffMs || parseInt(process.env.CPA_QUEUE_BACKOFF_MS) || 1000;
+        this.maxBackoffMs = options.maxBackoffMs || parseInt(process.env.CPA_QUEUE_MAX_BACKOFF_MS) || 5 * 60 * 1000;
+        this.visibilityTimeoutMs = options.visibilityTimeoutMs ||
+            parseInt(process.env.CPA_QUEUE_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000;
+
+        this.client = null;
+        this.connecting = null;
+    }
+
+    key(name) {
+        return `${this.prefix}:${name}`;
+    }
+
+    // A fila exige REDIS_URL; o substituto em memória só é usado quando pedido explicitamente (memory://)
+    assertConfigured() {
+        if (!this.redisUrl) {
+            throw new MLMError('REDIS_URL não configurada para a fila de CPAs', 'CPA_QUEUE_NOT_CONFIGURED', 503);
+        }
+    }
+
+    // Conectar na primeira utilização
+    async getClient() {
+        if (this.client) {
+            return this.client;
+        }
+
+        this.assertConfigured();
+
+        if (!this.connecting) {
+            this.connecting = (async () => {
+                let client;
+                if (this.redisUrl.startsWith('memory://')) {
+                    logger.warn('REDIS_URL=memory://: fila de CPAs em memória (sem durabilidade entre reinícios)');
+                    client = new MemoryRedis();
+                } else {
+                    client = createClient({
+                        url: this.redisUrl,
+                        scripts: {
+                            claimJob: claimJobScript,
+                            failJob: failJobScript,
+                            promoteDelayed: promoteDelayedScript,
+                            requeueStalled: requeueStalledScript
+                        }
+                    });
+                    client.on('error', error => logger.error('Erro na conexão com o Redis:', error));
+                }
+
+                await client.connect();
+                this.client = client;
+                return client;
+            })().catch(error => {
+                this.connecting = null;
+                logger.error('Erro ao conectar na fila de CPAs:', error);
+                throw new MLMError('Fila de CPAs indisponível', 'CPA_QUEUE_UNAVAILABLE', 503);
+            });
+        }
+
+        return this.connecting;
+    }
+
+    async close() {
+        if (this.client) {
+            await this.client.quit();
+            this.client = null;
+            this.connecting = null;
+        }
+    }
+
+    async getJob(jobId) {
+        const client = await this.getClient();
+        const raw = await client.hGet(this.key('jobs'), jobId);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async saveJob(job) {
+        const client = await this.getClient();
+        await client.hSet(this.key('jobs'), job.id, JSON.stringify(job));
+    }
+
+    // Enfileirar CPA para processamento pelos workers
+    async enqueue({ userId, affiliateId, cpaData, idempotencyKey }) {
+        const client = await this.getClient();
+
+        const job = {
+            id: randomUUID(),
+            userId,
+            affiliateId,
+            cpaData,
+            idempotencyKey,
+            attempts: 0,
+            enqueuedAt: new Date().toISOString(),
+            lastError: null,
+            nextAttemptAt: null,
+            deadLetteredAt: null
+        };
+
+        await this.saveJob(job);
+        await client.lPush(this.key('ready'), job.id);
+
+        return job;
+    }
+
+    // Retirar o próximo job pronto; ele fica em processing até complete/fail ou o prazo expirar
+    async claim() {
+        const client = await this.getClient();
+
+        for (;;) {
+            const jobId = await client.claimJob(
+                this.key('ready'),
+                this.key('processing'),
+                this.key('leases'),
+                Date.now() + this.visibilityTimeoutMs
+            );
+            if (!jobId) {
+                return null;
+            }
+
+            const job = await this.getJob(jobId);
+            if (job) {
+                return job;
+            }
+
+            // Entrega repetida de um job já concluído ou descartado
+            await this.release(jobId);
+        }
+    }
+
+    async release(jobId) {
+        const client = await this.getClient();
+        await client.lRem(this.key('processing'), 0, jobId);
+        await client.hDel(this.key('leases'), jobId);
+    }
+
+    // Job processado (ou reprovado pelas regras de validação): sai da fila
+    async complete(job) {
+        const client = await this.getClient();
+        await client.hDel(this.key('jobs'), job.id);
+        await this.release(job.id);
+    }
+
+    // Atraso da próxima tentativa: backoffMs * 2^(tentativas - 1), limitado a maxBackoffMs
+    getBackoff(attempts) {
+        return Math.min(this.backoffMs * 2 ** (attempts - 1), this.maxBackoffMs);
+    }
+
+    /**
+     * Registrar falha do job: agenda nova tentativa com backoff exponencial ou move para a dead-letter
+     * @param {boolean} retryable - falso para erros definitivos (vão direto para a dead-letter)
+     * @returns {string} 'retry', 'dead' ou 'requeued' (prazo expirado: o job já voltou para a fila e a falha é ignorada)
+     */
+    async fail(job, error, retryable = true) {
+        const client = await this.getClient();
+        const attempts = job.attempts + 1;
+
+        const failed = {
+            ...job,
+            attempts,
+            lastError: {
+                code: error.code || 'INTERNAL_ERROR',
+                message: error.message,
+                failedAt: new Date().toISOString()
+            }
+        };
+
+        const retry = retryable && attempts < this.maxAttempts;
+        const nextAttemptAt = retry ? Date.now() + this.getBackoff(attempts) : null;
+        const record = retry
+            ? { ...failed, nextAttemptAt: new Date(nextAttemptAt).toISOString() }
+            : { ...failed, nextAttemptAt: null, deadLetteredAt: new Date().toISOString() };
+
+        const moved = await client.failJob(
+            this.key('jobs'),
+            this.key(retry ? 'delayed' : 'dead'),
+            this.key('processing'),
+            this.key('leases'),
+            job.id,
+            JSON.stringify(record),
+            nextAttemptAt
+        );
+
+        if (!moved) {
+            return 'requeued';
+        }
+        return retry ? 'retry' : 'dead';
+    }
+
+    // Devolver à fila os jobs cuja nova tentativa venceu
+    async promoteDelayed() {
+        const client = await this.getClient();
+        return client.promoteDelayed(this.key('delayed'), this.key('ready'), Date.now());
+    }
+
+    // Devolver à fila os jobs cujo prazo de processamento expirou (worker parado ou derrubado)
+    async requeueStalled() {
+        const client = await this.getClient();
+        const requeued = await client.requeueStalled(this.key('processing'), this.key('leases'), this.key('ready'), Date.now());
+
+        if (requeued > 0) {
+            logger.warn(`${requeued} jobs da fila de CPAs com prazo expirado devolvidos à fila`);
+        }
+
+        return requeued;
+    }
+
+    async getStats() {
+        const client = await this.getClient();
+
+        const [ready, processing, delayed, dead] = await Promise.all([
+            client.lLen(this.key('ready')),
+            client.lLen(this.key('processing')),
+            client.zCard(this.key('delayed')),
+            client.lLen(this.key('dead'))
+        ]);
+
+        return { ready, processing, delayed, dead };
+    }
+
+    // Jobs na dead-letter, do mais recente para o mais antigo
+    async listDeadLetter(limit = 50, offset = 0) {
+        const client = await this.getClient();
+        const jobIds = await client.lRange(this.key('dead'), offset, offset + limit - 1);
+        if (jobIds.length === 0) {
+            return [];
+        }
+
+        const jobs = await client.hmGet(this.key('jobs'), jobIds);
+        return jobs.filter(Boolean).map(raw => JSON.parse(raw));
+    }
+
+    async getDeadLetterIds(jobIds) {
+        if (jobIds) {
+            return jobIds;
+        }
+        const client = await this.getClient();
+        return client.lRange(this.key('dead'), 0, -1);
+    }
+
+    // Reenfileirar jobs da dead-letter (todos, se jobIds não for informado) com as tentativas zeradas
+    async retryDeadLetter(jobIds = null) {
+        const client = await this.getClient();
+        const retried = [];
+
+        for (const jobId of await this.getDeadLetterIds(jobIds)) {
+            const job = await this.getJob(jobId);
+            if (!job || await client.lRem(this.key('dead'), 0, jobId) === 0) {
+                continue;
+            }
+
+            await this.saveJob({ ...job, attempts: 0, nextAttemptAt: null, deadLetteredAt: null });
+            await client.lPush(this.key('ready'), jobId);
+            retried.push(jobId);
+        }
+
+        return retried;
+    }
+
+    // Descartar jobs da dead-letter (todos, se jobIds não for informado)
+    async purgeDeadLetter(jobIds = null) {
+        const client = await this.getClient();
+        const purged = [];
+
+        for (const jobId of await this.getDeadLetterIds(jobIds)) {
+            if (await client.lRem(this.key('dead'), 0, jobId) === 0) {
+                continue;
+            }
+
+            await client.hDel(this.key('jobs'), jobId);
+            purged.push(jobId);
+        }
+
+        return purged;
+    }
+}
+
+// Instância compartilhada pelo serviço e pelos workers (uma conexão por processo)
+let sharedQueue = null;
+
+function getCpaQueue() {
+    if (!sharedQueue) {
+        sharedQueue = new CpaQueue();
+    }
+    return sharedQueue;
+}
+
+module.exports = { CpaQueue, getCpaQueue };
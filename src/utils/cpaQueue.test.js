@@ -0,0 +1,261 @@
+jest.mock('./logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { CpaQueue } = require('./cpaQueue');
+
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+
+function createQueue(options = {}) {
+    return new CpaQueue({
+        redisUrl: 'memory://',
+        prefix: 'test:cpa-queue',
+        maxAttempts: 3,
+        backoffMs: 100,
+        maxBackoffMs: 250,
+        visibilityTimeoutMs: 1000,
+        ...options
+    });
+}
+
+function enqueue(queue, userId) {
+    return queue.enqueue({ userId, affiliateId: 1, cpaData: { depositAmount: 50 }, idempotencyKey: `user:${userId}` });
+}
+
+describe('CpaQueue', () => {
+    let queue;
+    let now;
+
+    beforeEach(() => {
+        now = NOW;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        queue = createQueue();
+    });
+
+    afterEach(async () => {
+        await queue.close();
+        jest.restoreAllMocks();
+    });
+
+    it('exige REDIS_URL', async () => {
+        const unconfigured = createQueue({ redisUrl: '' });
+
+        await expect(unconfigured.enqueue({ userId: 1 })).rejects.toMatchObject({
+            code: 'CPA_QUEUE_NOT_CONFIGURED',
+            statusCode: 503
+        });
+    });
+
+    it('entrega os jobs em ordem de chegada e registra o prazo de processamento', async () => {
+        const first = await enqueue(queue, 1);
+        const second = await enqueue(queue, 2);
+
+        const claimed = await queue.claim();
+        expect(claimed).toEqual(expect.objectContaining({ id: first.id, userId: 1, idempotencyKey: 'user:1', attempts: 0 }));
+
+        const client = await queue.getClient();
+        expect(await client.hGet(queue.key('leases'), first.id)).toBe(String(NOW + 1000));
+        expect(await queue.getStats()).toEqual({ ready: 1, processing: 1, delayed: 0, dead: 0 });
+
+        expect((await queue.claim()).id).toBe(second.id);
+        expect(await queue.claim()).toBeNull();
+    });
+
+    it('remove o job concluído da fila', async () => {
+        await enqueue(queue, 1);
+        const job = await queue.claim();
+
+        await queue.complete(job);
+
+        const client = await queue.getClient();
+        expect(await queue.getJob(job.id)).toBeNull();
+        expect(await client.hGet(queue.key('leases'), job.id)).toBeNull();
+        expect(await queue.getStats()).toEqual({ ready: 0, processing: 0, delayed: 0, dead: 0 });
+    });
+
+    it('descarta entregas de jobs que já não existem', async () => {
+        const removed = await enqueue(queue, 1);
+        const kept = await enqueue(queue, 2);
+        const client = await queue.getClient();
+        await client.hDel(queue.key('jobs'), removed.id);
+
+        expect((await queue.claim()).id).toBe(kept.id);
+        expect(await queue.getStats()).toEqual({ ready: 0, processing: 1, delayed: 0, dead: 0 });
+    });
+
+    describe('backoff', () => {
+        it('dobra o atraso a cada tentativa até o limite', () => {
+            expect([1, 2, 3, 4, 10].map(attempts => queue.getBackoff(attempts))).toEqual([100, 200, 250, 250, 250]);
+        });
+
+        it('agenda nova tentativa e só devolve o job à fila quando o atraso vence', async () => {
+            await enqueue(queue, 1);
+            const job = await queue.claim();
+
+            expect(await queue.fail(job, Object.assign(new Error('timeout'), { code: 'DB_ERROR' }))).toBe('retry');
+
+            expect(await queue.getJob(job.id)).toEqual(expect.objectContaining({
+                attempts: 1,
+                nextAttemptAt: new Date(NOW + 100).toISOString(),
+                lastError: expect.objectContaining({ code: 'DB_ERROR', message: 'timeout' })
+            }));
+            expect(await queue.getStats()).toEqual({ ready: 0, processing: 0, delayed: 1, dead: 0 });
+
+            now = NOW + 99;
+            expect(await queue.promoteDelayed()).toBe(0);
+
+            now = NOW + 100;
+            expect(await queue.promoteDelayed()).toBe(1);
+            expect(await queue.getStats()).toEqual({ ready: 1, processing: 0, delayed: 0, dead: 0 });
+            expect((await queue.claim()).attempts).toBe(1);
+        });
+
+        it('aumenta o atraso nas falhas seguintes', async () => {
+            const { id } = await enqueue(queue, 1);
+            await queue.fail(await queue.claim(), new Error('falha'));
+            now += 100;
+            await queue.promoteDelayed();
+
+            expect(await queue.fail(await queue.claim(), new Error('falha'))).toBe('retry');
+            expect((await queue.getJob(id)).nextAttemptAt).toBe(new Date(now + 200).toISOString());
+        });
+    });
+
+    describe('dead-letter', () => {
+        it('move o job para a dead-letter ao esgotar as tentativas', async () => {
+            await enqueue(queue, 1);
+
+            for (let attempt = 1; attempt < 3; attempt++) {
+                expect(await queue.fail(await queue.claim(), new Error('falha'))).toBe('retry');
+                now += 1000;
+                await queue.promoteDelayed();
+            }
+
+            const job = await queue.claim();
+            expect(await queue.fail(job, new Error('falha'))).toBe('dead');
+
+            expect(await queue.getStats()).toEqual({ ready: 0, processing: 0, delayed: 0, dead: 1 });
+            expect(await queue.listDeadLetter()).toEqual([expect.objectContaining({
+                id: job.id,
+                attempts: 3,
+                nextAttemptAt: null,
+                deadLetteredAt: expect.any(String)
+            })]);
+        });
+
+        it('move erros definitivos direto para a dead-letter', async () => {
+            await enqueue(queue, 1);
+
+            expect(await queue.fail(await queue.claim(), new Error('inválido'), false)).toBe('dead');
+            expect(await queue.getStats()).toEqual({ ready: 0, processing: 0, delayed: 0, dead: 1 });
+        });
+
+        it('lista a dead-letter do mais recente para o mais antigo, com paginação', async () => {
+            for (const userId of [1, 2, 3]) {
+                await enqueue(queue, userId);
+                await queue.fail(await queue.claim(), new Error('inválido'), false);
+            }
+
+            expect((await queue.listDeadLetter()).map(job => job.userId)).toEqual([3, 2, 1]);
+            expect((await queue.listDeadLetter(1, 1)).map(job => job.userId)).toEqual([2]);
+        });
+
+        it('reenfileira jobs da dead-letter com as tentativas zeradas', async () => {
+            await enqueue(queue, 1);
+            const job = await queue.claim();
+            await queue.fail(job, new Error('inválido'), false);
+
+            expect(await queue.retryDeadLetter([job.id, 'inexistente'])).toEqual([job.id]);
+            expect(await queue.retryDeadLetter([job.id])).toEqual([]);
+
+            expect(await queue.getStats()).toEqual({ ready: 1, processing: 0, delayed: 0, dead: 0 });
+            expect(await queue.claim()).toEqual(expect.objectContaining({
+                id: job.id,
+                attempts: 0,
+                deadLetteredAt: null
+            }));
+        });
+
+        it('descarta jobs da dead-letter', async () => {
+            for (const userId of [1, 2]) {
+                await enqueue(queue, userId);
+                await queue.fail(await queue.claim(), new Error('inválido'), false);
+            }
+            const [newest, oldest] = await queue.listDeadLetter();
+
+            expect(await queue.purgeDeadLetter([newest.id])).toEqual([newest.id]);
+            expect(await queue.getJob(newest.id)).toBeNull();
+            expect(await queue.purgeDeadLetter()).toEqual([oldest.id]);
+            expect(await queue.getStats()).toEqual({ ready: 0, processing: 0, delayed: 0, dead: 0 });
+        });
+    });
+
+    describe('várias instâncias', () => {
+        let other;
+
+        // Segunda instância (outro processo) sobre o mesmo Redis
+        beforeEach(async () => {
+            other = createQueue();
+            other.client = await queue.getClient();
+        });
+
+        it('dois promotores simultâneos devolvem cada job à fila uma única vez', async () => {
+            for (const userId of [1, 2]) {
+                await enqueue(queue, userId);
+                await queue.fail(await queue.claim(), new Error('falha'));
+            }
+            now += 100;
+
+            const promoted = await Promise.all([queue.promoteDelayed(), other.promoteDelayed()]);
+
+            expect(promoted[0] + promoted[1]).toBe(2);
+            expect(await queue.getStats()).toEqual({ ready: 2, processing: 0, delayed: 0, dead: 0 });
+        });
+
+        it('duas instâncias devolvendo jobs com prazo expirado não duplicam o job', async () => {
+            await enqueue(queue, 1);
+            await queue.claim();
+            now += 1001;
+
+            const requeued = await Promise.all([queue.requeueStalled(), other.requeueStalled()]);
+
+            expect(requeued[0] + requeued[1]).toBe(1);
+            expect(await queue.getStats()).toEqual({ ready: 1, processing: 0, delayed: 0, dead: 0 });
+        });
+
+        it('falha registrada depois do prazo expirado não agenda outra entrega', async () => {
+            await enqueue(queue, 1);
+            const job = await queue.claim();
+            now += 1001;
+            await other.requeueStalled();
+
+            expect(await queue.fail(job, new Error('timeout'))).toBe('requeued');
+            expect(await queue.getStats()).toEqual({ ready: 1, processing: 0, delayed: 0, dead: 0 });
+            expect((await queue.getJob(job.id)).attempts).toBe(0);
+        });
+    });
+
+    describe('requeueStalled', () => {
+        it('devolve à fila apenas os jobs com prazo expirado', async () => {
+            await enqueue(queue, 1);
+            const stalled = await queue.claim();
+            now += 500;
+            await enqueue(queue, 2);
+            await queue.claim();
+
+            now = NOW + 1001;
+            expect(await queue.requeueStalled()).toBe(1);
+            expect(await queue.getStats()).toEqual({ ready: 1, processing: 1, delayed: 0, dead: 0 });
+            expect((await queue.claim()).id).toBe(stalled.id);
+        });
+
+        it('não trata job sem prazo como expirado', async () => {
+            await enqueue(queue, 1);
+            const job = await queue.claim();
+            const client = await queue.getClient();
+            await client.hDel(queue.key('leases'), job.id);
+
+            now = NOW + 60000;
+            expect(await queue.requeueStalled()).toBe(0);
+            expect(await queue.getStats()).toEqual({ ready: 0, processing: 1, delayed: 0, dead: 0 });
+        });
+    });
+});
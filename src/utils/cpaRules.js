@@ -0,0 +1,215 @@
+/**
+ * Motor de regras de validação de CPA (configuração cpa_validation_rules)
+ * Grupos AND/OR podem conter critérios ou outros grupos; cada critério compara um dado do CPA
+ * com o valor configurado usando o operador informado
+ */
+const Joi = require('joi');
+const { MLMError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toTime(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? undefined : time;
+}
+
+// kind define operadores aceitos e o formato do valor; resolve extrai o dado do cpaData
+const CRITERIA_TYPES = {
+    deposit: { kind: 'number', defaultOperator: '>=', resolve: data => data.depositAmount },
+    bets: { kind: 'number', defaultOperator: '>=', resolve: data => data.betsCount },
+    bet_amount: { kind: 'number', defaultOperator: '>=', resolve: data => data.totalBetAmount },
+    days_active: { kind: 'number', defaultOperator: '>=', resolve: data => data.daysActive },
+    // Dias entre o cadastro e o primeiro depósito
+    deposit_within_days: {
+        kind: 'number',
+        defaultOperator: '<=',
+        resolve: data => {
+            const registeredAt = toTime(data.registrationDate);
+            const depositedAt = toTime(data.firstDepositDate);
+            if (registeredAt === undefined || depositedAt === undefined) {
+                return undefined;
+            }
+            return (depositedAt - registeredAt) / DAY_MS;
+        }
+    },
+    country: { kind: 'string', defaultOperator: 'in', resolve: data => data.country },
+    region: { kind: 'string', defaultOperator: 'in', resolve: data => data.region },
+    kyc_verified: { kind: 'boolean', defaultOperator: '==', resolve: data => data.kycVerified },
+    first_deposit_date: { kind: 'date', defaultOperator: '>=', resolve: data => data.firstDepositDate },
+    payment_method: { kind: 'string', defaultOperator: 'in', resolve: data => data.paymentMethod }
+};
+
+const OPERATORS_BY_KIND = {
+    number: ['>', '>=', '<', '<=', '==', '!=', 'between', 'in', 'not_in'],
+    date: ['>', '>=', '<', '<=', 'between'],
+    string: ['==', '!=', 'in', 'not_in'],
+    boolean: ['==', '!=']
+};
+
+const VALUE_SCHEMAS = {
+    number: Joi.number(),
+    date: Joi.date().iso(),
+    string: Joi.string(),
+    boolean: Joi.boolean()
+};
+
+// Textos comparados sem diferenciar maiúsculas (ex.: país "br" e "BR")
+function normalize(kind, value) {
+    if (kind === 'date') return toTime(value);
+    if (kind === 'string') return String(value).toLowerCase();
+    if (kind === 'number') return Number(value);
+    return value;
+}
+
+function compare(kind, operator, actual, expected) {
+    if (actual === undefined || actual === null) {
+        return false;
+    }
+
+    const a = normalize(kind, actual);
+    if (a === undefined || Number.isNaN(a)) {
+        return false;
+    }
+
+    switch (operator) {
+        case '>': return a > normalize(kind, expected);
+        case '>=': return a >= normalize(kind, expected);
+        case '<': return a < normalize(kind, expected);
+        case '<=': return a <= normalize(kind, expected);
+        case '==': return a === normalize(kind, expected);
+        case '!=': return a !== normalize(kind, expected);
+        case 'between': return a >= normalize(kind, expected[0]) && a <= normalize(kind, expected[1]);
+        case 'in': return expected.some(value => normalize(kind, value) === a);
+        case 'not_in': return !expected.some(value => normalize(kind, value) === a);
+        default: return false;
+    }
+}
+
+// Operador e formato do valor dependem do tipo do critério
+function validateCriterion(criterion, helpers) {
+    const { kind, defaultOperator } = CRITERIA_TYPES[criterion.type];
+    const operator = criterion.operator || defaultOperator;
+
+    if (!OPERATORS_BY_KIND[kind].includes(operator)) {
+        return helpers.message(`operador ${operator} não suportado pelo critério ${criterion.type}`);
+    }
+
+    let valueSchema = VALUE_SCHEMAS[kind].required();
+    if (operator === 'between') {
+        valueSchema = Joi.array().ordered(valueSchema, valueSchema).length(2).required();
+    } else if (operator === 'in' || operator === 'not_in') {
+        valueSchema = Joi.array().items(valueSchema).min(1).required();
+    }
+
+    const { error, value } = valueSchema.validate(criterion.value);
+    if (error) {
+        return helpers.message(`valor inválido para o critério ${criterion.type} (${operator}): ${error.message}`);
+    }
+
+    if (operator === 'between' && normalize(kind, value[0]) > normalize(kind, value[1])) {
+        return helpers.message(`intervalo invertido no critério ${criterion.type}`);
+    }
+
+    return { ...criterion, operator, value };
+}
+
+const criterionSchema = Joi.object({
+    type: Joi.string().valid(...Object.keys(CRITERIA_TYPES)).required(),
+    operator: Joi.string().valid(...new Set(Object.values(OPERATORS_BY_KIND).flat())),
+    value: Joi.any().required(),
+    enabled: Joi.boolean(),
+    description: Joi.string().allow('')
+}).custom(validateCriterion);
+
+const groupSchema = Joi.object({
+    operator: Joi.string().valid('AND', 'OR').required(),
+    description: Joi.string().allow(''),
+    criteria: Joi.array().items(
+        Joi.alternatives().conditional(Joi.object({ criteria: Joi.exist() }).unknown(), {
+            then: Joi.link('#ruleGroup'),
+            otherwise: criterionSchema
+        })
+    ).required()
+}).id('ruleGroup');
+
+const ruleSetSchema = Joi.object({
+    groups: Joi.array().items(Joi.link('#ruleGroup')).default([]),
+    group_operator: Joi.string().valid('AND', 'OR').default('OR')
+}).shared(groupSchema).unknown(true);
+
+/**
+ * Validar regras carregadas do Config Service
+ * Retorna as regras normalizadas (operadores padrão preenchidos) ou lança INVALID_VALIDATION_RULES
+ */
+function validateRuleSet(rules) {
+    const { error, value } = ruleSetSchema.validate(rules || {}, { abortEarly: false });
+
+    if (error) {
+        throw new MLMError('Regras de validação CPA inválidas', 'INVALID_VALIDATION_RULES', 500, {
+            errors: error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }))
+        });
+    }
+
+    return value;
+}
+
+function evaluateCriterion(criterion, cpaData) {
+    const { kind, resolve } = CRITERIA_TYPES[criterion.type];
+    const actual = resolve(cpaData);
+
+    return {
+        type: criterion.type,
+        description: criterion.description,
+        operator: criterion.operator,
+        required: criterion.value,
+        actual: actual === undefined ? null : actual,
+        passed: compare(kind, criterion.operator, actual, criterion.value)
+    };
+}
+
+// Critérios desabilitados não participam; grupos aninhados são avaliados recursivamente
+function evaluateGroup(group, cpaData) {
+    const results = [];
+
+    for (const item of group.criteria) {
+        if (item.criteria) {
+            results.push(evaluateGroup(item, cpaData));
+        } else if (item.enabled) {
+            results.push(evaluateCriterion(item, cpaData));
+        }
+    }
+
+    return {
+        operator: group.operator,
+        description: group.description,
+        passed: group.operator === 'AND' ? results.every(r => r.passed) : results.some(r => r.passed),
+        results
+    };
+}
+
+/**
+ * Avaliar regras já validadas contra os dados do CPA
+ * @returns {Object} { passed, groupOperator, groups: [{ operator, passed, results }] }
+ */
+function evaluateRules(rules, cpaData) {
+    const groups = rules.groups.map(group => evaluateGroup(group, cpaData));
+
+    return {
+        passed: rules.group_operator === 'AND' ? groups.every(g => g.passed) : groups.some(g => g.passed),
+        groupOperator: rules.group_operator,
+        groups
+    };
+}
+
+module.exports = {
+    CRITERIA_TYPES,
+    OPERATORS_BY_KIND,
+    validateRuleSet,
+    evaluateRules
+};
@@ -0,0 +1,181 @@
+const { validateRuleSet, evaluateRules } = require('./cpaRules');
+
+// Regras de um único grupo, já validadas
+function rulesWith(criteria, operator = 'AND') {
+    return validateRuleSet({ groups: [{ operator, criteria }] });
+}
+
+function passes(criterion, cpaData) {
+    return evaluateRules(rulesWith([{ enabled: true, ...criterion }]), cpaData).passed;
+}
+
+describe('cpaRules', () => {
+    describe('validateRuleSet', () => {
+        it('preenche operador padrão do critério e dos grupos', () => {
+            const rules = validateRuleSet({
+                groups: [{ operator: 'AND', criteria: [{ type: 'deposit', value: 30, enabled: true }] }]
+            });
+
+            expect(rules.group_operator).toBe('OR');
+            expect(rules.groups[0].criteria[0].operator).toBe('>=');
+        });
+
+        it('aceita regras vazias', () => {
+            expect(validateRuleSet(undefined)).toEqual({ groups: [], group_operator: 'OR' });
+        });
+
+        it('valida grupos aninhados', () => {
+            const rules = validateRuleSet({
+                groups: [{
+                    operator: 'AND',
+                    criteria: [{
+                        operator: 'OR',
+                        criteria: [{ type: 'country', value: ['BR'], enabled: true }]
+                    }]
+                }]
+            });
+
+            expect(rules.groups[0].criteria[0].criteria[0].operator).toBe('in');
+        });
+
+        it.each([
+            ['tipo desconhecido', { type: 'unknown', value: 1 }],
+            ['operador incompatível com o tipo', { type: 'country', operator: '>', value: 'BR' }],
+            ['valor não numérico', { type: 'deposit', value: 'trinta' }],
+            ['between sem intervalo', { type: 'deposit', operator: 'between', value: 10 }],
+            ['between invertido', { type: 'deposit', operator: 'between', value: [50, 10] }],
+            ['in com lista vazia', { type: 'country', operator: 'in', value: [] }],
+            ['data inválida', { type: 'first_deposit_date', value: 'ontem' }]
+        ])('recusa %s', (_, criterion) => {
+            expect(() => rulesWith([criterion])).toThrow(expect.objectContaining({
+                code: 'INVALID_VALIDATION_RULES',
+                details: { errors: [expect.objectContaining({ field: expect.stringMatching(/^groups\.0\.criteria\.0/) })] }
+            }));
+        });
+
+        it('recusa grupo aninhado com operador inválido', () => {
+            expect(() => rulesWith([{ operator: 'XOR', criteria: [] }])).toThrow(expect.objectContaining({
+                code: 'INVALID_VALIDATION_RULES'
+            }));
+        });
+    });
+
+    describe('operadores', () => {
+        const data = { depositAmount: 50 };
+
+        it.each([
+            ['>', 49, true], ['>', 50, false],
+            ['>=', 50, true], ['>=', 51, false],
+            ['<', 51, true], ['<', 50, false],
+            ['<=', 50, true], ['<=', 49, false],
+            ['==', 50, true], ['==', 49, false],
+            ['!=', 49, true], ['!=', 50, false],
+            ['between', [50, 60], true], ['between', [40, 50], true], ['between', [51, 60], false],
+            ['in', [10, 50], true], ['in', [10, 20], false],
+            ['not_in', [10, 20], true], ['not_in', [10, 50], false]
+        ])('deposit %s %j → %s', (operator, value, expected) => {
+            expect(passes({ type: 'deposit', operator, value }, data)).toBe(expected);
+        });
+
+        it('compara textos sem diferenciar maiúsculas', () => {
+            expect(passes({ type: 'country', value: ['BR', 'PT'] }, { country: 'br' })).toBe(true);
+            expect(passes({ type: 'country', operator: 'not_in', value: ['br'] }, { country: 'BR' })).toBe(false);
+            expect(passes({ type: 'payment_method', operator: '==', value: 'PIX' }, { paymentMethod: 'pix' })).toBe(true);
+        });
+
+        it('compara datas', () => {
+            const criterion = { type: 'first_deposit_date', operator: 'between', value: ['2024-01-01', '2024-01-31'] };
+
+            expect(passes(criterion, { firstDepositDate: '2024-01-15T10:00:00Z' })).toBe(true);
+            expect(passes(criterion, { firstDepositDate: '2024-02-01T00:00:00Z' })).toBe(false);
+        });
+
+        it('calcula dias entre cadastro e primeiro depósito', () => {
+            const criterion = { type: 'deposit_within_days', value: 7 };
+
+            expect(passes(criterion, { registrationDate: '2024-01-01', firstDepositDate: '2024-01-08' })).toBe(true);
+            expect(passes(criterion, { registrationDate: '2024-01-01', firstDepositDate: '2024-01-09' })).toBe(false);
+        });
+
+        it('compara booleanos', () => {
+            expect(passes({ type: 'kyc_verified', value: true }, { kycVerified: true })).toBe(true);
+            expect(passes({ type: 'kyc_verified', value: true }, { kycVerified: false })).toBe(false);
+        });
+
+        it('reprova critério sem o dado no CPA', () => {
+            expect(passes({ type: 'deposit', operator: '<=', value: 100 }, {})).toBe(false);
+            expect(passes({ type: 'country', operator: 'not_in', value: ['US'] }, { country: null })).toBe(false);
+            expect(passes({ type: 'deposit_within_days', value: 7 }, { registrationDate: '2024-01-01' })).toBe(false);
+            expect(passes({ type: 'first_deposit_date', value: '2024-01-01' }, { firstDepositDate: 'inválida' })).toBe(false);
+        });
+    });
+
+    describe('evaluateRules', () => {
+        const deposit = { type: 'deposit', value: 30, enabled: true };
+        const bets = { type: 'bets', operator: '>', value: 10, enabled: true };
+
+        it('AND exige todos os critérios e OR ao menos um', () => {
+            const data = { depositAmount: 50, betsCount: 5 };
+
+            expect(evaluateRules(rulesWith([deposit, bets], 'AND'), data).passed).toBe(false);
+            expect(evaluateRules(rulesWith([deposit, bets], 'OR'), data).passed).toBe(true);
+        });
+
+        it('ignora critérios sem enabled: true', () => {
+            const rules = rulesWith([deposit, { ...bets, enabled: false }, { type: 'bets', value: 100 }]);
+            const result = evaluateRules(rules, { depositAmount: 50, betsCount: 0 });
+
+            expect(result.passed).toBe(true);
+            expect(result.groups[0].results).toHaveLength(1);
+        });
+
+        it('avalia grupos aninhados recursivamente', () => {
+            const rules = rulesWith([
+                deposit,
+                {
+                    operator: 'OR',
+                    criteria: [
+                        { type: 'country', value: ['BR', 'PT'], enabled: true },
+                        { type: 'kyc_verified', value: true, enabled: true }
+                    ]
+                }
+            ]);
+
+            expect(evaluateRules(rules, { depositAmount: 50, country: 'US', kycVerified: true }).passed).toBe(true);
+            expect(evaluateRules(rules, { depositAmount: 50, country: 'US', kycVerified: false }).passed).toBe(false);
+
+            const result = evaluateRules(rules, { depositAmount: 50, country: 'PT' });
+            expect(result.groups[0].results[1]).toEqual(expect.objectContaining({
+                operator: 'OR',
+                passed: true,
+                results: [
+                    expect.objectContaining({ type: 'country', passed: true }),
+                    expect.objectContaining({ type: 'kyc_verified', actual: null, passed: false })
+                ]
+            }));
+        });
+
+        it('combina grupos com group_operator', () => {
+            const groups = [
+                { operator: 'AND', criteria: [deposit] },
+                { operator: 'AND', criteria: [bets] }
+            ];
+            const data = { depositAmount: 50, betsCount: 0 };
+
+            expect(evaluateRules(validateRuleSet({ groups, group_operator: 'OR' }), data).passed).toBe(true);
+            expect(evaluateRules(validateRuleSet({ groups, group_operator: 'AND' }), data).passed).toBe(false);
+        });
+
+        it('reporta valor exigido e valor encontrado', () => {
+            const result = evaluateRules(rulesWith([bets]), { betsCount: 12 });
+
+            expect(result.groups[0].results[0]).toEqual(expect.objectContaining({
+                type: 'bets',
+                operator: '>',
+                required: 10,
+                actual: 12,
+                passed: true
+            }));
+        });
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Utilitários mínimos de CSV (separador vírgula ou ponto e vírgula, campos entre aspas)
+ */
+
+// Separar uma linha CSV respeitando campos entre aspas
+function splitCsvLine(line, delimiter) {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            values.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    values.push(current.trim());
+    return values;
+}
+
+// Converter texto CSV com cabeçalho em registros { line, values }
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/);
+    const headerIndex = lines.findIndex(line => line.trim() !== '');
+
+    if (headerIndex === -1) {
+        return { headers: [], records: [] };
+    }
+
+    const headerLine = lines[headerIndex];
+    const delimiter = headerLine.includes(';') && !headerLine.includes(',') ? ';' : ',';
+    const headers = splitCsvLine(headerLine, delimiter);
+    const records = [];
+
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+        if (lines[i].trim() === '') continue;
+
+        const fields = splitCsvLine(lines[i], delimiter);
+        const values = {};
+        headers.forEach((header, index) => {
+            values[header] = fields[index] !== undefined ? fields[index] : '';
+        });
+
+        records.push({ line: i + 1, values });
+    }
+
+    return { headers, records };
+}
+
+// Escapar valor para CSV (aspas quando contém separador, aspas ou quebra de linha)
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = Array.isArray(value) ? value.join('/') : String(value);
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Montar uma linha CSV a partir de valores
+function formatCsvLine(values) {
+    return values.map(escapeCsvValue).join(',') + '\n';
+}
+
+module.exports = { splitCsvLine, parseCsv, escapeCsvValue, formatCsvLine };
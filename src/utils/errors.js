@@ -0,0 +1,24 @@
+/**
+ * Erro de domínio do serviço MLM
+ * Carrega código estável e status HTTP para que controllers respondam de forma estruturada
+ */
+class MLMError extends Error {
+    constructor(message, code, statusCode = 400, details = null) {
+        super(message);
+        this.name = 'MLMError';
+        this.code = code;
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            success: false,
+            message: this.message,
+            code: this.code,
+            details: this.details || undefined
+        };
+    }
+}
+
+module.exports = { MLMError };
@@ -0,0 +1,142 @@
+/**
+ * Triagem antifraude antes da distribuição (configuração fraud_rules)
+ * Um CPA com qualquer alerta fica retido (HELD) para revisão manual em vez de ser distribuído
+ *
+ * Verificações:
+ * - self_referral: o jogador é o próprio afiliado ou um membro da sua upline (contas de afiliado e de
+ *   jogador compartilham o mesmo id de usuário da plataforma)
+ * - multiple_affiliates: o mesmo user_id já gerou CPA sob outro afiliado
+ * - velocity: CPAs do afiliado na hora anterior ao evento acima do limite
+ * - shared_fingerprint: dispositivo/IP (campos de cpaData.criteria) já usado por outros jogadores
+ */
+const Joi = require('joi');
+const { MLMError } = require('./errors');
+
+const DEFAULT_FRAUD_RULES = {
+    enabled: true,
+    self_referral: { enabled: true },
+    multiple_affiliates: { enabled: true },
+    velocity: { enabled: true, max_cpas_per_hour: 30 },
+    shared_fingerprint: {
+        enabled: true,
+        fields: ['deviceFingerprint', 'ipAddress'],
+        max_users_per_fingerprint: 1
+    }
+};
+
+const checkSchema = Joi.object({
+    enabled: Joi.boolean().default(true)
+}).unknown(true);
+
+const fraudRulesSchema = Joi.object({
+    enabled: Joi.boolean().default(true),
+    self_referral: checkSchema.default(DEFAULT_FRAUD_RULES.self_referral),
+    multiple_affiliates: checkSchema.default(DEFAULT_FRAUD_RULES.multiple_affiliates),
+    velocity: checkSchema.keys({
+        max_cpas_per_hour: Joi.number().integer().min(1).default(DEFAULT_FRAUD_RULES.velocity.max_cpas_per_hour)
+    }).default(DEFAULT_FRAUD_RULES.velocity),
+    // max_users_per_fingerprint: jogadores distintos (incluindo o atual) aceitos por valor de dispositivo/IP
+    shared_fingerprint: checkSchema.keys({
+        fields: Joi.array().items(Joi.string().min(1)).unique().default(DEFAULT_FRAUD_RULES.shared_fingerprint.fields),
+        max_users_per_fingerprint: Joi.number().integer().min(1)
+            .default(DEFAULT_FRAUD_RULES.shared_fingerprint.max_users_per_fingerprint)
+    }).default(DEFAULT_FRAUD_RULES.shared_fingerprint)
+}).unknown(true);
+
+function validateFraudRules(config) {
+    const { error, value } = fraudRulesSchema.validate(config || DEFAULT_FRAUD_RULES, { abortEarly: false });
+
+    if (error) {
+        throw new MLMError('Regras antifraude inválidas', 'INVALID_FRAUD_RULES', 500, {
+            errors: error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }))
+        });
+    }
+
+    return value;
+}
+
+function isEnabled(rules, check) {
+    return rules.enabled && rules[check].enabled;
+}
+
+// Valores de dispositivo/IP informados no CPA para os campos configurados
+function getFingerprints(rules, criteria) {
+    if (!isEnabled(rules, 'shared_fingerprint') || !criteria) {
+        return [];
+    }
+
+    return rules.shared_fingerprint.fields
+        .filter(field => criteria[field] !== undefined && criteria[field] !== null && criteria[field] !== '')
+        .map(field => ({ field, value: String(criteria[field]) }));
+}
+
+/**
+ * Avaliar as verificações habilitadas
+ * @param {Object} rules - configuração validada por validateFraudRules
+ * @param {Object} cpa - { userId, affiliateId, upline }
+ * @param {Object} signals - histórico consultado no banco: { otherAffiliateIds, hourlyCpas, fingerprintUsers }
+ * @returns {Array} alertas { check, message, details } (vazio: CPA liberado)
+ */
+function screenCpa(rules, { userId, affiliateId, upline }, signals) {
+    const flags = [];
+
+    if (isEnabled(rules, 'self_referral')) {
+        const uplineIds = upline.map(member => member.affiliate_id);
+        if (userId === affiliateId || uplineIds.includes(userId)) {
+            flags.push({
+                check: 'self_referral',
+                message: 'Jogador é o próprio afiliado ou membro da sua upline',
+                details: { userId, affiliateId, inUpline: userId !== affiliateId }
+            });
+        }
+    }
+
+    if (isEnabled(rules, 'multiple_affiliates') && signals.otherAffiliateIds.length > 0) {
+        flags.push({
+            check: 'multiple_affiliates',
+            message: 'Jogador já gerou CPA sob outro afiliado',
+            details: { userId, affiliateIds: signals.otherAffiliateIds }
+        });
+    }
+
+    if (isEnabled(rules, 'velocity')) {
+        const cpasInHour = signals.hourlyCpas + 1;
+        if (cpasInHour > rules.velocity.max_cpas_per_hour) {
+            flags.push({
+                check: 'velocity',
+                message: 'Volume de CPAs do afiliado na última hora acima do limite',
+                details: { affiliateId, cpasInHour, maxCpasPerHour: rules.velocity.max_cpas_per_hour }
+            });
+        }
+    }
+
+    if (isEnabled(rules, 'shared_fingerprint')) {
+        for (const { field, value, users } of signals.fingerprintUsers) {
+            if (users + 1 > rules.shared_fingerprint.max_users_per_fingerprint) {
+                flags.push({
+                    check: 'shared_fingerprint',
+                    message: `${field} compartilhado com outros jogadores`,
+                    details: {
+                        field,
+                        value,
+                        otherUsers: users,
+                        maxUsersPerFingerprint: rules.shared_fingerprint.max_users_per_fingerprint
+                    }
+                });
+            }
+        }
+    }
+
+    return flags;
+}
+
+module.exports = {
+    DEFAULT_FRAUD_RULES,
+    validateFraudRules,
+    isEnabled,
+    getFingerprints,
+    screenCpa
+};
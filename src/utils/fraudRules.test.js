@@ -0,0 +1,79 @@
+const { DEFAULT_FRAUD_RULES, validateFraudRules, getFingerprints, screenCpa } = require('./fraudRules');
+
+// Histórico sem nenhum sinal de fraude
+const cleanSignals = { otherAffiliateIds: [], hourlyCpas: 0, fingerprintUsers: [] };
+const upline = [10, 20, 30].map(id => ({ affiliate_id: id }));
+
+function checks(rules, cpa, signals) {
+    return screenCpa(validateFraudRules(rules), { upline, ...cpa }, { ...cleanSignals, ...signals }).map(flag => flag.check);
+}
+
+describe('fraudRules', () => {
+    describe('validateFraudRules', () => {
+        it('usa as regras padrão quando ausentes', () => {
+            expect(validateFraudRules(null)).toEqual(DEFAULT_FRAUD_RULES);
+        });
+
+        it('completa limites não informados', () => {
+            const rules = validateFraudRules({ velocity: { enabled: true } });
+
+            expect(rules.velocity.max_cpas_per_hour).toBe(30);
+            expect(rules.shared_fingerprint.fields).toEqual(['deviceFingerprint', 'ipAddress']);
+        });
+
+        it('recusa limite inválido', () => {
+            expect(() => validateFraudRules({ velocity: { max_cpas_per_hour: 0 } }))
+                .toThrow(expect.objectContaining({ code: 'INVALID_FRAUD_RULES' }));
+        });
+    });
+
+    describe('screenCpa', () => {
+        it('libera CPA sem sinais', () => {
+            expect(checks(null, { userId: 1, affiliateId: 10 }, {})).toEqual([]);
+        });
+
+        it.each([
+            ['jogador é o próprio afiliado', 10],
+            ['jogador está na upline', 30]
+        ])('sinaliza autoindicação quando o %s', (_, userId) => {
+            expect(checks(null, { userId, affiliateId: 10 }, {})).toEqual(['self_referral']);
+        });
+
+        it('sinaliza jogador com CPA sob outro afiliado', () => {
+            expect(checks(null, { userId: 1, affiliateId: 10 }, { otherAffiliateIds: [99] })).toEqual(['multiple_affiliates']);
+        });
+
+        it('sinaliza volume acima do limite por hora, contando o CPA atual', () => {
+            const rules = { velocity: { max_cpas_per_hour: 5 } };
+
+            expect(checks(rules, { userId: 1, affiliateId: 10 }, { hourlyCpas: 4 })).toEqual([]);
+            expect(checks(rules, { userId: 1, affiliateId: 10 }, { hourlyCpas: 5 })).toEqual(['velocity']);
+        });
+
+        it('sinaliza dispositivo ou IP compartilhado acima do limite', () => {
+            const fingerprintUsers = [
+                { field: 'ipAddress', value: '10.0.0.1', users: 1 },
+                { field: 'deviceFingerprint', value: 'abc', users: 0 }
+            ];
+
+            expect(checks(null, { userId: 1, affiliateId: 10 }, { fingerprintUsers })).toEqual(['shared_fingerprint']);
+            expect(checks({ shared_fingerprint: { max_users_per_fingerprint: 2 } }, { userId: 1, affiliateId: 10 }, { fingerprintUsers }))
+                .toEqual([]);
+        });
+
+        it('verificações desabilitadas não sinalizam', () => {
+            expect(checks({ self_referral: { enabled: false } }, { userId: 10, affiliateId: 10 }, {})).toEqual([]);
+            expect(checks({ enabled: false }, { userId: 10, affiliateId: 10 }, { otherAffiliateIds: [99] })).toEqual([]);
+        });
+    });
+
+    describe('getFingerprints', () => {
+        it('usa apenas os campos configurados e informados', () => {
+            const rules = validateFraudRules(null);
+
+            expect(getFingerprints(rules, { ipAddress: '10.0.0.1', deviceFingerprint: '', country: 'BR' }))
+                .toEqual([{ field: 'ipAddress', value: '10.0.0.1' }]);
+            expect(getFingerprints(rules, undefined)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Exportação de subárvore da hierarquia MLM
+ * Cada formato é um gerador de trechos de texto para que a resposta seja enviada em streaming;
+ * csv e dot consomem os lotes de linhas conforme chegam do cursor, json precisa da subárvore inteira
+ * Totais de CPA por moeda: `totals` = [{ currency, total_cpas, total_amount }] (vazio sem CPAs)
+ */
+const { formatCsvLine } = require('./csv');
+
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    dot: { contentType: 'text/vnd.graphviz; charset=utf-8', extension: 'dot' }
+};
+
+// Agrupar nós por parent, preservando a ordem da consulta
+function groupChildren(rows) {
+    const children = new Map();
+    for (const row of rows) {
+        if (!children.has(row.parent_id)) {
+            children.set(row.parent_id, []);
+        }
+        children.get(row.parent_id).push(row);
+    }
+    return children;
+}
+
+// Totais por moeda com valores numéricos
+function formatTotals(row) {
+    return (row.totals || []).map(total => ({
+        currency: total.currency,
+        total_cpas: Number(total.total_cpas),
+        total_amount: Number(total.total_amount)
+    }));
+}
+
+// Campos de um nó no formato de saída
+function formatNode(row) {
+    const totals = formatTotals(row);
+
+    return {
+        affiliate_id: row.affiliate_id,
+        parent_id: row.parent_id,
+        level: row.level,
+        depth: row.depth,
+        path: row.path,
+        active: row.active,
+        total_cpas: totals.reduce((sum, total) => sum + total.total_cpas, 0),
+        totals
+    };
+}
+
+// Árvore aninhada: { ..., children: [...] }
+function* toNestedJson(rows, rootId) {
+    const children = groupChildren(rows);
+    const root = rows.find(row => row.affiliate_id === rootId);
+
+    function* writeNode(row) {
+        const node = JSON.stringify(formatNode(row));
+        yield `${node.slice(0, -1)},"children":[`;
+
+        let first = true;
+        for (const child of children.get(row.affiliate_id) || []) {
+            if (!first) yield ',';
+            first = false;
+            yield* writeNode(child);
+        }
+
+        yield ']}';
+    }
+
+    yield `{"affiliateId":${rootId},"exportedAt":"${new Date().toISOString()}","totalNodes":${rows.length},"tree":`;
+    yield* writeNode(root);
+    yield '}\n';
+}
+
+// Lista plana com colunas de path e nível; uma linha por moeda com CPAs (nó sem CPAs: currency vazia)
+async function* toCsv(batches) {
+    yield formatCsvLine(['affiliate_id', 'parent_id', 'level', 'depth', 'path', 'active', 'currency', 'total_cpas', 'total_amount']);
+
+    for await (const rows of batches) {
+        for (const row of rows) {
+            const totals = formatTotals(row);
+            const lines = totals.length > 0 ? totals : [{ currency: null, total_cpas: 0, total_amount: 0 }];
+
+            for (const total of lines) {
+                yield formatCsvLine([
+                    row.affiliate_id,
+                    row.parent_id,
+                    row.level,
+                    row.depth,
+                    row.path,
+                    row.active,
+                    total.currency,
+                    total.total_cpas,
+                    total.total_amount
+                ]);
+            }
+        }
+    }
+}
+
+// Grafo Graphviz anotado com totais de CPA por nó e moeda
+async function* toDot(batches, rootId) {
+    yield `digraph hierarchy_${rootId} {\n`;
+    yield '    rankdir=TB;\n';
+    yield '    node [shape=box, fontname="Helvetica"];\n';
+
+    for await (const rows of batches) {
+        for (const row of rows) {
+            // Valores como gravados (decimal do banco), com as casas da moeda
+            const totals = row.totals || [];
+            const label = [
+                `Afiliado ${row.affiliate_id}`,
+                `Nível ${row.level}`,
+                ...(totals.length > 0
+                    ? totals.map(total => `CPAs: ${total.total_cpas} | ${total.currency} ${total.total_amount}`)
+                    : ['CPAs: 0'])
+            ].join('\\n');
+            const style = row.active ? '' : ', style=dashed, fontcolor=gray';
+
+            yield `    "${row.affiliate_id}" [label="${label}"${style}];\n`;
+
+            if (row.affiliate_id !== rootId && row.parent_id !== null) {
+                yield `    "${row.parent_id}" -> "${row.affiliate_id}";\n`;
+            }
+        }
+    }
+
+    yield '}\n';
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    toNestedJson,
+    toCsv,
+    toDot
+};
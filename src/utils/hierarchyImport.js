@@ -0,0 +1,180 @@
+/**
+ * Planejamento de importação em lote da hierarquia MLM
+ * Ordena parents antes dos filhos, calcula level/path e gera relatório de erros por linha
+ */
+
+// Normalizar identificador (inteiro positivo, vazio = null)
+function toAffiliateId(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : NaN;
+}
+
+// Extrair linhas { row, affiliateId, parentId } de registros CSV
+function rowsFromCsvRecords(records) {
+    return records.map(record => ({
+        row: record.line,
+        affiliateId: record.values.affiliate_id !== undefined ? record.values.affiliate_id : record.values.affiliateId,
+        parentId: record.values.parent_id !== undefined ? record.values.parent_id : record.values.parentId
+    }));
+}
+
+/**
+ * Planejar a importação
+ * @param {Array} rows - [{ row, affiliateId, parentId }]
+ * @param {Map} existing - affiliate_id => { parent_id, level, path, active } já gravados no banco
+ * @param {number} maxDepth - nível máximo permitido pela constraint valid_level
+ */
+function planHierarchyImport(rows, existing, maxDepth) {
+    const errors = [];
+    const unchanged = [];
+    const candidates = new Map();
+    const duplicated = new Set();
+    const rejected = new Set();
+
+    const addError = (entry, code, message) => {
+        errors.push({
+            row: entry.row,
+            affiliateId: entry.affiliateId,
+            parentId: entry.parentId,
+            code,
+            message
+        });
+    };
+
+    // 1. Validação individual das linhas
+    for (const [index, raw] of rows.entries()) {
+        const entry = {
+            row: raw.row || index + 1,
+            affiliateId: toAffiliateId(raw.affiliateId),
+            parentId: toAffiliateId(raw.parentId)
+        };
+
+        if (entry.affiliateId === null || Number.isNaN(entry.affiliateId) || Number.isNaN(entry.parentId)) {
+            addError({ ...entry, affiliateId: raw.affiliateId, parentId: raw.parentId }, 'INVALID_ROW',
+                'affiliateId e parentId devem ser inteiros positivos');
+            continue;
+        }
+
+        if (entry.parentId === entry.affiliateId) {
+            addError(entry, 'SELF_PARENT', 'Afiliado não pode ser parent de si mesmo');
+            rejected.add(entry.affiliateId);
+            continue;
+        }
+
+        if (candidates.has(entry.affiliateId) || duplicated.has(entry.affiliateId)) {
+            duplicated.add(entry.affiliateId);
+            rejected.add(entry.affiliateId);
+            addError(entry, 'DUPLICATE_AFFILIATE', 'Afiliado aparece mais de uma vez na importação');
+            continue;
+        }
+
+        const current = existing.get(entry.affiliateId);
+        if (current) {
+            if (current.parent_id === entry.parentId) {
+                unchanged.push(entry);
+            } else {
+                addError(entry, 'AFFILIATE_EXISTS', 'Afiliado já existe na hierarquia com outro parent');
+            }
+            continue;
+        }
+
+        candidates.set(entry.affiliateId, entry);
+    }
+
+    // A primeira ocorrência de um afiliado duplicado também é inválida
+    for (const affiliateId of duplicated) {
+        const entry = candidates.get(affiliateId);
+        if (entry) {
+            candidates.delete(affiliateId);
+            addError(entry, 'DUPLICATE_AFFILIATE', 'Afiliado aparece mais de uma vez na importação');
+        }
+    }
+
+    // 2. Ancorar linhas cujo parent é raiz ou já existe no banco
+    const children = new Map();
+    const queue = [];
+    const placed = new Map();
+    const failed = new Set();
+
+    for (const entry of candidates.values()) {
+        if (entry.parentId === null) {
+            queue.push({ entry, level: 1, path: [entry.affiliateId] });
+            continue;
+        }
+
+        if (candidates.has(entry.parentId)) {
+            if (!children.has(entry.parentId)) {
+                children.set(entry.parentId, []);
+            }
+            children.get(entry.parentId).push(entry);
+            continue;
+        }
+
+        const parent = existing.get(entry.parentId);
+        if (rejected.has(entry.parentId)) {
+            addError(entry, 'PARENT_INVALID', 'Parent possui erro na importação');
+            failed.add(entry.affiliateId);
+        } else if (!parent) {
+            addError(entry, 'PARENT_NOT_FOUND', 'Parent não existe na hierarquia nem na importação');
+            failed.add(entry.affiliateId);
+        } else if (!parent.active) {
+            addError(entry, 'PARENT_INACTIVE', 'Parent está inativo na hierarquia');
+            failed.add(entry.affiliateId);
+        } else {
+            queue.push({ entry, level: parent.level + 1, path: [...parent.path, entry.affiliateId] });
+        }
+    }
+
+    // 3. Percorrer em largura: cada parent é planejado antes dos seus filhos
+    const plan = [];
+    for (let cursor = 0; cursor < queue.length; cursor++) {
+        const { entry, level, path } = queue[cursor];
+
+        if (level > maxDepth) {
+            addError(entry, 'MAX_DEPTH_EXCEEDED', `Nível ${level} excede o máximo de ${maxDepth} níveis`);
+            failed.add(entry.affiliateId);
+            continue;
+        }
+
+        const planned = { row: entry.row, affiliateId: entry.affiliateId, parentId: entry.parentId, level, path };
+        plan.push(planned);
+        placed.set(entry.affiliateId, planned);
+
+        for (const child of children.get(entry.affiliateId) || []) {
+            queue.push({ entry: child, level: level + 1, path: [...path, child.affiliateId] });
+        }
+    }
+
+    // 4. O que sobrou pertence a um ciclo ou descende de uma linha inválida
+    for (const entry of candidates.values()) {
+        if (placed.has(entry.affiliateId) || failed.has(entry.affiliateId)) continue;
+
+        // Subir pelos parents da importação até sair dela ou repetir um nó
+        const seen = new Set();
+        let cursor = entry;
+        while (cursor && !seen.has(cursor.affiliateId)) {
+            seen.add(cursor.affiliateId);
+            cursor = candidates.get(cursor.parentId);
+        }
+
+        const inCycle = cursor && cursor.affiliateId === entry.affiliateId;
+        if (inCycle) {
+            addError(entry, 'HIERARCHY_CYCLE', 'Afiliado faz parte de um ciclo na importação');
+        } else {
+            addError(entry, 'PARENT_INVALID', 'Parent possui erro na importação');
+        }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+
+    return { plan, unchanged, errors };
+}
+
+module.exports = {
+    planHierarchyImport,
+    rowsFromCsvRecords
+};
@@ -0,0 +1,125 @@
+const { planHierarchyImport, rowsFromCsvRecords } = require('./hierarchyImport');
+
+// Hierarquia gravada: 1 (raiz) → 2; 3 é raiz inativa
+const existing = new Map([
+    [1, { parent_id: null, level: 1, path: [1], active: true }],
+    [2, { parent_id: 1, level: 2, path: [1, 2], active: true }],
+    [3, { parent_id: null, level: 1, path: [3], active: false }]
+]);
+
+function rows(...pairs) {
+    return pairs.map(([affiliateId, parentId], index) => ({ row: index + 2, affiliateId, parentId }));
+}
+
+function errorCodes(result) {
+    return result.errors.map(error => [error.affiliateId, error.code]);
+}
+
+describe('hierarchyImport', () => {
+    describe('planHierarchyImport', () => {
+        it('planeja parents antes dos filhos, mesmo fora de ordem no arquivo', () => {
+            const result = planHierarchyImport(rows([12, 11], [11, 10], [10, 2], [20, null]), existing, 5);
+
+            expect(result.errors).toEqual([]);
+            expect(result.plan.map(entry => entry.affiliateId)).toEqual([10, 20, 11, 12]);
+            expect(result.plan.find(entry => entry.affiliateId === 12)).toEqual({
+                row: 2,
+                affiliateId: 12,
+                parentId: 11,
+                level: 5,
+                path: [1, 2, 10, 11, 12]
+            });
+            expect(result.plan.find(entry => entry.affiliateId === 20)).toEqual(expect.objectContaining({
+                level: 1,
+                path: [20]
+            }));
+        });
+
+        it('aceita identificadores em texto e parent vazio como raiz', () => {
+            const result = planHierarchyImport(rows(['30', ''], ['31', '30']), existing, 5);
+
+            expect(result.errors).toEqual([]);
+            expect(result.plan.map(entry => [entry.affiliateId, entry.parentId])).toEqual([[30, null], [31, 30]]);
+        });
+
+        it('recusa linhas com identificadores inválidos', () => {
+            const result = planHierarchyImport(rows([null, 1], ['abc', 1], [40, -1], [41, 1.5]), existing, 5);
+
+            expect(result.plan).toEqual([]);
+            expect(result.errors.map(error => error.code)).toEqual(['INVALID_ROW', 'INVALID_ROW', 'INVALID_ROW', 'INVALID_ROW']);
+            expect(result.errors[1]).toEqual(expect.objectContaining({ row: 3, affiliateId: 'abc', parentId: 1 }));
+        });
+
+        it('recusa todas as ocorrências de um afiliado duplicado e os seus filhos', () => {
+            const result = planHierarchyImport(rows([10, 1], [11, 10], [10, 2], [12, 1]), existing, 5);
+
+            expect(result.plan.map(entry => entry.affiliateId)).toEqual([12]);
+            expect(errorCodes(result)).toEqual([
+                [10, 'DUPLICATE_AFFILIATE'],
+                [11, 'PARENT_INVALID'],
+                [10, 'DUPLICATE_AFFILIATE']
+            ]);
+        });
+
+        it('recusa afiliado como parent de si mesmo', () => {
+            const result = planHierarchyImport(rows([10, 10], [11, 10]), existing, 5);
+
+            expect(errorCodes(result)).toEqual([[10, 'SELF_PARENT'], [11, 'PARENT_INVALID']]);
+        });
+
+        it('detecta ciclos e marca os descendentes do ciclo', () => {
+            const result = planHierarchyImport(rows([10, 11], [11, 12], [12, 10], [13, 12], [14, 1]), existing, 5);
+
+            expect(result.plan.map(entry => entry.affiliateId)).toEqual([14]);
+            expect(errorCodes(result)).toEqual([
+                [10, 'HIERARCHY_CYCLE'],
+                [11, 'HIERARCHY_CYCLE'],
+                [12, 'HIERARCHY_CYCLE'],
+                [13, 'PARENT_INVALID']
+            ]);
+        });
+
+        it('recusa níveis acima do máximo e os descendentes dessas linhas', () => {
+            // 2 está no nível 2: 10 → 3, 11 → 4, 12 → 5
+            const result = planHierarchyImport(rows([10, 2], [11, 10], [12, 11], [13, 12]), existing, 4);
+
+            expect(result.plan.map(entry => [entry.affiliateId, entry.level])).toEqual([[10, 3], [11, 4]]);
+            expect(errorCodes(result)).toEqual([[12, 'MAX_DEPTH_EXCEEDED'], [13, 'PARENT_INVALID']]);
+            expect(result.errors[0].message).toBe('Nível 5 excede o máximo de 4 níveis');
+        });
+
+        it('recusa parent inexistente ou inativo', () => {
+            const result = planHierarchyImport(rows([10, 99], [11, 3]), existing, 5);
+
+            expect(errorCodes(result)).toEqual([[10, 'PARENT_NOT_FOUND'], [11, 'PARENT_INACTIVE']]);
+        });
+
+        it('ignora afiliados já gravados com o mesmo parent e recusa os que mudariam de parent', () => {
+            const result = planHierarchyImport(rows([2, 1], [1, 3], [10, 2]), existing, 5);
+
+            expect(result.unchanged).toEqual([{ row: 2, affiliateId: 2, parentId: 1 }]);
+            expect(errorCodes(result)).toEqual([[1, 'AFFILIATE_EXISTS']]);
+            expect(result.plan.map(entry => entry.affiliateId)).toEqual([10]);
+        });
+
+        it('numera as linhas pela posição quando o arquivo não informa', () => {
+            const result = planHierarchyImport([{ affiliateId: 10, parentId: 99 }], existing, 5);
+
+            expect(result.errors[0].row).toBe(1);
+        });
+    });
+
+    describe('rowsFromCsvRecords', () => {
+        it('aceita colunas em snake_case e camelCase', () => {
+            const records = [
+                { line: 2, values: { affiliate_id: '10', parent_id: '1' } },
+                { line: 3, values: { affiliateId: '11', parentId: '' } }
+            ];
+
+            expect(rowsFromCsvRecords(records)).toEqual([
+                { row: 2, affiliateId: '10', parentId: '1' },
+                { row: 3, affiliateId: '11', parentId: '' }
+            ]);
+        });
+    });
+});
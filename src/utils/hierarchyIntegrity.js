@@ -0,0 +1,221 @@
+/**
+ * Verificação e reparo da consistência de mlm_hierarchy
+ * path, level e parent_id são desnormalizados e podem divergir após falhas ou SQL manual
+ */
+
+const ISSUE_TYPES = {
+    PATH_MISMATCH: 'path não corresponde à cadeia de parents',
+    ORPHAN_MISSING_PARENT: 'parent_id aponta para afiliado inexistente',
+    ORPHAN_INACTIVE_PARENT: 'afiliado ativo sob parent inativo',
+    LEVEL_MISMATCH: 'level não corresponde ao path ou ao nível do parent',
+    INVALID_PATH_HEAD: 'primeiro elemento do path não é uma raiz',
+    DUPLICATE_PATH_HEAD: 'mais de um afiliado com o mesmo path',
+    CYCLE: 'cadeia de parents forma um ciclo'
+};
+
+function samePath(a, b) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
+// Afiliados cuja cadeia de parents nunca chega a uma raiz
+function findCycles(byId) {
+    const state = new Map(); // 1 = visitando, 2 = resolvido
+    const inCycle = new Set();
+
+    for (const start of byId.keys()) {
+        const trail = [];
+        let current = start;
+
+        while (current !== null && current !== undefined && byId.has(current) && !state.has(current)) {
+            state.set(current, 1);
+            trail.push(current);
+            current = byId.get(current).parent_id;
+        }
+
+        if (current !== null && state.get(current) === 1) {
+            // Repetiu um nó do próprio trajeto: do ponto de repetição em diante é o ciclo
+            for (const id of trail.slice(trail.indexOf(current))) {
+                inCycle.add(id);
+            }
+        }
+
+        for (const id of trail) {
+            state.set(id, 2);
+        }
+    }
+
+    return inCycle;
+}
+
+/**
+ * Verificar consistência
+ * @param {Array} rows - todas as linhas { affiliate_id, parent_id, level, path, active }
+ */
+function checkHierarchy(rows) {
+    const byId = new Map(rows.map(row => [row.affiliate_id, row]));
+    const issues = [];
+
+    const addIssue = (row, type, details = {}) => {
+        issues.push({ affiliateId: row.affiliate_id, type, description: ISSUE_TYPES[type], ...details });
+    };
+
+    const pathOwners = new Map();
+
+    for (const row of rows) {
+        const path = row.path || [];
+        const parent = row.parent_id !== null ? byId.get(row.parent_id) : null;
+
+        if (row.parent_id !== null && !parent) {
+            addIssue(row, 'ORPHAN_MISSING_PARENT', { parentId: row.parent_id });
+        } else if (parent && row.active && !parent.active) {
+            addIssue(row, 'ORPHAN_INACTIVE_PARENT', { parentId: row.parent_id });
+        }
+
+        let expectedPath = null;
+        if (row.parent_id === null) {
+            expectedPath = [row.affiliate_id];
+        } else if (parent && parent.path) {
+            expectedPath = [...parent.path, row.affiliate_id];
+        }
+
+        if (path[path.length - 1] !== row.affiliate_id || (expectedPath && !samePath(path, expectedPath))) {
+            addIssue(row, 'PATH_MISMATCH', { path, expectedPath });
+        }
+
+        if (row.level !== path.length || (parent && row.level !== parent.level + 1)) {
+            addIssue(row, 'LEVEL_MISMATCH', {
+                level: row.level,
+                expectedLevel: parent ? parent.level + 1 : path.length
+            });
+        }
+
+        const head = byId.get(path[0]);
+        if (!head || head.parent_id !== null) {
+            addIssue(row, 'INVALID_PATH_HEAD', { head: path[0] });
+        }
+
+        const key = path.join(',');
+        if (!pathOwners.has(key)) {
+            pathOwners.set(key, []);
+        }
+        pathOwners.get(key).push(row);
+    }
+
+    for (const owners of pathOwners.values()) {
+        if (owners.length > 1) {
+            for (const row of owners) {
+                addIssue(row, 'DUPLICATE_PATH_HEAD', {
+                    path: row.path,
+                    sharedWith: owners.filter(o => o !== row).map(o => o.affiliate_id)
+                });
+            }
+        }
+    }
+
+    for (const id of findCycles(byId)) {
+        addIssue(byId.get(id), 'CYCLE', { parentId: byId.get(id).parent_id });
+    }
+
+    const summary = Object.keys(ISSUE_TYPES).reduce((counts, type) => {
+        counts[type] = issues.filter(issue => issue.type === type).length;
+        return counts;
+    }, {});
+
+    return {
+        totalAffiliates: rows.length,
+        totalIssues: issues.length,
+        summary,
+        issues
+    };
+}
+
+/**
+ * Planejar reparo: corrige parent_id de órfãos e ciclos e reconstrói level/path a partir das raízes
+ * @param {Array} rows - todas as linhas da hierarquia
+ * @param {Object} options - { compressInactive: reatribuir filhos de parents inativos ao próximo ativo }
+ */
+function planHierarchyRepair(rows, options = {}) {
+    const byId = new Map(rows.map(row => [row.affiliate_id, row]));
+    const parents = new Map(rows.map(row => [row.affiliate_id, row.parent_id]));
+
+    // Órfãos de parent inexistente sobem para o ancestral ativo mais próximo registrado no path
+    for (const row of rows) {
+        if (row.parent_id === null || byId.has(row.parent_id)) continue;
+
+        const ancestors = (row.path || []).filter(id => id !== row.affiliate_id);
+        const nearest = ancestors.reverse().find(id => byId.has(id) && byId.get(id).active);
+        parents.set(row.affiliate_id, nearest !== undefined ? nearest : null);
+    }
+
+    // Opcionalmente, filhos ativos de parents inativos sobem pela cadeia até um ativo
+    if (options.compressInactive) {
+        for (const row of rows) {
+            if (!row.active) continue;
+
+            let parentId = parents.get(row.affiliate_id);
+            const visited = new Set();
+            while (parentId !== null && byId.has(parentId) && !byId.get(parentId).active && !visited.has(parentId)) {
+                visited.add(parentId);
+                parentId = parents.get(parentId);
+            }
+            parents.set(row.affiliate_id, parentId);
+        }
+    }
+
+    // Ciclos são quebrados tornando raiz o menor afiliado de cada ciclo
+    const cycleMembers = findCycles(new Map(rows.map(row => [row.affiliate_id, { parent_id: parents.get(row.affiliate_id) }])));
+    const visitedCycle = new Set();
+    for (const id of [...cycleMembers].sort((a, b) => a - b)) {
+        if (visitedCycle.has(id)) continue;
+
+        let current = id;
+        while (!visitedCycle.has(current)) {
+            visitedCycle.add(current);
+            current = parents.get(current);
+        }
+        parents.set(id, null);
+    }
+
+    // Reconstruir level/path em largura a partir das raízes
+    const children = new Map();
+    for (const [id, parentId] of parents) {
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(id);
+    }
+
+    const computed = new Map();
+    const queue = (children.get(null) || []).map(id => ({ id, level: 1, path: [id] }));
+    for (let cursor = 0; cursor < queue.length; cursor++) {
+        const { id, level, path } = queue[cursor];
+        computed.set(id, { level, path });
+
+        for (const childId of children.get(id) || []) {
+            queue.push({ id: childId, level: level + 1, path: [...path, childId] });
+        }
+    }
+
+    const changes = [];
+    for (const row of rows) {
+        const target = computed.get(row.affiliate_id);
+        const parentId = parents.get(row.affiliate_id);
+
+        if (parentId !== row.parent_id || target.level !== row.level || !samePath(target.path, row.path)) {
+            changes.push({
+                affiliateId: row.affiliate_id,
+                active: row.active,
+                previous: { parentId: row.parent_id, level: row.level, path: row.path },
+                parentId,
+                level: target.level,
+                path: target.path
+            });
+        }
+    }
+
+    return changes;
+}
+
+module.exports = {
+    ISSUE_TYPES,
+    checkHierarchy,
+    planHierarchyRepair
+};
@@ -0,0 +1,200 @@
+const EventEmitter = require('events');
+
+/**
+ * Substituto local do Redis em memória (desenvolvimento e ambientes sem Redis)
+ * Implementa apenas os comandos usados pela fila de CPAs, com as mesmas assinaturas do cliente
+ * node-redis v4; os dados não sobrevivem a um reinício do processo
+ */
+class MemoryRedis extends EventEmitter {
+    constructor() {
+        super();
+        this.store = new Map();
+        this.isOpen = false;
+    }
+
+    async connect() {
+        this.isOpen = true;
+        this.emit('ready');
+    }
+
+    async quit() {
+        this.isOpen = false;
+    }
+
+    async ping() {
+        return 'PONG';
+    }
+
+    // Valor da chave, criado com o tipo esperado quando não existe
+    ensure(key, Type) {
+        if (!this.store.has(key)) {
+            this.store.set(key, new Type());
+        }
+        return this.store.get(key);
+    }
+
+    // Remover chaves que ficaram vazias (como o Redis faz)
+    cleanup(key) {
+        const value = this.store.get(key);
+        if (value && (value.length === 0 || value.size === 0)) {
+            this.store.delete(key);
+        }
+    }
+
+    async del(keys) {
+        let removed = 0;
+        for (const key of [].concat(keys)) {
+            if (this.store.delete(key)) removed++;
+        }
+        return removed;
+    }
+
+    // Hashes
+    async hSet(key, field, value) {
+        const hash = this.ensure(key, Map);
+        const created = hash.has(field) ? 0 : 1;
+        hash.set(field, String(value));
+        return created;
+    }
+
+    async hGet(key, field) {
+        const hash = this.store.get(key);
+        return hash && hash.has(field) ? hash.get(field) : null;
+    }
+
+    async hmGet(key, fields) {
+        const hash = this.store.get(key);
+        return fields.map(field => (hash && hash.has(field) ? hash.get(field) : null));
+    }
+
+    async hDel(key, fields) {
+        const hash = this.store.get(key);
+        if (!hash) return 0;
+
+        let removed = 0;
+        for (const field of [].concat(fields)) {
+            if (hash.delete(field)) removed++;
+        }
+        this.cleanup(key);
+        return removed;
+    }
+
+    async hLen(key) {
+        const hash = this.store.get(key);
+        return hash ? hash.size : 0;
+    }
+
+    // Listas (LEFT = início do array)
+    async lPush(key, values) {
+        const list = this.ensure(key, Array);
+        for (const value of [].concat(values)) {
+            list.unshift(String(value));
+        }
+        return list.length;
+    }
+
+    async lRem(key, count, element) {
+        const list = this.store.get(key);
+        if (!list) return 0;
+
+        const limit = count === 0 ? Infinity : Math.abs(count);
+        const indexes = list
+            .map((value, index) => (value === String(element) ? index : -1))
+            .filter(index => index >= 0);
+        const selected = (count < 0 ? indexes.reverse() : indexes).slice(0, limit);
+
+        selected.sort((a, b) => b - a).forEach(index => list.splice(index, 1));
+        this.cleanup(key);
+        return selected.length;
+    }
+
+    async lRange(key, start, stop) {
+        const list = this.store.get(key) || [];
+        const end = stop < 0 ? list.length + stop + 1 : stop + 1;
+        return list.slice(start < 0 ? Math.max(list.length + start, 0) : start, end);
+    }
+
+    async lLen(key) {
+        const list = this.store.get(key);
+        return list ? list.length : 0;
+    }
+
+    // Script claimJob da fila de CPAs (LMOVE + HSET), executado sem pontos de espera como no Redis
+    async claimJob(ready, processing, leases, deadline) {
+        const list = this.store.get(ready);
+        if (!list || list.length === 0) return null;
+
+        const jobId = list.pop();
+        this.cleanup(ready);
+
+        this.ensure(processing, Array).unshift(jobId);
+        this.ensure(leases, Map).set(jobId, String(deadline));
+        return jobId;
+    }
+
+    // Script failJob da fila de CPAs
+    async failJob(jobs, target, processing, leases, jobId, job, nextAttemptAt) {
+        const list = this.store.get(processing);
+        const index = list ? list.indexOf(jobId) : -1;
+        if (index < 0) return 0;
+
+        this.store.set(processing, list.filter(value => value !== jobId));
+        this.cleanup(processing);
+        this.store.get(leases)?.delete(jobId);
+        this.cleanup(leases);
+
+        this.ensure(jobs, Map).set(jobId, job);
+        if (nextAttemptAt === null) {
+            this.ensure(target, Array).unshift(jobId);
+        } else {
+            this.ensure(target, Map).set(jobId, Number(nextAttemptAt));
+        }
+        return 1;
+    }
+
+    // Script promoteDelayed da fila de CPAs
+    async promoteDelayed(delayed, ready, now) {
+        const zset = this.store.get(delayed);
+        if (!zset) return 0;
+
+        const due = [...zset.entries()]
+            .filter(([, score]) => score <= now)
+            .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : 1))
+            .map(([value]) => value);
+
+        for (const jobId of due) {
+            zset.delete(jobId);
+            this.ensure(ready, Array).unshift(jobId);
+        }
+        this.cleanup(delayed);
+        return due.length;
+    }
+
+    // Script requeueStalled da fila de CPAs
+    async requeueStalled(processing, leases, ready, now) {
+        const list = this.store.get(processing) || [];
+        const leaseMap = this.store.get(leases) || new Map();
+        let requeued = 0;
+
+        for (const jobId of [...list]) {
+            const lease = leaseMap.get(jobId);
+            if (lease === undefined || Number(lease) >= now) continue;
+
+            this.store.set(processing, this.store.get(processing).filter(value => value !== jobId));
+            leaseMap.delete(jobId);
+            this.ensure(ready, Array).unshift(jobId);
+            requeued++;
+        }
+        this.cleanup(processing);
+        this.cleanup(leases);
+        return requeued;
+    }
+
+    // Sorted sets
+    async zCard(key) {
+        const zset = this.store.get(key);
+        return zset ? zset.size : 0;
+    }
+}
+
+module.exports = MemoryRedis;
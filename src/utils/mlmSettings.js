@@ -0,0 +1,27 @@
+/**
+ * Configuração global mlm_settings
+ * A configuração ausente no Config Service, ou as chaves que ela não define, seguem os padrões abaixo;
+ * todos os leitores (MLMService.getConfig e ConfigClient.getMlmSettings) passam por withMlmDefaults
+ */
+const DEFAULT_MLM_SETTINGS = {
+    max_hierarchy_levels: 5,
+    calculation_method: 'standard',
+    auto_distribution: true,
+    minimum_amount: 0.01,
+    currency: 'BRL',
+    // Moeda do total consolidado dos relatórios; null = a mesma de currency
+    reporting_currency: null,
+    // Carência (dias) antes de uma distribuição se tornar pagável; 0 paga na próxima execução do job
+    hold_period_days: 14,
+    inactive_upline_policy: 'compress'
+};
+
+function withMlmDefaults(settings) {
+    const merged = { ...DEFAULT_MLM_SETTINGS, ...(settings || {}) };
+    return { ...merged, reporting_currency: merged.reporting_currency || merged.currency };
+}
+
+module.exports = {
+    DEFAULT_MLM_SETTINGS,
+    withMlmDefaults
+};
@@ -0,0 +1,157 @@
+/**
+ * Aritmética monetária em unidades menores inteiras (centavos)
+ * Valores decimais (DECIMAL do banco, configuração, API) entram com toMinor e só voltam a decimal na saída
+ * com fromMinor; somas, tetos e rateios são feitos em inteiros
+ *
+ * Política de arredondamento:
+ * - Conversão para unidades menores e percentuais: meio para cima, afastando do zero (0,125 → 0,13; -0,125 → -0,13)
+ * - Rateio percentual de um valor (allocate): cada parte é truncada e os centavos que sobram do total
+ *   arredondado vão para as partes de maior resto (empate: a que vem primeiro)
+ * - Conversão de moeda (relatórios): um único arredondamento por moeda, no total convertido
+ */
+const { MLMError } = require('./errors');
+
+// Casas decimais da unidade menor (ISO 4217)
+const CURRENCY_DECIMALS = {
+    BRL: 2,
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    ARS: 2,
+    MXN: 2,
+    COP: 2,
+    PEN: 2,
+    CLP: 0,
+    JPY: 0
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCY_DECIMALS);
+
+// Escala das taxas de câmbio (mesma precisão de fx_rates.rate)
+const RATE_DECIMALS = 8;
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+function getCurrencyDecimals(currency) {
+    const decimals = CURRENCY_DECIMALS[currency];
+
+    if (decimals === undefined) {
+        throw new MLMError('Moeda não suportada', 'UNSUPPORTED_CURRENCY', 422, {
+            currency,
+            supported: SUPPORTED_CURRENCIES
+        });
+    }
+
+    return decimals;
+}
+
+// Divisão inteira arredondando meio para cima, afastando do zero (denominator > 0)
+function divideRounded(numerator, denominator) {
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    const absRemainder = remainder < 0n ? -remainder : remainder;
+
+    if (absRemainder * 2n >= denominator) {
+        return quotient + (numerator < 0n ? -1n : 1n);
+    }
+    return quotient;
+}
+
+/**
+ * Valor decimal exato em inteiro escalado (BigInt): toScaled('12.345', 2) → 1235n
+ * Strings são lidas dígito a dígito; números usam a representação decimal mais curta (String(n))
+ */
+function toScaled(value, decimals) {
+    const text = typeof value === 'number' && Math.abs(value) < 1e-6 ? '0' : String(value).trim();
+    const match = DECIMAL_PATTERN.exec(text);
+
+    if (!match || (match[2] === '' && !match[3])) {
+        throw new MLMError('Valor monetário inválido', 'INVALID_AMOUNT', 400, { value });
+    }
+
+    const [, sign, integerPart, fractionPart = ''] = match;
+    const digits = BigInt((integerPart || '0') + fractionPart.padEnd(decimals, '0').slice(0, decimals));
+    const magnitude = fractionPart.length > decimals && fractionPart[decimals] >= '5' ? digits + 1n : digits;
+
+    return sign === '-' ? -magnitude : magnitude;
+}
+
+function toSafeNumber(value) {
+    const number = Number(value);
+
+    if (!Number.isSafeInteger(number)) {
+        throw new MLMError('Valor monetário fora do limite suportado', 'INVALID_AMOUNT', 400, { value: value.toString() });
+    }
+
+    return number;
+}
+
+// Decimal (número ou string, ex.: DECIMAL do pg) → unidades menores da moeda
+function toMinor(value, currency) {
+    if (value === null || value === undefined) {
+        return 0;
+    }
+    return toSafeNumber(toScaled(value, getCurrencyDecimals(currency)));
+}
+
+// Unidades menores → decimal (saída da API e parâmetros DECIMAL do banco)
+function fromMinor(minor, currency) {
+    return minor / 10 ** getCurrencyDecimals(currency);
+}
+
+/**
+ * Ratear um valor por percentuais (até 4 casas), com a soma das partes igual ao total arredondado
+ * @param {number} totalMinor - valor em unidades menores
+ * @param {Array<number>} percentages - percentual de cada parte (ex.: 20 = 20%)
+ * @returns {Array<number>} partes em unidades menores, na ordem dos percentuais
+ */
+function allocate(totalMinor, percentages) {
+    const scale = 10n ** 6n; // percentual com 4 casas (10^4) sobre 100
+    const shares = percentages.map(percentage => BigInt(totalMinor) * toScaled(percentage, 4));
+
+    const parts = shares.map(share => share / scale);
+    const total = divideRounded(shares.reduce((sum, share) => sum + share, 0n), scale);
+    let leftover = total - parts.reduce((sum, part) => sum + part, 0n);
+
+    const byRemainder = shares
+        .map((share, index) => ({ index, remainder: share % scale }))
+        .sort((a, b) => (a.remainder === b.remainder ? a.index - b.index : (b.remainder > a.remainder ? 1 : -1)));
+
+    for (const { index } of byRemainder) {
+        if (leftover <= 0n) break;
+        parts[index] += 1n;
+        leftover -= 1n;
+    }
+
+    return parts.map(toSafeNumber);
+}
+
+/**
+ * Converter valor entre moedas: 1 unidade de fromCurrency = rate unidades de toCurrency
+ * @returns {number} valor convertido em unidades menores de toCurrency
+ */
+function convert(minor, fromCurrency, toCurrency, rate) {
+    if (fromCurrency === toCurrency) {
+        return minor;
+    }
+
+    const numerator = BigInt(minor) * toScaled(rate, RATE_DECIMALS) * 10n ** BigInt(getCurrencyDecimals(toCurrency));
+    const denominator = 10n ** BigInt(RATE_DECIMALS + getCurrencyDecimals(fromCurrency));
+
+    return toSafeNumber(divideRounded(numerator, denominator));
+}
+
+function sumMinor(values) {
+    return values.reduce((sum, value) => sum + value, 0);
+}
+
+module.exports = {
+    CURRENCY_DECIMALS,
+    SUPPORTED_CURRENCIES,
+    getCurrencyDecimals,
+    toMinor,
+    fromMinor,
+    allocate,
+    convert,
+    sumMinor
+};
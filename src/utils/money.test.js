@@ -0,0 +1,121 @@
+const {
+    getCurrencyDecimals,
+    toMinor,
+    fromMinor,
+    allocate,
+    convert,
+    sumMinor
+} = require('./money');
+
+describe('money', () => {
+    describe('getCurrencyDecimals', () => {
+        it('retorna as casas decimais ISO 4217 da moeda', () => {
+            expect(getCurrencyDecimals('BRL')).toBe(2);
+            expect(getCurrencyDecimals('USD')).toBe(2);
+            expect(getCurrencyDecimals('CLP')).toBe(0);
+            expect(getCurrencyDecimals('JPY')).toBe(0);
+        });
+
+        it('recusa moeda não suportada', () => {
+            expect(() => getCurrencyDecimals('XYZ')).toThrow(expect.objectContaining({
+                code: 'UNSUPPORTED_CURRENCY',
+                statusCode: 422
+            }));
+        });
+    });
+
+    describe('toMinor', () => {
+        it('arredonda meio para cima, afastando do zero', () => {
+            expect(toMinor('0.125', 'BRL')).toBe(13);
+            expect(toMinor('-0.125', 'BRL')).toBe(-13);
+            expect(toMinor('0.124', 'BRL')).toBe(12);
+        });
+
+        it('lê números pela representação decimal, sem erro de ponto flutuante', () => {
+            expect(toMinor(1.005, 'BRL')).toBe(101);
+            expect(toMinor(12.345, 'BRL')).toBe(1235);
+            expect(toMinor(0.1 + 0.2, 'BRL')).toBe(30);
+        });
+
+        it('aceita strings DECIMAL do banco', () => {
+            expect(toMinor('30.00', 'BRL')).toBe(3000);
+            expect(toMinor('1500.5', 'USD')).toBe(150050);
+            expect(toMinor('.5', 'BRL')).toBe(50);
+        });
+
+        it('usa as casas da moeda', () => {
+            expect(toMinor('1500', 'CLP')).toBe(1500);
+            expect(toMinor('99.5', 'CLP')).toBe(100);
+            expect(toMinor('99.4', 'JPY')).toBe(99);
+        });
+
+        it('trata valores ausentes e muito pequenos como zero', () => {
+            expect(toMinor(null, 'BRL')).toBe(0);
+            expect(toMinor(undefined, 'BRL')).toBe(0);
+            expect(toMinor(1e-7, 'BRL')).toBe(0);
+        });
+
+        it('recusa valores inválidos', () => {
+            for (const value of ['abc', '', '.', '1.2.3', '1e5']) {
+                expect(() => toMinor(value, 'BRL')).toThrow(expect.objectContaining({ code: 'INVALID_AMOUNT' }));
+            }
+        });
+
+        it('recusa valores fora do limite de inteiro seguro', () => {
+            expect(() => toMinor('900719925474099.99', 'BRL')).toThrow(expect.objectContaining({ code: 'INVALID_AMOUNT' }));
+        });
+
+        it('recusa moeda não suportada', () => {
+            expect(() => toMinor('10', 'XYZ')).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_CURRENCY' }));
+        });
+    });
+
+    describe('fromMinor', () => {
+        it('converte unidades menores de volta para decimal', () => {
+            expect(fromMinor(1235, 'BRL')).toBe(12.35);
+            expect(fromMinor(-13, 'BRL')).toBe(-0.13);
+            expect(fromMinor(1500, 'CLP')).toBe(1500);
+        });
+    });
+
+    describe('allocate', () => {
+        it('divide sem sobras quando os percentuais são exatos', () => {
+            expect(allocate(1000, [20, 10, 5])).toEqual([200, 100, 50]);
+        });
+
+        it('distribui o centavo restante para a parte de maior resto', () => {
+            expect(allocate(100, [33.3333, 33.3333, 33.3334])).toEqual([33, 33, 34]);
+        });
+
+        it('em empate de resto, favorece a parte que vem primeiro', () => {
+            expect(allocate(1, [50, 50])).toEqual([1, 0]);
+            expect(allocate(3, [50, 50])).toEqual([2, 1]);
+        });
+
+        it('soma das partes igual ao total arredondado', () => {
+            expect(allocate(333, [50])).toEqual([167]);
+
+            const parts = allocate(9999, [12.5, 7.25, 3.3333]);
+            expect(sumMinor(parts)).toBe(Math.round(9999 * (12.5 + 7.25 + 3.3333) / 100));
+        });
+    });
+
+    describe('convert', () => {
+        it('mantém o valor na mesma moeda', () => {
+            expect(convert(1234, 'BRL', 'BRL', '5.5')).toBe(1234);
+        });
+
+        it('converte com um único arredondamento no resultado', () => {
+            expect(convert(1000, 'USD', 'BRL', '5.1234')).toBe(5123);
+            expect(convert(100, 'USD', 'JPY', '150.555')).toBe(151);
+            expect(convert(1500, 'CLP', 'USD', '0.00105')).toBe(158);
+        });
+    });
+
+    describe('sumMinor', () => {
+        it('soma valores em unidades menores', () => {
+            expect(sumMinor([100, 250, -50])).toBe(300);
+            expect(sumMinor([])).toBe(0);
+        });
+    });
+});
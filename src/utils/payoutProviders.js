@@ -0,0 +1,191 @@
+/**
+ * Provedores de pagamento das distribuições (PAYOUT_PROVIDER)
+ *
+ * Contrato: submit(payout) recebe { reference, distributionId, cpaValidadoId, affiliateId, affiliateLevel,
+ * amount, currency } e resolve com { status, providerReference, reason }, onde status é:
+ * - CONFIRMED: pagamento efetuado
+ * - SUBMITTED: aceito pelo provedor; a confirmação chega depois em POST /payouts/callback
+ * - FAILED: recusado de forma definitiva
+ * Falhas de comunicação lançam PAYOUT_PROVIDER_ERROR com details.retryable; o reenvio usa a mesma
+ * reference, que o provedor deve tratar como chave de idempotência
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { MLMError } = require('./errors');
+
+const PAYOUT_RESULT_STATUSES = ['CONFIRMED', 'SUBMITTED', 'FAILED'];
+
+function providerError(message, retryable, details = {}) {
+    return new MLMError(message, 'PAYOUT_PROVIDER_ERROR', 502, { ...details, retryable });
+}
+
+// Resultado fora do contrato é tratado como falha de comunicação (reenviado com a mesma reference)
+function validatePayoutResult(provider, result) {
+    if (!result || !PAYOUT_RESULT_STATUSES.includes(result.status)) {
+        throw providerError('Resposta inválida do provedor de pagamento', true, {
+            provider,
+            status: result ? result.status : null
+        });
+    }
+
+    return result;
+}
+
+class PayoutProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async submit() {
+        throw new Error(`Provedor de pagamento ${this.name} não implementa submit`);
+    }
+}
+
+/**
+ * Provedor local para desenvolvimento e testes: registra cada pagamento em um arquivo JSONL
+ * Com PAYOUT_MOCK_AUTO_CONFIRM=false responde SUBMITTED e a confirmação deve vir pelo callback
+ */
+class MockPayoutProvider extends PayoutProvider {
+    constructor(options = {}) {
+        super('mock');
+        this.filePath = options.filePath || process.env.PAYOUT_MOCK_FILE ||
+            path.join(__dirname, '../../logs/payouts.jsonl');
+        this.autoConfirm = options.autoConfirm !== undefined
+            ? options.autoConfirm
+            : process.env.PAYOUT_MOCK_AUTO_CONFIRM !== 'false';
+    }
+
+    async submit(payout) {
+        const status = this.autoConfirm ? 'CONFIRMED' : 'SUBMITTED';
+        const providerReference = `MOCK_${payout.reference}`;
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.appendFile(this.filePath, JSON.stringify({
+                ...payout,
+                status,
+                providerReference,
+                submittedAt: new Date().toISOString()
+            }) + '\n');
+        } catch (error) {
+            throw providerError('Erro ao registrar pagamento no arquivo do provedor mock', true, { error: error.message });
+        }
+
+        return { status, providerReference, reason: null };
+    }
+}
+
+/**
+ * Adaptador HTTP: POST PAYOUT_HTTP_URL com o pagamento e o header Idempotency-Key = reference
+ * Resposta esperada: { status, providerReference, reason } com status completed/confirmed/paid,
+ * failed/rejected ou qualquer outro valor (aceito, aguardando callback)
+ * 409 é tratado como pagamento já recebido; 408, 429, 5xx e falhas de rede são repetidos; demais 4xx são definitivos
+ */
+class HttpPayoutProvider extends PayoutProvider {
+    constructor(options = {}) {
+        super('http');
+        this.url = options.url || process.env.PAYOUT_HTTP_URL;
+        this.callbackUrl = options.callbackUrl || process.env.PAYOUT_CALLBACK_URL || null;
+
+        if (!this.url) {
+            throw new MLMError('PAYOUT_HTTP_URL não configurada', 'PAYOUT_PROVIDER_NOT_CONFIGURED', 500, {
+                provider: this.name
+            });
+        }
+
+        this.httpClient = axios.create({
+            timeout: options.timeout || parseInt(process.env.PAYOUT_HTTP_TIMEOUT_MS) || 10000,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-API-Key': options.apiKey || process.env.PAYOUT_HTTP_API_KEY
+            }
+        });
+    }
+
+    toResult(data = {}) {
+        const status = String(data.status || '').toLowerCase();
+        const providerReference = data.providerReference || data.id || null;
+
+        if (['completed', 'confirmed', 'paid'].includes(status)) {
+            return { status: 'CONFIRMED', providerReference, reason: null };
+        }
+        if (['failed', 'rejected'].includes(status)) {
+            return { status: 'FAILED', providerReference, reason: data.reason || data.message || null };
+        }
+        return { status: 'SUBMITTED', providerReference, reason: null };
+    }
+
+    async submit(payout) {
+        try {
+            const response = await this.httpClient.post(this.url, {
+                ...payout,
+                callbackUrl: this.callbackUrl
+            }, {
+                headers: { 'Idempotency-Key': payout.reference }
+            });
+
+            return this.toResult(response.data);
+        } catch (error) {
+            const status = error.response ? error.response.status : null;
+
+            if (status === 409) {
+                return this.toResult(error.response.data);
+            }
+
+            if (status && status < 500 && status !== 408 && status !== 429) {
+                const data = error.response.data || {};
+                return {
+                    status: 'FAILED',
+                    providerReference: null,
+                    reason: data.reason || data.message || `HTTP ${status}`
+                };
+            }
+
+            throw providerError('Falha de comunicação com o provedor de pagamento', true, {
+                status,
+                error: error.message
+            });
+        }
+    }
+}
+
+const PAYOUT_PROVIDERS = {
+    mock: MockPayoutProvider,
+    http: HttpPayoutProvider
+};
+
+// O provedor precisa ser escolhido explicitamente; o mock confirma pagamentos sem pagar e é recusado em produção
+function createPayoutProvider(name = process.env.PAYOUT_PROVIDER, options = {}) {
+    if (!name) {
+        throw new MLMError('PAYOUT_PROVIDER não configurado', 'PAYOUT_PROVIDER_NOT_CONFIGURED', 500, {
+            supported: Object.keys(PAYOUT_PROVIDERS)
+        });
+    }
+
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+        throw new MLMError('Provedor de pagamento mock não é permitido em produção', 'INVALID_PAYOUT_PROVIDER', 500, {
+            payoutProvider: name
+        });
+    }
+
+    const Provider = PAYOUT_PROVIDERS[name];
+
+    if (!Provider) {
+        throw new MLMError('Provedor de pagamento desconhecido', 'INVALID_PAYOUT_PROVIDER', 500, {
+            payoutProvider: name,
+            supported: Object.keys(PAYOUT_PROVIDERS)
+        });
+    }
+
+    return new Provider(options);
+}
+
+module.exports = {
+    PAYOUT_RESULT_STATUSES,
+    validatePayoutResult,
+    PayoutProvider,
+    MockPayoutProvider,
+    HttpPayoutProvider,
+    createPayoutProvider
+};
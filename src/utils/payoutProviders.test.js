@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    validatePayoutResult,
+    MockPayoutProvider,
+    HttpPayoutProvider,
+    createPayoutProvider
+} = require('./payoutProviders');
+
+const payout = {
+    reference: 'TX-1',
+    distributionId: 'd1',
+    cpaValidadoId: 'c1',
+    affiliateId: 10,
+    affiliateLevel: 1,
+    amount: 35,
+    currency: 'BRL'
+};
+
+// Erro no formato do axios para uma resposta HTTP
+function httpError(status, data = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+}
+
+describe('payoutProviders', () => {
+    describe('validatePayoutResult', () => {
+        it('aceita os status do contrato', () => {
+            for (const status of ['CONFIRMED', 'SUBMITTED', 'FAILED']) {
+                const result = { status, providerReference: 'P1', reason: null };
+                expect(validatePayoutResult('http', result)).toBe(result);
+            }
+        });
+
+        it.each([
+            ['resposta vazia', undefined, null],
+            ['status desconhecido', { status: 'PAID' }, 'PAID']
+        ])('trata %s como falha repetível', (_, result, status) => {
+            expect(() => validatePayoutResult('http', result)).toThrow(expect.objectContaining({
+                code: 'PAYOUT_PROVIDER_ERROR',
+                details: { provider: 'http', status, retryable: true }
+            }));
+        });
+    });
+
+    describe('createPayoutProvider', () => {
+        const originalEnv = process.env;
+
+        beforeEach(() => {
+            process.env = { ...originalEnv };
+            delete process.env.PAYOUT_PROVIDER;
+        });
+
+        afterAll(() => {
+            process.env = originalEnv;
+        });
+
+        it('exige PAYOUT_PROVIDER', () => {
+            expect(() => createPayoutProvider()).toThrow(expect.objectContaining({
+                code: 'PAYOUT_PROVIDER_NOT_CONFIGURED',
+                details: { supported: ['mock', 'http'] }
+            }));
+        });
+
+        it('recusa provedor desconhecido', () => {
+            expect(() => createPayoutProvider('pix')).toThrow(expect.objectContaining({ code: 'INVALID_PAYOUT_PROVIDER' }));
+        });
+
+        it('recusa o provedor mock em produção', () => {
+            process.env.NODE_ENV = 'production';
+
+            expect(() => createPayoutProvider('mock')).toThrow(expect.objectContaining({ code: 'INVALID_PAYOUT_PROVIDER' }));
+        });
+
+        it('usa o provedor de PAYOUT_PROVIDER', () => {
+            process.env.PAYOUT_PROVIDER = 'mock';
+
+            expect(createPayoutProvider()).toBeInstanceOf(MockPayoutProvider);
+        });
+
+        it('exige PAYOUT_HTTP_URL no provedor http', () => {
+            delete process.env.PAYOUT_HTTP_URL;
+
+            expect(() => createPayoutProvider('http')).toThrow(expect.objectContaining({
+                code: 'PAYOUT_PROVIDER_NOT_CONFIGURED',
+                details: { provider: 'http' }
+            }));
+            expect(createPayoutProvider('http', { url: 'http://payouts.test' })).toBeInstanceOf(HttpPayoutProvider);
+        });
+    });
+
+    describe('MockPayoutProvider', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payouts-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('confirma e registra o pagamento no arquivo', async () => {
+            const filePath = path.join(dir, 'nested', 'payouts.jsonl');
+            const provider = new MockPayoutProvider({ filePath, autoConfirm: true });
+
+            expect(await provider.submit(payout)).toEqual({ status: 'CONFIRMED', providerReference: 'MOCK_TX-1', reason: null });
+
+            const [line] = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+            expect(JSON.parse(line)).toEqual(expect.objectContaining({ ...payout, status: 'CONFIRMED' }));
+        });
+
+        it('sem confirmação automática responde SUBMITTED', async () => {
+            const provider = new MockPayoutProvider({ filePath: path.join(dir, 'payouts.jsonl'), autoConfirm: false });
+
+            expect((await provider.submit(payout)).status).toBe('SUBMITTED');
+        });
+
+        it('falha ao gravar o arquivo é repetível', async () => {
+            const provider = new MockPayoutProvider({ filePath: dir, autoConfirm: true });
+
+            await expect(provider.submit(payout)).rejects.toMatchObject({
+                code: 'PAYOUT_PROVIDER_ERROR',
+                details: expect.objectContaining({ retryable: true })
+            });
+        });
+    });
+
+    describe('HttpPayoutProvider', () => {
+        let provider;
+
+        beforeEach(() => {
+            provider = new HttpPayoutProvider({ url: 'http://payouts.test', callbackUrl: 'http://mlm.test/payouts/callback' });
+            provider.httpClient = { post: jest.fn() };
+        });
+
+        it.each([
+            [{ status: 'paid', id: 'P1' }, { status: 'CONFIRMED', providerReference: 'P1', reason: null }],
+            [{ status: 'Completed', providerReference: 'P1' }, { status: 'CONFIRMED', providerReference: 'P1', reason: null }],
+            [{ status: 'rejected', message: 'conta inválida' }, { status: 'FAILED', providerReference: null, reason: 'conta inválida' }],
+            [{ status: 'queued', id: 'P1' }, { status: 'SUBMITTED', providerReference: 'P1', reason: null }],
+            [undefined, { status: 'SUBMITTED', providerReference: null, reason: null }]
+        ])('converte a resposta %j', (data, expected) => {
+            expect(provider.toResult(data)).toEqual(expected);
+        });
+
+        it('envia a referência como chave de idempotência', async () => {
+            provider.httpClient.post.mockResolvedValue({ data: { status: 'confirmed', id: 'P1' } });
+
+            expect(await provider.submit(payout)).toEqual({ status: 'CONFIRMED', providerReference: 'P1', reason: null });
+            expect(provider.httpClient.post).toHaveBeenCalledWith(
+                'http://payouts.test',
+                { ...payout, callbackUrl: 'http://mlm.test/payouts/callback' },
+                { headers: { 'Idempotency-Key': 'TX-1' } }
+            );
+        });
+
+        it('trata 409 como pagamento já recebido', async () => {
+            provider.httpClient.post.mockRejectedValue(httpError(409, { status: 'paid', id: 'P1' }));
+
+            expect((await provider.submit(payout)).status).toBe('CONFIRMED');
+        });
+
+        it('trata os demais 4xx como recusa definitiva', async () => {
+            provider.httpClient.post.mockRejectedValue(httpError(422, { reason: 'valor acima do limite' }));
+
+            expect(await provider.submit(payout)).toEqual({
+                status: 'FAILED',
+                providerReference: null,
+                reason: 'valor acima do limite'
+            });
+        });
+
+        it.each([
+            ['408', httpError(408)],
+            ['429', httpError(429)],
+            ['5xx', httpError(503)],
+            ['falha de rede', new Error('socket hang up')]
+        ])('repete após %s', async (_, error) => {
+            provider.httpClient.post.mockRejectedValue(error);
+
+            await expect(provider.submit(payout)).rejects.toMatchObject({
+                code: 'PAYOUT_PROVIDER_ERROR',
+                details: expect.objectContaining({ retryable: true })
+            });
+        });
+    });
+});
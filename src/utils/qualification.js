@@ -0,0 +1,136 @@
+/**
+ * Qualificação da upline por nível (configuração upline_qualification_rules)
+ * Um membro da upline só recebe o valor de um nível se cumprir os requisitos da regra daquele nível;
+ * caso contrário o valor fica com a casa (skip) ou sobe para o próximo ancestral qualificado (roll_up)
+ */
+const Joi = require('joi');
+const { MLMError } = require('./errors');
+
+// Requisito da regra → métrica do afiliado
+const REQUIREMENTS = {
+    min_active_directs: 'active_directs',
+    min_personal_cpas: 'personal_cpas'
+};
+
+const DEFAULT_QUALIFICATION = {
+    unqualified_policy: 'skip',
+    lookback_days: 30,
+    rules: []
+};
+
+const ruleSchema = Joi.object({
+    name: Joi.string().optional(),
+    levels: Joi.array().items(Joi.number().integer().min(1)).min(1).required(),
+    operator: Joi.string().valid('AND', 'OR').default('AND'),
+    min_active_directs: Joi.number().integer().min(0),
+    min_personal_cpas: Joi.number().integer().min(0)
+}).or(...Object.keys(REQUIREMENTS));
+
+const qualificationSchema = Joi.object({
+    unqualified_policy: Joi.string().valid('skip', 'roll_up').default('skip'),
+    lookback_days: Joi.number().integer().min(1).max(365).default(30),
+    rules: Joi.array().items(ruleSchema).default([])
+}).unknown(true);
+
+function validateQualificationConfig(config) {
+    const { error, value } = qualificationSchema.validate(config || DEFAULT_QUALIFICATION, { abortEarly: false });
+
+    if (error) {
+        throw new MLMError('Regras de qualificação da upline inválidas', 'INVALID_QUALIFICATION_RULES', 500, {
+            errors: error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }))
+        });
+    }
+
+    return value;
+}
+
+// Primeira regra que cobre o nível; níveis sem regra são pagos sem condição
+function findRule(config, level) {
+    return config.rules.find(rule => rule.levels.includes(level)) || null;
+}
+
+function isQualified(metrics, rule) {
+    const checks = Object.entries(REQUIREMENTS)
+        .filter(([requirement]) => rule[requirement] !== undefined)
+        .map(([requirement, metric]) => (metrics[metric] || 0) >= rule[requirement]);
+
+    return rule.operator === 'OR' ? checks.some(Boolean) : checks.every(Boolean);
+}
+
+function describeRule(rule) {
+    const requirements = {};
+    for (const requirement of Object.keys(REQUIREMENTS)) {
+        if (rule[requirement] !== undefined) {
+            requirements[requirement] = rule[requirement];
+        }
+    }
+    return { name: rule.name || null, operator: rule.operator, requirements };
+}
+
+/**
+ * Aplicar a qualificação às distribuições calculadas
+ * Membros não qualificados geram um lançamento zerado (status CANCELLED) com a decisão registrada
+ * @param {Array} distributions - saída de calculateDistributions (mais próximo primeiro)
+ * @param {Array} upline - membros da upline que podem receber pelo plano (até max_hierarchy_levels), do mais
+ *   próximo ao mais distante; o roll_up só repassa o valor a um deles
+ * @param {Object} config - configuração validada por validateQualificationConfig
+ * @param {Map} metricsById - affiliate_id → { active_directs, personal_cpas }
+ */
+function applyQualification(distributions, upline, config, metricsById) {
+    const ancestors = upline.filter(a => a.active !== false).map(a => a.affiliate_id);
+    const metricsOf = id => metricsById.get(id) || { active_directs: 0, personal_cpas: 0 };
+    const result = [];
+
+    for (const distribution of distributions) {
+        const rule = findRule(config, distribution.affiliate_level);
+
+        if (!rule) {
+            result.push({ ...distribution, qualification: null });
+            continue;
+        }
+
+        const metrics = metricsOf(distribution.affiliate_id);
+        const base = { rule: describeRule(rule), lookbackDays: config.lookback_days };
+
+        if (isQualified(metrics, rule)) {
+            result.push({ ...distribution, qualification: { ...base, decision: 'qualified', metrics } });
+            continue;
+        }
+
+        let receiverId;
+        if (config.unqualified_policy === 'roll_up') {
+            receiverId = ancestors
+                .slice(ancestors.indexOf(distribution.affiliate_id) + 1)
+                .find(id => isQualified(metricsOf(id), rule));
+        }
+
+        result.push({
+            ...distribution,
+            amount_minor: 0,
+            original_amount_minor: distribution.amount_minor,
+            status: 'CANCELLED',
+            qualification: receiverId !== undefined
+                ? { ...base, decision: 'rolled_up', metrics, rolledUpTo: receiverId }
+                : { ...base, decision: 'skipped', metrics }
+        });
+
+        if (receiverId !== undefined) {
+            result.push({
+                ...distribution,
+                affiliate_id: receiverId,
+                qualification: { ...base, decision: 'rolled_up_from', metrics: metricsOf(receiverId), rolledUpFrom: distribution.affiliate_id }
+            });
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    DEFAULT_QUALIFICATION,
+    validateQualificationConfig,
+    applyQualification
+};
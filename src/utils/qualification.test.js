@@ -0,0 +1,172 @@
+const { DEFAULT_QUALIFICATION, validateQualificationConfig, applyQualification } = require('./qualification');
+
+// Upline do CPA: 10 (nível 1) → 20 (nível 2) → 30 (nível 3) → 40 (nível 4)
+const upline = [10, 20, 30, 40].map((id, index) => ({ affiliate_id: id, level: index + 1, active: true }));
+
+const distributions = upline.map(ancestor => ({
+    affiliate_id: ancestor.affiliate_id,
+    affiliate_level: ancestor.level,
+    amount_minor: 1000,
+    status: 'PENDING'
+}));
+
+function config(overrides) {
+    return validateQualificationConfig({ ...DEFAULT_QUALIFICATION, ...overrides });
+}
+
+describe('qualification', () => {
+    describe('validateQualificationConfig', () => {
+        it('usa a configuração padrão quando ausente', () => {
+            expect(validateQualificationConfig(undefined)).toEqual(DEFAULT_QUALIFICATION);
+        });
+
+        it('preenche operador AND nas regras', () => {
+            const value = config({ rules: [{ levels: [2], min_active_directs: 3 }] });
+
+            expect(value.rules[0].operator).toBe('AND');
+            expect(value.unqualified_policy).toBe('skip');
+        });
+
+        it.each([
+            ['regra sem requisito', { rules: [{ levels: [2] }] }],
+            ['regra sem níveis', { rules: [{ levels: [], min_personal_cpas: 1 }] }],
+            ['nível zero', { rules: [{ levels: [0], min_personal_cpas: 1 }] }],
+            ['requisito negativo', { rules: [{ levels: [1], min_active_directs: -1 }] }],
+            ['política desconhecida', { unqualified_policy: 'redistribute' }],
+            ['janela acima de 365 dias', { lookback_days: 400 }]
+        ])('recusa %s', (_, overrides) => {
+            expect(() => config(overrides)).toThrow(expect.objectContaining({ code: 'INVALID_QUALIFICATION_RULES' }));
+        });
+    });
+
+    describe('applyQualification', () => {
+        const rule = { name: 'Líder', levels: [2, 3], min_active_directs: 2, min_personal_cpas: 5 };
+
+        it('paga sem condição os níveis sem regra', () => {
+            const result = applyQualification(distributions, upline, config({ rules: [rule] }), new Map());
+
+            expect(result[0]).toEqual({ ...distributions[0], qualification: null });
+            expect(result[result.length - 1]).toEqual({ ...distributions[3], qualification: null });
+        });
+
+        it('mantém o valor de quem cumpre a regra', () => {
+            const metrics = new Map([[20, { active_directs: 2, personal_cpas: 5 }]]);
+            const [, level2] = applyQualification(distributions, upline, config({ rules: [rule] }), metrics);
+
+            expect(level2).toEqual(expect.objectContaining({
+                affiliate_id: 20,
+                amount_minor: 1000,
+                status: 'PENDING',
+                qualification: expect.objectContaining({
+                    decision: 'qualified',
+                    lookbackDays: 30,
+                    rule: {
+                        name: 'Líder',
+                        operator: 'AND',
+                        requirements: { min_active_directs: 2, min_personal_cpas: 5 }
+                    }
+                })
+            }));
+        });
+
+        it('com AND exige todos os requisitos e com OR ao menos um', () => {
+            const metrics = new Map([[20, { active_directs: 2, personal_cpas: 1 }]]);
+
+            const withAnd = applyQualification(distributions, upline, config({ rules: [rule] }), metrics);
+            const withOr = applyQualification(distributions, upline, config({ rules: [{ ...rule, operator: 'OR' }] }), metrics);
+
+            expect(withAnd[1].qualification.decision).toBe('skipped');
+            expect(withOr[1].qualification.decision).toBe('qualified');
+        });
+
+        it('com skip zera e cancela o lançamento de quem não se qualifica', () => {
+            const result = applyQualification(distributions, upline, config({ rules: [rule] }), new Map());
+
+            expect(result).toHaveLength(4);
+            expect(result[1]).toEqual(expect.objectContaining({
+                affiliate_id: 20,
+                amount_minor: 0,
+                original_amount_minor: 1000,
+                status: 'CANCELLED',
+                qualification: expect.objectContaining({
+                    decision: 'skipped',
+                    metrics: { active_directs: 0, personal_cpas: 0 }
+                })
+            }));
+        });
+
+        it('com roll_up repassa o valor ao próximo ancestral qualificado', () => {
+            const metrics = new Map([
+                [30, { active_directs: 1, personal_cpas: 9 }],
+                [40, { active_directs: 4, personal_cpas: 6 }]
+            ]);
+            const result = applyQualification(
+                distributions,
+                upline,
+                config({ unqualified_policy: 'roll_up', rules: [{ levels: [2], min_active_directs: 2, min_personal_cpas: 5 }] }),
+                metrics
+            );
+
+            expect(result).toHaveLength(5);
+            expect(result[1]).toEqual(expect.objectContaining({
+                affiliate_id: 20,
+                amount_minor: 0,
+                status: 'CANCELLED',
+                qualification: expect.objectContaining({ decision: 'rolled_up', rolledUpTo: 40 })
+            }));
+            expect(result[2]).toEqual(expect.objectContaining({
+                affiliate_id: 40,
+                affiliate_level: 2,
+                amount_minor: 1000,
+                status: 'PENDING',
+                qualification: expect.objectContaining({ decision: 'rolled_up_from', rolledUpFrom: 20 })
+            }));
+        });
+
+        it('com roll_up ignora ancestrais inativos', () => {
+            const inactiveUpline = upline.map(a => (a.affiliate_id === 40 ? { ...a, active: false } : a));
+            const metrics = new Map([[40, { active_directs: 4, personal_cpas: 6 }]]);
+            const result = applyQualification(
+                distributions,
+                inactiveUpline,
+                config({ unqualified_policy: 'roll_up', rules: [{ levels: [2], min_active_directs: 2 }] }),
+                metrics
+            );
+
+            expect(result).toHaveLength(4);
+            expect(result[1].qualification.decision).toBe('skipped');
+        });
+
+        it('com roll_up sem ancestral qualificado o valor fica com a casa', () => {
+            const result = applyQualification(
+                distributions,
+                upline,
+                config({ unqualified_policy: 'roll_up', rules: [{ levels: [4], min_personal_cpas: 1 }] }),
+                new Map()
+            );
+
+            expect(result).toHaveLength(4);
+            expect(result[3]).toEqual(expect.objectContaining({
+                affiliate_id: 40,
+                amount_minor: 0,
+                status: 'CANCELLED',
+                qualification: expect.objectContaining({ decision: 'skipped' })
+            }));
+        });
+
+        it('usa a primeira regra que cobre o nível', () => {
+            const metrics = new Map([[20, { active_directs: 1, personal_cpas: 0 }]]);
+            const result = applyQualification(distributions, upline, config({
+                rules: [
+                    { name: 'Primeira', levels: [2], min_active_directs: 1 },
+                    { name: 'Segunda', levels: [2], min_active_directs: 10 }
+                ]
+            }), metrics);
+
+            expect(result[1].qualification).toEqual(expect.objectContaining({
+                decision: 'qualified',
+                rule: expect.objectContaining({ name: 'Primeira' })
+            }));
+        });
+    });
+});
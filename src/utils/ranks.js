@@ -0,0 +1,85 @@
+/**
+ * Ranks de afiliados (configuração affiliate_ranks)
+ * O rank é recalculado periodicamente a partir do desempenho pessoal e da equipe e define
+ * qual tabela de valores por nível se aplica quando o afiliado recebe na upline
+ */
+const Joi = require('joi');
+const { MLMError } = require('./errors');
+
+// Requisito do rank → métrica calculada por getRankMetrics
+const RANK_REQUIREMENTS = {
+    min_personal_cpas: 'personal_cpas',
+    min_team_cpas: 'team_cpas',
+    min_active_directs: 'active_directs',
+    min_team_size: 'team_size'
+};
+
+const DEFAULT_RANKS = {
+    lookback_days: 30,
+    ranks: []
+};
+
+const levelValuesSchema = Joi.object().pattern(/^level_\d+$/, Joi.number().min(0));
+
+const rankSchema = Joi.object({
+    code: Joi.string().uppercase().max(30).required(),
+    name: Joi.string().optional(),
+    order: Joi.number().integer().min(0).required(),
+    requirements: Joi.object(
+        Object.fromEntries(Object.keys(RANK_REQUIREMENTS).map(key => [key, Joi.number().integer().min(0)]))
+    ).default({}),
+    level_amounts: levelValuesSchema.optional(),
+    level_percentages: levelValuesSchema.optional()
+});
+
+const rankConfigSchema = Joi.object({
+    lookback_days: Joi.number().integer().min(1).max(365).default(30),
+    ranks: Joi.array().items(rankSchema).unique('code').unique('order').default([])
+}).unknown(true);
+
+function validateRankConfig(config) {
+    const { error, value } = rankConfigSchema.validate(config || DEFAULT_RANKS, { abortEarly: false });
+
+    if (error) {
+        throw new MLMError('Configuração de ranks inválida', 'INVALID_RANK_CONFIG', 500, {
+            errors: error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }))
+        });
+    }
+
+    // Do maior para o menor: o primeiro rank atendido é o do afiliado
+    value.ranks.sort((a, b) => b.order - a.order);
+    return value;
+}
+
+function meetsRequirements(metrics, requirements) {
+    return Object.entries(requirements).every(
+        ([requirement, minimum]) => (metrics[RANK_REQUIREMENTS[requirement]] || 0) >= minimum
+    );
+}
+
+// Maior rank cujos requisitos são atendidos (null se nenhum)
+function resolveRank(metrics, config) {
+    const rank = config.ranks.find(r => meetsRequirements(metrics, r.requirements));
+    return rank ? rank.code : null;
+}
+
+/**
+ * Tabela de valores por nível do rank para o método de cálculo
+ * @param {string} rankField - 'level_amounts' ou 'level_percentages' (ver calculationMethods)
+ * @returns {Object|null} null quando o rank não define tabela própria (usa a global)
+ */
+function getRankLevelValues(config, rankCode, rankField) {
+    const rank = config.ranks.find(r => r.code === rankCode);
+    return rank && rank[rankField] ? rank[rankField] : null;
+}
+
+module.exports = {
+    RANK_REQUIREMENTS,
+    DEFAULT_RANKS,
+    validateRankConfig,
+    resolveRank,
+    getRankLevelValues
+};